@@ -0,0 +1,108 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { createClient } from '@supabase/supabase-js';
+import { API_KEY_SCOPES, DEFAULT_API_KEY_SCOPES, generateApiKey } from './lib/api-keys.js';
+
+// Creates or revokes API keys. The key is printed once; only its hash is stored.
+//
+//   node create-api-key.js --name "Acme CRM" [--scopes jobs:read,jobs:write] [--rate-limit 60] [--daily-quota 1000]
+//   node create-api-key.js --revoke <key_id>
+const USAGE = 'Usage: node create-api-key.js --name <owner> [--scopes jobs:read,jobs:write] [--rate-limit <requests/min>] [--daily-quota <jobs/day>]\n' +
+  '       node create-api-key.js --revoke <key_id>';
+
+const { values } = parseArgs({
+  options: {
+    name: { type: 'string' },
+    scopes: { type: 'string' },
+    'rate-limit': { type: 'string' },
+    'daily-quota': { type: 'string' },
+    revoke: { type: 'string' }
+  }
+});
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+  console.error('Missing Supabase configuration. Please set SUPABASE_URL and SUPABASE_ANON_KEY environment variables.');
+  process.exit(1);
+}
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+
+// Positive integer, or null (unlimited) when the flag is absent
+function parseLimit(flag) {
+  if (values[flag] === undefined) return null;
+
+  const limit = Number(values[flag]);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error(`--${flag} must be a positive integer`);
+    process.exit(1);
+  }
+  return limit;
+}
+
+async function revokeKey(keyId) {
+  const { data, error } = await supabase
+    .from('email_scrap_api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('key_id', keyId)
+    .is('revoked_at', null)
+    .select('key_id, name');
+
+  if (error) {
+    console.error('Failed to revoke API key:', error.message);
+    process.exit(1);
+  }
+
+  if (data.length === 0) {
+    console.error(`No active API key with key_id ${keyId}`);
+    process.exit(1);
+  }
+
+  console.log(`Revoked API key ${keyId} (${data[0].name})`);
+}
+
+async function createKey() {
+  if (!values.name?.trim()) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const scopes = values.scopes ? values.scopes.split(',').map(scope => scope.trim()) : DEFAULT_API_KEY_SCOPES;
+  const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    console.error(`Unknown scopes: ${unknownScopes.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const rateLimit = parseLimit('rate-limit');
+  const dailyQuota = parseLimit('daily-quota');
+  const { key, keyId, keyHash } = generateApiKey();
+
+  const { error } = await supabase
+    .from('email_scrap_api_keys')
+    .insert({
+      key_id: keyId,
+      key_hash: keyHash,
+      name: values.name.trim(),
+      scopes,
+      rate_limit_per_minute: rateLimit,
+      daily_job_quota: dailyQuota
+    });
+
+  if (error) {
+    console.error('Failed to create API key:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`Created API key ${keyId} for ${values.name.trim()}`);
+  console.log(`  Scopes: ${scopes.join(', ')}`);
+  console.log(`  Rate limit: ${rateLimit ? `${rateLimit} requests/minute` : 'unlimited'}`);
+  console.log(`  Daily job quota: ${dailyQuota ? `${dailyQuota} jobs` : 'unlimited'}`);
+  console.log('\nStore this key now; it cannot be shown again:\n');
+  console.log(key);
+}
+
+if (values.revoke) {
+  await revokeKey(values.revoke);
+} else {
+  await createKey();
+}
@@ -0,0 +1,70 @@
+// API keys: generation, hashing and scope checks.
+// Only the SHA-256 hash of a key is stored; the key itself is shown once, by create-api-key.js.
+import crypto from 'crypto';
+
+// jobs:read  - read jobs, batches, exports, live events and webhook logs
+// jobs:write - submit, cancel and delete jobs and batches
+// admin      - every scope, and access to jobs created by any key
+export const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'admin'];
+export const DEFAULT_API_KEY_SCOPES = ['jobs:read', 'jobs:write'];
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns { key, keyId, keyHash }. keyId is the public part of the key, stored on the jobs it creates.
+export function generateApiKey() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `esk_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyId, keyHash: hashApiKey(key) };
+}
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key". Browsers can't set headers on EventSource or
+// WebSocket connections, so the live event endpoints also accept ?api_key=.
+export function extractApiKey(req, { allowQueryParam = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim() || null;
+  if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim() || null;
+
+  if (allowQueryParam) {
+    return new URL(req.url, 'http://localhost').searchParams.get('api_key') || null;
+  }
+  return null;
+}
+
+export function hasScope(apiKey, scope) {
+  const scopes = apiKey.scopes || [];
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+// Keys only see the jobs and batches they created, unless they have the admin scope. A null key (when
+// REQUIRE_API_KEY=false) sees everything.
+export function canAccess(apiKey, row) {
+  return !apiKey || hasScope(apiKey, 'admin') || row.api_key_id === apiKey.key_id;
+}
+
+// Rate limit state of a key returned by use_email_scrap_api_key, which has already counted the current
+// request. Returns { headers, retryAfterSecs }: the X-RateLimit-* headers (none for unlimited keys), and
+// the seconds until the window resets when the request is over the limit, else null.
+export function getRateLimitStatus(apiKey, now = Date.now()) {
+  const limit = apiKey.rate_limit_per_minute;
+  if (!limit) return { headers: {}, retryAfterSecs: null };
+
+  const resetsAt = new Date(apiKey.rate_window_started_at).getTime() + 60 * 1000;
+  const headers = {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(limit - apiKey.rate_window_count, 0)),
+    'X-RateLimit-Reset': String(Math.ceil(resetsAt / 1000))
+  };
+
+  return {
+    headers,
+    retryAfterSecs: apiKey.rate_window_count > limit ? Math.max(Math.ceil((resetsAt - now) / 1000), 1) : null
+  };
+}
+
+// The UTC day daily job quotas count in: { dayStart, nextDayStart }
+export function getQuotaDay(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { dayStart, nextDayStart: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+}
@@ -0,0 +1,90 @@
+// Parsing and validation of bulk submissions for POST /batches
+import { parse } from 'csv-parse/sync';
+import { normalizeInputUrl } from './url-normalization.js';
+
+// Column names accepted as the URL column in CSV uploads and JSON rows
+const URL_COLUMNS = ['url', 'website', 'domain', 'site', 'homepage'];
+
+function findUrlColumn(columns) {
+  const lowerColumns = columns.map(column => column.trim().toLowerCase());
+  for (const candidate of URL_COLUMNS) {
+    const index = lowerColumns.indexOf(candidate);
+    if (index !== -1) return columns[index];
+  }
+  return null;
+}
+
+// CSV with a header row; every column except the URL column is passed through as input_data
+export function parseCsvRows(csvText) {
+  const records = parse(csvText, {
+    columns: header => header.map(column => column.trim()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    relax_column_count: true
+  });
+
+  if (records.length === 0) return [];
+
+  const urlColumn = findUrlColumn(Object.keys(records[0]));
+  if (!urlColumn) {
+    throw new Error(`CSV must have a header row with one of these columns: ${URL_COLUMNS.join(', ')}`);
+  }
+
+  return records.map(record => {
+    const { [urlColumn]: url, ...inputData } = record;
+    return { url, input_data: inputData };
+  });
+}
+
+// JSON bodies: ["a.com", ...], { urls: [...] } or { rows: [{ url, ...passthrough }] }
+export function parseJsonRows(body) {
+  const rows = Array.isArray(body) ? body : (body?.rows ?? body?.urls);
+  if (!Array.isArray(rows)) {
+    throw new Error('Body must be an array of URLs, or an object with a "urls" or "rows" array');
+  }
+
+  return rows.map(row => {
+    if (typeof row === 'string') {
+      return { url: row, input_data: {} };
+    }
+    if (row && typeof row === 'object' && !Array.isArray(row)) {
+      const urlColumn = findUrlColumn(Object.keys(row));
+      if (!urlColumn) return { url: undefined, input_data: row };
+      const { [urlColumn]: url, ...inputData } = row;
+      return { url, input_data: inputData };
+    }
+    return { url: undefined, input_data: {} };
+  });
+}
+
+// Normalizes and dedupes rows. Row numbers are 1-based positions in the submitted list
+// (for CSV, the header is row 0). Returns { accepted, invalid, duplicates }.
+export function validateBatchRows(rows) {
+  const accepted = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Map(); // normalized URL -> row number
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+
+    let url;
+    try {
+      url = normalizeInputUrl(row.url);
+    } catch (error) {
+      invalid.push({ row: rowNumber, url: row.url ?? null, error: error.message });
+      return;
+    }
+
+    if (seen.has(url)) {
+      duplicates.push({ row: rowNumber, url, duplicate_of_row: seen.get(url) });
+      return;
+    }
+
+    seen.set(url, rowNumber);
+    accepted.push({ row: rowNumber, url, input_data: row.input_data || {} });
+  });
+
+  return { accepted, invalid, duplicates };
+}
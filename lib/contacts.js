@@ -0,0 +1,76 @@
+// Provenance tracking: remembers where and how each contact was first found during a crawl
+
+const SNIPPET_RADIUS = 150;
+const SNIPPET_MAX_LENGTH = 160;
+
+// Techniques from lib/email-decoding.js are reported as method "decoded"
+const PLAIN_METHODS = new Set(['mailto', 'tag', 'text', 'json_ld', 'microdata', 'hcard', 'vcard']);
+
+// Short plain-text excerpt of the page around the first occurrence of a needle
+export function buildSnippet(html, needles) {
+  const lowerHtml = html.toLowerCase();
+
+  for (const needle of needles.filter(Boolean)) {
+    const index = lowerHtml.indexOf(needle.toLowerCase());
+    if (index === -1) continue;
+
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(html.length, index + needle.length + SNIPPET_RADIUS);
+    const text = html
+      .slice(start, end)
+      .replace(/^[^<]*>/, '') // Drop a tag that was cut in half at the start
+      .replace(/<[^>]*$/, '') // ...and at the end
+      .replace(/^[\s\S]*<\/(script|style)>/i, '') // Tail of a script/style block that started earlier
+      .replace(/<(script|style)[^>]*>[\s\S]*?(<\/\1>|$)/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text.length <= SNIPPET_MAX_LENGTH) return text;
+
+    // Keep the needle roughly centered when trimming
+    const textIndex = Math.max(0, text.toLowerCase().indexOf(needle.toLowerCase()));
+    const snippetStart = Math.max(0, textIndex - Math.floor((SNIPPET_MAX_LENGTH - needle.length) / 2));
+    return text.slice(snippetStart, snippetStart + SNIPPET_MAX_LENGTH).trim();
+  }
+
+  return null;
+}
+
+export class ContactCollector {
+  constructor() {
+    this.contacts = new Map(); // `${type}:${value}` -> contact
+  }
+
+  // Records a sighting; only the first one sets source_url, method, snippet and first_seen_at
+  add(type, value, { pageUrl, technique, html, raw }) {
+    const key = `${type}:${value.toLowerCase()}`;
+    const existing = this.contacts.get(key);
+
+    if (existing) {
+      if (!existing.seen_on.includes(pageUrl)) {
+        existing.seen_on.push(pageUrl);
+      }
+      return existing;
+    }
+
+    const decoded = type === 'email' && !PLAIN_METHODS.has(technique);
+    const contact = {
+      type,
+      value,
+      source_url: pageUrl,
+      method: decoded ? 'decoded' : technique,
+      ...(decoded && { decoder: technique }),
+      snippet: html ? buildSnippet(html, [value, raw, value.split('@')[1]]) : null,
+      first_seen_at: new Date().toISOString(),
+      seen_on: [pageUrl]
+    };
+
+    this.contacts.set(key, contact);
+    return contact;
+  }
+
+  list() {
+    return Array.from(this.contacts.values());
+  }
+}
@@ -0,0 +1,133 @@
+// Crawl diagnostics: recognizing pages that aren't the site's own content, and summing up why a job ended the
+// way it did. Every page, vCard and document a job fetches gets an entry in its crawl log (see server.js), and
+// the job gets an outcome from the list below, so a job without contacts can be told apart from one that was
+// blocked, couldn't reach the site or crawled a parked domain.
+export const JOB_OUTCOMES = [
+  'contacts_found',
+  'no_contacts_found', // The site was crawled and has no contacts we could find
+  'parked_domain', // The start page is a domain parking or for-sale page
+  'blocked', // A bot challenge, captcha, WAF block page or rate limit kept us out
+  'unreachable', // DNS, connection, timeout, 5xx or proxy failures on the start URL
+  'not_found', // 404/410 on the start URL
+  'http_error', // Other 4xx on the start URL
+  'robots_blocked',
+  'invalid_domain',
+  'failed' // Any other error
+];
+
+// Detections that mean the site refused us, rather than showing its content
+export const BLOCKING_DETECTIONS = ['challenge', 'captcha', 'access_denied'];
+
+const MAX_SCANNED_HTML = 200 * 1024; // Block and parking pages are small; markers are near the top
+const MAX_STUB_PAGE_TEXT = 3000; // Generic captcha and parking wording only counts on pages with little other text
+
+// Interstitials that run JavaScript (or wait) before letting the visitor through
+const CHALLENGE_PATTERNS = [
+  /_cf_chl_opt|__cf_chl_|cf-browser-verification/i, // Cloudflare
+  /<title>\s*Just a moment\.\.\.\s*<\/title>/i, // Cloudflare
+  /<title>\s*DDoS-Guard\s*<\/title>/i,
+  /sucuri_cloudproxy_js/i,
+  /_Incapsula_Resource/i, // Imperva
+  /awsWafCookieDomainList|gokuProps/i, // AWS WAF
+  /<title>\s*Vercel Security Checkpoint\s*<\/title>/i
+];
+
+const CAPTCHA_PATTERNS = [
+  /px-captcha|_pxCaptcha/i, // PerimeterX / HUMAN
+  /captcha-delivery\.com/i, // DataDome
+  /<title>\s*Attention Required! \| Cloudflare\s*<\/title>/i
+];
+
+// Block pages that don't offer a way through
+const ACCESS_DENIED_PATTERNS = [
+  /Sorry, you have been blocked|Error\s*(code)?:?\s*1020\b/i, // Cloudflare firewall rules
+  /Sucuri WebSite Firewall - Access Denied/i,
+  /Incapsula incident ID/i,
+  /errors\.edgesuite\.net|<title>\s*Access Denied\s*<\/title>[\s\S]*Reference\s*#/i // Akamai
+];
+
+// A captcha widget is usually a contact form's spam protection, often with wording like this next to it. It
+// only means a captcha page when there is no message field, as on a contact form, and little other text.
+const CAPTCHA_WIDGET_REGEX = /g-recaptcha|grecaptcha|h-captcha|hcaptcha\.com|cf-turnstile|challenges\.cloudflare\.com\/turnstile/i;
+const HUMAN_CHECK_REGEX = /verify (that )?you are (a )?human|are you a robot|not a robot|unusual traffic|automated (queries|requests)|security check/i;
+
+// Parking services and domain marketplaces
+const PARKING_SERVICE_REGEX = /sedoparking\.com|parkingcrew\.net|bodis\.com|parklogic\.com|above\.com\/marketplace|domainmarket\.com|dan\.com\/buy-domain|afternic\.com\/forsale|hugedomains\.com\/domain_profile|window\.park\s*=|parked-content\.godaddy\.com/i;
+const PARKING_PHRASE_REGEX = /(this|the) domain (name )?(is|may be) for sale|buy this domain|domain is parked|this domain has (recently )?been registered|parked free,? courtesy of|domain has expired/i;
+
+function getVisibleText(html) {
+  return html
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// What kind of non-content page the response is: 'challenge', 'captcha', 'access_denied', 'parked_domain', or
+// null for an ordinary page. `headers` are the response headers, with lower-case names.
+export function detectPageIssue({ statusCode = null, headers = {}, html = '' }) {
+  if (/challenge/i.test(headers?.['cf-mitigated'] || '')) return 'challenge';
+
+  const scanned = html.slice(0, MAX_SCANNED_HTML);
+  if (CHALLENGE_PATTERNS.some(pattern => pattern.test(scanned))) return 'challenge';
+  if (CAPTCHA_PATTERNS.some(pattern => pattern.test(scanned))) return 'captcha';
+  if (ACCESS_DENIED_PATTERNS.some(pattern => pattern.test(scanned))) return 'access_denied';
+
+  const isStubPage = () => getVisibleText(scanned).length <= MAX_STUB_PAGE_TEXT;
+
+  if (HUMAN_CHECK_REGEX.test(scanned) && (CAPTCHA_WIDGET_REGEX.test(scanned) || statusCode >= 400) &&
+    !/<textarea/i.test(scanned) && isStubPage()) {
+    return 'captcha';
+  }
+
+  if (PARKING_SERVICE_REGEX.test(scanned)) return 'parked_domain';
+  if (PARKING_PHRASE_REGEX.test(scanned) && isStubPage()) return 'parked_domain';
+
+  return null;
+}
+
+// Crawl log error code for a page that answered with an error status, or null if the status is fine
+export function errorCodeFromStatus(statusCode) {
+  if (statusCode === 404 || statusCode === 410) return 'not_found';
+  if (statusCode === 429) return 'rate_limited';
+  if (statusCode >= 500) return 'server_error';
+  if (statusCode >= 400) return 'http_error';
+  return null;
+}
+
+// HTTP status mentioned in a request error ("HTTP 503", "Proxy responded with 407 ..."), or null
+export function statusFromError(error) {
+  const match = (error?.message || String(error)).match(/\bHTTP (\d{3})\b|responded with (\d{3})\b|received (\d{3}) status/);
+  return match ? parseInt(match[1] || match[2] || match[3]) : null;
+}
+
+const ERROR_OUTCOMES = {
+  blocked: 'blocked',
+  rate_limited: 'blocked',
+  navigation_timeout: 'unreachable',
+  dns_error: 'unreachable',
+  connection_error: 'unreachable',
+  server_error: 'unreachable',
+  proxy_error: 'unreachable',
+  homepage_not_found: 'not_found',
+  http_error: 'http_error',
+  robots_blocked: 'robots_blocked',
+  invalid_domain: 'invalid_domain'
+};
+
+// Outcome of a job that failed with the error code (see lib/job-errors.js)
+export function getErrorOutcome(errorCode) {
+  return ERROR_OUTCOMES[errorCode] || 'failed';
+}
+
+// Outcome of a job that finished its crawl. `crawlLog` is the job's crawl log; the start page is its first page.
+export function getCrawlOutcome({ contactCount, crawlLog }) {
+  if (contactCount > 0) return 'contacts_found';
+
+  const pages = crawlLog.filter(entry => entry.kind === 'page');
+  if (pages[0]?.detection === 'parked_domain') return 'parked_domain';
+  if (pages.some(entry => BLOCKING_DETECTIONS.includes(entry.detection) || entry.error_code === 'rate_limited')) {
+    return 'blocked';
+  }
+  return 'no_contacts_found';
+}
@@ -0,0 +1,373 @@
+// Long-lived crawling engine shared by every job on this instance. One AdaptivePlaywrightCrawler is started
+// with the server and keeps its browser pool warm between jobs, instead of each job launching a crawler and
+// a browser of its own. Jobs stay isolated:
+//   - each job (a "crawl") plans its own pages, handles its own results and learns its own rendering types;
+//     its requests are tagged with its crawl ID and routed back to its handlers
+//   - browser pages open in incognito contexts and sessions don't keep cookies, so jobs share no state
+//   - a job's requests are deleted from the shared queue when it finishes, so memory doesn't grow
+// Browsers are replaced after a number of pages, when idle, and when they use too much memory.
+// Each job picks the proxy for its pages; one browser serves pages on any proxy.
+//
+// EngineCrawler overrides internal methods of Crawlee's crawlers, so the crawlee version is pinned in
+// package.json. Check these overrides, and run test/crawl-engine.test.js, before upgrading it.
+import {
+  AdaptivePlaywrightCrawler,
+  BrowserLaunchError,
+  Configuration,
+  NonRetryableError,
+  RenderingTypePredictor,
+  getMemoryInfo
+} from 'crawlee';
+import { v4 as uuidv4 } from 'uuid';
+import { createFixedRenderingTypePredictor } from './crawl-options.js';
+import { isProxyError } from './proxy-pools.js';
+
+const RENDERING_TYPE_DETECTION_RATIO = 0.1;
+const MEMORY_CHECK_INTERVAL_MS = 30000;
+
+// Used for requests whose job has already finished; they fail before anything is fetched
+const FALLBACK_PREDICTOR = createFixedRenderingTypePredictor('http');
+
+// Playwright proxy settings for an incognito context. The browser pool moves credentials to a local
+// anonymizing proxy before the context is created.
+function toContextProxy(proxyUrl) {
+  const { protocol, host, username, password } = new URL(proxyUrl);
+  return {
+    server: `${protocol}//${host}`,
+    username: decodeURIComponent(username),
+    password: decodeURIComponent(password)
+  };
+}
+
+class EngineCrawler extends AdaptivePlaywrightCrawler {
+  constructor(engine, options, config) {
+    super(options, config);
+    this.engine = engine;
+  }
+
+  // The page's job picks its proxy before anything is fetched. Plain HTTP requests, and sendRequest, use the
+  // context's proxyInfo; browser pages get the proxy for their incognito context (see prePageCreateHooks).
+  // Crawlee's own proxyConfiguration isn't used, as it would launch a browser per proxy.
+  async _runRequestHandler(crawlingContext) {
+    const crawl = this.engine.getCrawl(crawlingContext.request);
+    const proxyUrl = crawl?.handlers.selectProxy?.(crawlingContext.request) || null;
+    if (!proxyUrl) return super._runRequestHandler(crawlingContext);
+
+    const { hostname, port } = new URL(proxyUrl);
+    crawlingContext.proxyInfo = { url: proxyUrl, hostname, port };
+    this.engine.pageProxies.set(crawlingContext.id, proxyUrl);
+    try {
+      return await super._runRequestHandler(crawlingContext);
+    } finally {
+      this.engine.pageProxies.delete(crawlingContext.id);
+    }
+  }
+
+  // Runs when a request is taken from the queue, before it is given one of the concurrency slots. A page whose
+  // job has to wait first (see the beforeDispatch handler) goes back to the queue once the wait is over, so the
+  // wait doesn't keep other jobs' pages from running. This is how Crawlee's own sameDomainDelaySecs defers
+  // requests. Not to the front of the queue: the in-memory queue would keep forefront requests listed after
+  // deleteRequests removed them, and fail on its next read.
+  delayRequest(request, source) {
+    const wait = this.engine.getCrawl(request)?.handlers.beforeDispatch?.(request);
+    if (!wait) return super.delayRequest(request, source);
+
+    wait
+      .catch(() => {}) // The page then fails in the pre-navigation hook, e.g. because its job was aborted
+      .then(() => source.reclaimRequest(request))
+      .catch(error => console.error(`Failed to requeue ${request.url}:`, error.message));
+    return true;
+  }
+
+  // A failed plain HTTP request is normally retried in a browser. When the proxy failed, the browser would go
+  // through the same proxy, so the page is retried instead and its job can pick another proxy.
+  async runRequestHandlerWithPlainHTTP(crawlingContext, oldStateCopy) {
+    const run = await super.runRequestHandlerWithPlainHTTP(crawlingContext, oldStateCopy);
+    if (!run.ok && crawlingContext.proxyInfo && isProxyError(run.error)) throw run.error;
+    return run;
+  }
+
+  // A browser that fails to launch is a critical error, which stops the crawler and with it every job. Here it
+  // only fails the page that needed the browser, as it did when each job had its own crawler.
+  async _requestFunctionErrorHandler(error, crawlingContext, source) {
+    if (error instanceof BrowserLaunchError) {
+      return super._requestFunctionErrorHandler(new NonRetryableError(error.message, { cause: error }), crawlingContext, source);
+    }
+    return super._requestFunctionErrorHandler(error, crawlingContext, source);
+  }
+}
+
+// One job's use of the engine. Pages it queues with addRequests are handed to its own handlers.
+class Crawl {
+  constructor(engine, { renderingMode, navigationTimeoutSecs, signal, handlers }) {
+    this.engine = engine;
+    this.id = uuidv4();
+    this.navigationTimeoutSecs = navigationTimeoutSecs;
+    this.signal = signal;
+    this.handlers = handlers;
+    this.predictor = renderingMode === 'auto'
+      ? new RenderingTypePredictor({
+        detectionRatio: RENDERING_TYPE_DETECTION_RATIO,
+        persistenceOptions: { persistenceEnabled: false }
+      })
+      : createFixedRenderingTypePredictor(renderingMode);
+    this.pending = new Set(); // uniqueKeys queued and not yet handled or failed
+    this.requestIds = []; // Queue entries to delete once the crawl is done
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+  }
+
+  // Queues pages for this crawl. Keys are scoped to the crawl, so jobs (and retries of a job) crawling the
+  // same URL don't find it already handled. Resolves to the number of pages queued; pages this crawl queued
+  // before are left out, as the queue drops them.
+  async addRequests(requests) {
+    if (!this.engine.crawler) throw new Error('The crawl engine is not running');
+
+    const scoped = requests.map(request => ({
+      ...request,
+      uniqueKey: `${this.id}:${request.uniqueKey || request.url}`,
+      userData: { ...request.userData, crawlId: this.id }
+    }));
+    const newKeys = scoped.map(({ uniqueKey }) => uniqueKey).filter(uniqueKey => !this.pending.has(uniqueKey));
+    for (const uniqueKey of newKeys) this.pending.add(uniqueKey);
+
+    const { addedRequests } = await this.engine.crawler.addRequests(scoped);
+    const queued = addedRequests.filter(({ wasAlreadyPresent }) => !wasAlreadyPresent);
+    this.requestIds.push(...queued.map(({ requestId }) => requestId));
+
+    // Dropped pages never reach the handlers, so they must not keep the crawl waiting for them
+    const queuedKeys = new Set(queued.map(({ uniqueKey }) => uniqueKey));
+    for (const uniqueKey of newKeys) {
+      if (!queuedKeys.has(uniqueKey)) this.pending.delete(uniqueKey);
+    }
+    this.resolveIfIdle();
+
+    return queued.length;
+  }
+
+  // Called once a page has been handled or has failed for good
+  finish(request) {
+    this.pending.delete(request.uniqueKey);
+    this.resolveIfIdle();
+  }
+
+  // The crawl is done when its handlers queued no further pages
+  resolveIfIdle() {
+    if (this.pending.size === 0) this.resolveDone();
+  }
+
+  // Ends the crawl with an error, when the engine itself stopped
+  fail(error) {
+    this.rejectDone(error);
+  }
+
+  // Crawls from the start request until the handlers queue no more pages
+  async run(startRequest) {
+    await this.predictor.initialize();
+    this.engine.crawls.set(this.id, this);
+    try {
+      await this.addRequests([startRequest]);
+      await this.done;
+    } finally {
+      this.engine.crawls.delete(this.id);
+      await this.engine.deleteRequests(this.requestIds);
+    }
+  }
+}
+
+export class CrawlEngine {
+  // maxConcurrency:            pages crawled at once, across all jobs
+  // maxNavigationTimeoutSecs:  upper bound for the navigation timeout jobs pass to createCrawl
+  // retireBrowserAfterPages:   browsers are replaced after this many pages
+  // browserIdleSecs:           browsers without pages for this long are closed
+  // maxBrowserMemoryMb:        browsers are replaced once they use more memory than this, all together
+  // acquirePage:               waits for a browser page slot and resolves to its release function
+  constructor({
+    maxConcurrency,
+    maxNavigationTimeoutSecs,
+    requestHandlerTimeoutSecs,
+    retireBrowserAfterPages,
+    browserIdleSecs,
+    maxBrowserMemoryMb,
+    acquirePage
+  }) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxNavigationTimeoutSecs = maxNavigationTimeoutSecs;
+    this.requestHandlerTimeoutSecs = requestHandlerTimeoutSecs;
+    this.retireBrowserAfterPages = retireBrowserAfterPages;
+    this.browserIdleSecs = browserIdleSecs;
+    this.maxBrowserMemoryMb = maxBrowserMemoryMb;
+    this.acquirePage = acquirePage;
+    this.crawls = new Map(); // crawl ID -> Crawl
+    this.pageSlots = new Map(); // browser page ID -> release
+    this.pageProxies = new Map(); // crawling context ID (the ID of its browser page) -> proxy URL
+    this.crawler = null;
+    this.stopping = false;
+    this.memoryTimer = null;
+  }
+
+  // Creates the crawler and keeps it running until stop(). Pages are handled by the crawl they belong to.
+  start() {
+    if (this.crawler || this.stopping) return;
+
+    // The queue is in memory only; crawls delete their requests from it when they are done
+    const config = new Configuration({ persistStorage: false });
+
+    this.crawler = new EngineCrawler(this, {
+      keepAlive: true, // Wait for new jobs when the queue is empty
+      maxConcurrency: this.maxConcurrency,
+      autoscaledPoolOptions: { desiredConcurrency: this.maxConcurrency }, // Scales down only on memory or CPU pressure
+      navigationTimeoutSecs: this.maxNavigationTimeoutSecs,
+      requestHandlerTimeoutSecs: this.requestHandlerTimeoutSecs,
+      // Each job decides between plain HTTP and a browser for its own pages
+      renderingTypePredictor: {
+        initialize: async () => {},
+        predict: request => (this.getCrawl(request)?.predictor || FALLBACK_PREDICTOR).predict(request),
+        storeResult: (request, renderingType) => this.getCrawl(request)?.predictor.storeResult(request, renderingType)
+      },
+      // Jobs queue their next page from their handlers, directly on the shared queue
+      preventDirectStorageAccess: false,
+      persistCookiesPerSession: false,
+      // 401, 403 and 429 pages reach the handlers, which tell block pages from the site's own error pages
+      sessionPoolOptions: { blockedStatusCodes: [] },
+      launchContext: { useIncognitoPages: true },
+      browserPoolOptions: {
+        retireBrowserAfterPageCount: this.retireBrowserAfterPages,
+        retireInactiveBrowserAfterSecs: this.browserIdleSecs,
+        // Pages wait for a slot before they are opened, and free it when they close
+        prePageCreateHooks: [
+          async (pageId, browserController, pageOptions) => {
+            const proxyUrl = this.pageProxies.get(pageId);
+            if (proxyUrl && pageOptions) pageOptions.proxy = toContextProxy(proxyUrl);
+
+            this.pageSlots.set(pageId, await this.acquirePage());
+          }
+        ],
+        postPageCloseHooks: [
+          (pageId) => {
+            this.pageSlots.get(pageId)?.();
+            this.pageSlots.delete(pageId);
+          }
+        ]
+      },
+      preNavigationHooks: [
+        async (context, gotoOptions) => {
+          const crawl = this.getCrawl(context.request);
+          if (!crawl || crawl.signal.aborted) {
+            throw new NonRetryableError('The job ended before this page was crawled');
+          }
+          if (gotoOptions) gotoOptions.timeout = crawl.navigationTimeoutSecs * 1000;
+
+          try {
+            await crawl.handlers.preNavigation?.(context, {
+              renderingType: context.browserController ? 'browser' : 'http'
+            });
+          } catch (error) {
+            if (crawl.signal.aborted) throw new NonRetryableError('The job ended before this page was crawled');
+            throw error;
+          }
+        }
+      ],
+      requestHandler: async (context) => {
+        const crawl = this.getCrawl(context.request);
+        if (!crawl) return;
+
+        // A handler that throws is retried, so the page only counts as finished once it succeeds
+        await crawl.handlers.requestHandler(context);
+        crawl.finish(context.request);
+      },
+      errorHandler: async (context, error) => {
+        await this.getCrawl(context.request)?.handlers.errorHandler?.(context, error);
+      },
+      failedRequestHandler: async (context, error) => {
+        const crawl = this.getCrawl(context.request);
+        if (!crawl) return;
+
+        try {
+          await crawl.handlers.failedRequestHandler(context, error);
+        } finally {
+          crawl.finish(context.request);
+        }
+      }
+    }, config);
+
+    this.crawler.run()
+      .then(() => this.restart(new Error('The crawl engine stopped')))
+      .catch(error => this.restart(error));
+
+    if (!this.memoryTimer) {
+      this.memoryTimer = setInterval(() => this.checkBrowserMemory(), MEMORY_CHECK_INTERVAL_MS);
+      this.memoryTimer.unref();
+    }
+  }
+
+  // The crawler only stops on its own after a critical error. Running jobs fail with that error (and are
+  // retried); later jobs get a new crawler.
+  restart(error) {
+    if (this.stopping) return;
+
+    console.error('Crawl engine stopped unexpectedly; restarting it:', error);
+    for (const crawl of this.crawls.values()) crawl.fail(error);
+    this.crawls.clear();
+    this.crawler = null;
+    this.start();
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.memoryTimer);
+    if (!this.crawler) return;
+
+    this.crawler.stop('Server is shutting down');
+    await this.crawler.teardown();
+  }
+
+  // handlers: { requestHandler(context), failedRequestHandler(context, error), preNavigation?(context, { renderingType }),
+  // errorHandler?(context, error), selectProxy?(request), beforeDispatch?(request) }. Handlers queue further pages
+  // with crawl.addRequests. selectProxy is called before each attempt at a page and returns the proxy URL to use,
+  // or null. renderingType is 'http' or 'browser', for the attempt about to be made. beforeDispatch is called
+  // whenever a page is about to start, first attempt and retries alike; it returns null to go ahead, or a
+  // promise the page waits for, outside the crawler's concurrency slots, before it is dispatched again.
+  createCrawl({ renderingMode, navigationTimeoutSecs, signal, handlers }) {
+    return new Crawl(this, { renderingMode, navigationTimeoutSecs, signal, handlers });
+  }
+
+  getCrawl(request) {
+    return this.crawls.get(request.userData?.crawlId);
+  }
+
+  // Current load, for the health check
+  getStats() {
+    return {
+      active_crawls: this.crawls.size,
+      browsers: this.crawler?.browserPool.activeBrowserControllers.size || 0
+    };
+  }
+
+  async deleteRequests(requestIds) {
+    const requestQueue = this.crawler?.requestQueue;
+    if (!requestQueue) return; // Replaced along with its crawler
+    for (const requestId of requestIds) {
+      try {
+        await requestQueue.client.deleteRequest(requestId);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  // Browsers grow over time; replacing them lets pages that are open finish while new pages go to a fresh browser
+  async checkBrowserMemory() {
+    try {
+      const { childProcessesBytes } = await getMemoryInfo();
+      if (childProcessesBytes > this.maxBrowserMemoryMb * 1024 * 1024) {
+        console.warn(`Browsers use ${Math.round(childProcessesBytes / 1024 / 1024)} MB; replacing them`);
+        this.crawler.browserPool.retireAllBrowsers();
+      }
+    } catch (error) {
+      console.error('Failed to check browser memory:', error.message);
+    }
+  }
+}
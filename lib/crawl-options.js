@@ -0,0 +1,123 @@
+// Per-job crawl options accepted by POST /extract-emails.
+// Defaults come from the server configuration; ceilings cap what a client may ask for.
+import crypto from 'crypto';
+import { DIRECT_CONNECTION } from './proxy-pools.js';
+
+export const RENDERING_MODES = ['auto', 'http', 'browser'];
+
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+function validateInteger(value, name, min, max, errors) {
+  if (!Number.isInteger(value)) {
+    errors.push(`${name} must be an integer`);
+  } else if (value < min || value > max) {
+    errors.push(`${name} must be between ${min} and ${max}`);
+  }
+}
+
+function validatePatterns(value, name, errors) {
+  if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+    errors.push(`${name} must be an array of non-empty glob strings`);
+  } else if (value.length > MAX_PATTERNS) {
+    errors.push(`${name} accepts at most ${MAX_PATTERNS} patterns`);
+  } else if (value.some(pattern => pattern.length > MAX_PATTERN_LENGTH)) {
+    errors.push(`${name} patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+}
+
+// Returns { options, errors }. `options` has every field filled in, so it can be stored on the
+// job row and used by processJob without consulting the (possibly changed) server defaults again.
+// proxy_pool and proxy_tag stay null for the server's default proxy pool, which is looked up when the
+// job runs.
+//   defaults: { maxDepth, maxPages, navigationTimeoutSecs }
+//   limits:   { maxDepth, maxPages, navigationTimeoutSecs }
+//   proxies:  { pools, tags } configured on this instance (see lib/proxy-pools.js)
+export function resolveCrawlOptions(input, { defaults, limits, proxies = { pools: [], tags: [] } }) {
+  const errors = [];
+
+  if (input === undefined || input === null) {
+    input = {};
+  } else if (typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors: ['options must be an object'] };
+  }
+
+  const options = {
+    max_depth: input.max_depth ?? Math.min(defaults.maxDepth, limits.maxDepth),
+    max_pages: input.max_pages ?? Math.min(defaults.maxPages, limits.maxPages),
+    rendering_mode: input.rendering_mode ?? 'auto',
+    include_subdomains: input.include_subdomains ?? true,
+    stop_after_first_email: input.stop_after_first_email ?? false,
+    respect_robots_txt: input.respect_robots_txt ?? true,
+    include_patterns: input.include_patterns ?? [],
+    exclude_patterns: input.exclude_patterns ?? [],
+    navigation_timeout_secs: input.navigation_timeout_secs ?? Math.min(defaults.navigationTimeoutSecs, limits.navigationTimeoutSecs),
+    proxy_pool: input.proxy_pool ?? null,
+    proxy_tag: input.proxy_tag ?? null
+  };
+
+  const unknownKeys = Object.keys(input).filter(key => !(key in options));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown option(s): ${unknownKeys.join(', ')}`);
+  }
+
+  validateInteger(options.max_depth, 'max_depth', 0, limits.maxDepth, errors);
+  validateInteger(options.max_pages, 'max_pages', 1, limits.maxPages, errors);
+  validateInteger(options.navigation_timeout_secs, 'navigation_timeout_secs', 1, limits.navigationTimeoutSecs, errors);
+
+  if (!RENDERING_MODES.includes(options.rendering_mode)) {
+    errors.push(`rendering_mode must be one of: ${RENDERING_MODES.join(', ')}`);
+  }
+  if (typeof options.include_subdomains !== 'boolean') {
+    errors.push('include_subdomains must be a boolean');
+  }
+  if (typeof options.stop_after_first_email !== 'boolean') {
+    errors.push('stop_after_first_email must be a boolean');
+  }
+  if (typeof options.respect_robots_txt !== 'boolean') {
+    errors.push('respect_robots_txt must be a boolean');
+  }
+
+  validatePatterns(options.include_patterns, 'include_patterns', errors);
+  validatePatterns(options.exclude_patterns, 'exclude_patterns', errors);
+
+  if (options.proxy_pool !== null && options.proxy_pool !== DIRECT_CONNECTION && !proxies.pools.includes(options.proxy_pool)) {
+    errors.push(`proxy_pool must be "${DIRECT_CONNECTION}"${proxies.pools.length > 0 ? ` or one of: ${proxies.pools.join(', ')}` : ' (no proxy pools are configured)'}`);
+  }
+  if (options.proxy_tag !== null && !proxies.tags.includes(options.proxy_tag)) {
+    errors.push(proxies.tags.length > 0 ? `proxy_tag must be one of: ${proxies.tags.join(', ')}` : 'proxy_tag is not available (no proxy pools are tagged)');
+  }
+  if (options.proxy_pool !== null && options.proxy_tag !== null) {
+    errors.push('proxy_pool and proxy_tag can\'t be combined');
+  }
+
+  return errors.length > 0 ? { options: null, errors } : { options, errors };
+}
+
+// JSON with object keys sorted at every level; pattern lists are sets, so they are sorted too
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).sort().join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Stored as options_key on each job, so the result cache finds crawls with equivalent options however the
+// keys and patterns were ordered when they were submitted
+export function getOptionsKey(options) {
+  return crypto.createHash('sha256').update(canonicalJson(options)).digest('hex');
+}
+
+// AdaptivePlaywrightCrawler predictor that always picks one rendering type,
+// used when a job asks for "http" or "browser" instead of automatic detection
+export function createFixedRenderingTypePredictor(renderingMode) {
+  const renderingType = renderingMode === 'browser' ? 'clientOnly' : 'static';
+  return {
+    initialize: async () => {},
+    predict: () => ({ renderingType, detectionProbabilityRecommendation: 0 }),
+    storeResult: () => {}
+  };
+}
@@ -0,0 +1,178 @@
+// Crawl planning: which pages of a site a job visits, and in what order. Candidates come from the sitemap,
+// links on crawled pages and a few guessed paths. Each is scored by how likely it is to list contact
+// details, and the crawl always visits the best-scoring candidate next, so a small max_pages budget is
+// spent on contact, imprint and team pages rather than blog posts.
+import { load } from 'cheerio';
+
+// Tried when the site has no usable sitemap
+export const GUESSED_CONTACT_PATHS = ['/contact', '/contact-us', '/about', '/about-us'];
+
+// Matched against the words of a URL path and of the link text. A word matches when it starts with a
+// keyword, so "kontaktformular" matches "kontakt" and "contacts" matches "contact".
+const CONTACT_KEYWORDS = [
+  // Contact pages, and legal notices that must list an address and email in much of Europe
+  {
+    weight: 10,
+    words: ['contact', 'kontakt', 'contacto', 'contato', 'contatti', 'contatto', 'contactez', 'contacter',
+      'impressum', 'imprint', 'mentions', 'aviso', 'colofon', 'enquir', 'inquir', 'контакт']
+  },
+  // Team and staff pages list people, often with direct addresses
+  {
+    weight: 7,
+    words: ['team', 'staff', 'people', 'leadership', 'management', 'mitarbeiter', 'ansprechpartner', 'equipo',
+      'equipe', 'équipe', 'squadra', 'medewerkers', 'directory', 'attorneys', 'lawyers', 'agents', 'команда']
+  },
+  {
+    weight: 5,
+    words: ['about', 'ueber', 'über', 'uber', 'sobre', 'nosotros', 'quienes', 'siamo', 'propos', 'unternehmen',
+      'empresa', 'azienda', 'entreprise', 'company']
+  },
+  {
+    weight: 3,
+    words: ['support', 'help', 'hilfe', 'ayuda', 'aiuto', 'location', 'standort', 'office', 'büro', 'buero',
+      'oficina', 'career', 'karriere', 'jobs', 'press', 'presse', 'prensa', 'privacy', 'datenschutz']
+  }
+];
+
+// Whole words marking listings and archives that rarely hold contact details
+const LOW_VALUE_WORDS = new Set([
+  'blog', 'news', 'tag', 'tags', 'category', 'categories', 'author', 'archive', 'archives', 'page', 'post', 'posts',
+  'article', 'articles', 'product', 'products', 'shop', 'store', 'cart', 'checkout', 'login', 'signin', 'register',
+  'search', 'feed', 'event', 'events', 'wp', 'json'
+]);
+
+const NAVIGATION_SELECTOR = [
+  'nav', 'header', 'footer', '[role="navigation"]', '.navbar', '.nav', '.navigation', '.menu', '.main-menu',
+  '.site-nav', '.main-nav'
+].join(', ');
+
+function getWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function getKeywordWeight(words) {
+  let best = 0;
+  for (const { weight, words: keywords } of CONTACT_KEYWORDS) {
+    if (weight > best && words.some(word => keywords.some(keyword => word.startsWith(keyword)))) {
+      best = weight;
+    }
+  }
+  return best;
+}
+
+// Higher is more likely to list contact details. Link text counts as much as the URL, since many sites
+// use opaque paths ("/p/1234") or localized ones the keywords don't cover.
+export function scoreCandidate(url, { linkText = '', inNavigation = false, guessed = false } = {}) {
+  const { pathname, search } = new URL(url);
+  let path = pathname;
+  try {
+    path = decodeURIComponent(pathname);
+  } catch (e) {
+    // Keep the encoded path
+  }
+  const pathWords = getWords(path);
+
+  let score = getKeywordWeight(pathWords) + getKeywordWeight(getWords(linkText));
+  if (inNavigation) score += 2; // Menus, headers and footers are where sites link their contact page
+  if (guessed) score -= 3; // Guessed paths often don't exist
+  if (pathWords.some(word => LOW_VALUE_WORDS.has(word)) || /\/(19|20)\d\d\//.test(path)) score -= 5;
+  score -= Math.max(0, path.split('/').filter(Boolean).length - 1); // Contact pages sit near the root
+  if (search) score -= 2;
+
+  return score;
+}
+
+// Links on a page: [{ url, text, inNavigation }], one entry per URL without its #fragment
+export function findPageLinks(html, pageUrl) {
+  const $ = load(html);
+  const links = new Map();
+
+  let baseUrl = pageUrl;
+  try {
+    const baseHref = $('base[href]').attr('href');
+    if (baseHref) baseUrl = new URL(baseHref, pageUrl).href;
+  } catch (e) {
+    // Ignore an invalid <base>
+  }
+
+  $('a[href]').each((_, el) => {
+    const href = $(el).attr('href').trim();
+    if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return;
+
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (e) {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+    url.hash = '';
+
+    const text = [$(el).text(), $(el).attr('title'), $(el).attr('aria-label')]
+      .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+    const inNavigation = $(el).closest(NAVIGATION_SELECTOR).length > 0;
+
+    const existing = links.get(url.href);
+    if (existing) {
+      existing.text = existing.text || text;
+      existing.inNavigation = existing.inNavigation || inNavigation;
+    } else {
+      links.set(url.href, { url: url.href, text, inNavigation });
+    }
+  });
+
+  return Array.from(links.values());
+}
+
+// The candidate pages of one crawl. Each URL is handed out by next() at most once.
+export class CrawlPlanner {
+  constructor({ maxCandidates }) {
+    this.maxCandidates = maxCandidates;
+    this.candidates = new Map(); // URL -> { url, score, depth, order, ...discovery }
+    this.planned = new Set();
+    this.order = 0;
+  }
+
+  get size() {
+    return this.candidates.size;
+  }
+
+  // Keeps URLs that are already queued, like the start URL, out of the plan
+  markPlanned(url) {
+    this.planned.add(url);
+    this.candidates.delete(url);
+  }
+
+  // `discovery` is recorded with the page once it is crawled: { discovered_by, found_on, link_text, depth }.
+  // A URL found again keeps whichever discovery scored higher.
+  add(url, score, discovery) {
+    if (this.planned.has(url)) return;
+
+    const existing = this.candidates.get(url);
+    if (existing) {
+      if (score > existing.score) Object.assign(existing, discovery, { score });
+      return;
+    }
+
+    if (this.candidates.size >= this.maxCandidates) return;
+    this.candidates.set(url, { url, ...discovery, score, order: this.order++ });
+  }
+
+  // Removes and returns the best candidate: highest score, then fewest hops from the start URL, then first found
+  next() {
+    let best = null;
+    for (const candidate of this.candidates.values()) {
+      if (!best ||
+        candidate.score > best.score ||
+        (candidate.score === best.score && candidate.depth < best.depth) ||
+        (candidate.score === best.score && candidate.depth === best.depth && candidate.order < best.order)) {
+        best = candidate;
+      }
+    }
+    if (!best) return null;
+
+    this.markPlanned(best.url);
+    const { order, ...candidate } = best;
+    return candidate;
+  }
+}
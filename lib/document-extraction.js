@@ -0,0 +1,106 @@
+// Text extraction from linked documents (PDF, DOCX, plain text)
+import fetch from 'node-fetch';
+import mammoth from 'mammoth';
+// Import the library entry directly: the package index runs a debug script when loaded as ESM
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const DOCUMENT_EXTENSIONS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  txt: 'txt'
+};
+
+const DOCUMENT_CONTENT_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/plain': 'txt',
+  'application/msword': null // Legacy Word, whatever the extension says
+};
+
+// Regex for enqueueLinks `exclude`, so the crawler never renders documents as pages
+export const DOCUMENT_URL_REGEX = /\.(pdf|docx|txt|vcf)(\?.*|#.*)?$/i;
+
+// Legacy Word files: mammoth only reads DOCX, so these are neither downloaded nor rendered
+export const UNSUPPORTED_DOCUMENT_URL_REGEX = /\.doc(\?.*|#.*)?$/i;
+
+export function getDocumentType(url, contentType = '') {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (mimeType in DOCUMENT_CONTENT_TYPES) return DOCUMENT_CONTENT_TYPES[mimeType];
+
+  try {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    return DOCUMENT_EXTENSIONS[extension] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Absolute URLs of supported documents linked from the page: [{ url, type }]
+export function findDocumentLinks(html, baseUrl) {
+  const links = new Map();
+  const hrefRegex = /<a\s[^>]*href=["']([^"']+)["']/gi;
+
+  for (const match of html.matchAll(hrefRegex)) {
+    try {
+      const url = new URL(match[1], baseUrl);
+      url.hash = '';
+      const type = getDocumentType(url.href);
+      if (type && !links.has(url.href)) {
+        links.set(url.href, { url: url.href, type });
+      }
+    } catch (e) {
+      // Skip invalid URLs
+    }
+  }
+
+  return Array.from(links.values());
+}
+
+export async function extractDocumentText(buffer, type) {
+  if (type === 'pdf') {
+    const { text } = await pdfParse(buffer);
+    return text;
+  }
+
+  if (type === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  }
+
+  return buffer.toString('utf8');
+}
+
+// Downloads a document and returns { type, text, status, bytes }; node-fetch aborts once the body exceeds maxSize.
+// `agent` is passed to node-fetch, e.g. for the job's proxy.
+export async function fetchDocumentText(url, { maxSize, timeoutMs, agent }) {
+  const response = await fetch(url, {
+    agent,
+    size: maxSize,
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { Accept: 'application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain;q=0.9,*/*;q=0.1' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const declaredSize = parseInt(response.headers.get('content-length'));
+  if (declaredSize > maxSize) {
+    throw new Error(`Document is larger than ${maxSize} bytes`);
+  }
+
+  // A ".pdf" link that returns an HTML page is usually a login wall or an error page
+  const contentType = response.headers.get('content-type') || '';
+  if (/text\/html/i.test(contentType)) {
+    throw new Error('Expected a document but received an HTML page');
+  }
+
+  // The content type wins over the extension when both are present
+  const type = getDocumentType(url, contentType);
+  if (!type) {
+    throw new Error(`Unsupported content type: ${contentType}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return { type, text: await extractDocumentText(buffer, type), status: response.status, bytes: buffer.length };
+}
@@ -0,0 +1,208 @@
+// Decoders for emails that sites hide from naive scrapers.
+// Every decoder returns [{ email, technique, raw }] so results can be audited later;
+// `raw` is the obfuscated text as it appears on the page, when there is one.
+import { parse } from 'tldts';
+
+// Matches only start where a local part starts, and parts are bounded, so long runs of letters and digits
+// (inline data, minified code) are scanned in linear time
+const EMAIL_REGEX = /(?<![a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]{1,64}@[a-zA-Z0-9.-]{1,253}\.[a-zA-Z]{2,24}/g;
+
+// Words used for "@" and "." in spelled-out addresses (en, es, pt, fr, it, de, nl, sv, pl)
+const AT_WORDS = ['at', 'arroba', 'arobase', 'chiocciola', 'klammeraffe', 'snabel-a', 'apenstaartje', 'malpa', 'małpa'];
+const DOT_WORDS = ['dot', 'punto', 'ponto', 'point', 'punkt', 'punt', 'kropka', 'prick'];
+
+// Spelled-out addresses are searched for around each "at" word, from at most this far before it
+const MAX_LOCAL_PART_LENGTH = 64;
+const MAX_AT_SEPARATOR_LENGTH = 16;
+
+const NAMED_ENTITIES = {
+  commat: '@',
+  period: '.',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function findEmails(text) {
+  return text.match(EMAIL_REGEX) || [];
+}
+
+function tag(emails, technique, raw) {
+  return emails.map(email => ({ email, technique, ...(raw && { raw }) }));
+}
+
+// Cloudflare "email protection": first byte is the XOR key for the remaining bytes
+function decodeCloudflareHex(hex) {
+  if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length < 4 || hex.length % 2 !== 0) return null;
+
+  const key = parseInt(hex.slice(0, 2), 16);
+  let decoded = '';
+  for (let i = 2; i < hex.length; i += 2) {
+    decoded += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+  }
+  return decoded;
+}
+
+function decodeCloudflareEmails(html) {
+  const results = [];
+  const patterns = [
+    /data-cfemail=["']([0-9a-fA-F]+)["']/gi,
+    /\/cdn-cgi\/l\/email-protection#([0-9a-fA-F]+)/gi
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of html.matchAll(pattern)) {
+      const decoded = decodeCloudflareHex(match[1]);
+      if (decoded) {
+        results.push(...tag(findEmails(decoded), 'cloudflare', match[1]));
+      }
+    }
+  }
+
+  return results;
+}
+
+// Numeric entities beyond the last Unicode code point are left as they are
+function decodeCodePoint(entity, codePoint) {
+  return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-fA-F]+);?/g, (entity, hex) => decodeCodePoint(entity, parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (entity, dec) => decodeCodePoint(entity, parseInt(dec, 10)))
+    .replace(/&([a-zA-Z]+);/g, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] ?? entity);
+}
+
+// Only report addresses that were not already readable in the raw HTML
+function decodeEntityEmails(html) {
+  if (!/&(#x?[0-9a-fA-F]+|commat|period);?/i.test(html)) return [];
+
+  const rawEmails = new Set(findEmails(html).map(email => email.toLowerCase()));
+  const decodedEmails = findEmails(decodeHtmlEntities(html))
+    .filter(email => !rawEmails.has(email.toLowerCase()));
+
+  return tag(decodedEmails, 'html_entity');
+}
+
+function decodePercentEmails(html) {
+  const results = [];
+  const percentRegex = /(?<![a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]{1,192}%40[a-zA-Z0-9.%-]{1,253}\.[a-zA-Z]{2,24}/gi;
+
+  for (const match of html.matchAll(percentRegex)) {
+    try {
+      results.push(...tag(findEmails(decodeURIComponent(match[0])), 'percent_encoded', match[0]));
+    } catch (e) {
+      // Skip malformed escape sequences
+    }
+  }
+
+  return results;
+}
+
+// Sticky, so it is only tried where a local part may start; bounded like EMAIL_REGEX
+function buildSpelledRegex(atSep, dotSep) {
+  const label = '[a-zA-Z0-9-]{1,63}';
+  return new RegExp(
+    `(?<![a-zA-Z0-9._%+-])([a-zA-Z0-9._%+-]{1,${MAX_LOCAL_PART_LENGTH}})(?:${atSep})(${label}(?:(?:${dotSep})${label}){0,8})(?:${dotSep})([a-zA-Z]{2,24})\\b`,
+    'iy'
+  );
+}
+
+// Matches "john [at] example [dot] com", "john(at)example(punkt)de", "john at example [dot] com"
+function decodeSpelledEmails(text) {
+  const results = [];
+  const at = AT_WORDS.join('|');
+  const dot = DOT_WORDS.join('|');
+
+  const bracketedAt = `\\s*[\\[({<]\\s*(?:${at}|@)\\s*[\\])}>]\\s*`;
+  const bracketedDot = `\\s*[\\[({<]\\s*(?:${dot}|\\.)\\s*[\\])}>]\\s*`;
+  const bareAt = `\\s+(?:${at})\\s+`;
+  const bareDot = `\\s+(?:${dot})\\s+`;
+  const dotSplitRegex = new RegExp(`${bracketedDot}|${bareDot}|\\.`, 'gi');
+
+  // Bare " at " only counts with spelled-out, bracketed dots, and bare " dot " only with a bracketed "at";
+  // otherwise sentences like "visit us at example.com" or "we are at home dot com" would turn into addresses
+  const spelledRegexes = [
+    buildSpelledRegex(bracketedAt, `${bracketedDot}|${bareDot}|\\.`),
+    buildSpelledRegex(bareAt, bracketedDot)
+  ];
+
+  // Addresses can only start shortly before an "at" word, so the full patterns only run there
+  const atWordRegex = new RegExp(`[\\[({<]\\s*(?:${at}|@)\\s*[\\])}>]|\\s(?:${at})\\s`, 'gi');
+  const tried = new Set();
+
+  for (const atWord of text.matchAll(atWordRegex)) {
+    const from = Math.max(0, atWord.index - MAX_LOCAL_PART_LENGTH - MAX_AT_SEPARATOR_LENGTH);
+
+    for (let start = from; start < atWord.index; start++) {
+      if (tried.has(start) || !/[a-zA-Z0-9._%+-]/.test(text[start]) || /[a-zA-Z0-9._%+-]/.test(text[start - 1] || '')) continue;
+      tried.add(start);
+
+      for (const spelledRegex of spelledRegexes) {
+        spelledRegex.lastIndex = start;
+        const match = spelledRegex.exec(text);
+        if (!match) continue;
+
+        const domain = `${match[2].split(dotSplitRegex).join('.')}.${match[3]}`;
+        if (!parse(domain).isIcann) continue; // "john [at] home [dot] lan"
+        results.push(...tag(findEmails(`${match[1]}@${domain}`), 'spelled_out', match[0]));
+        break;
+      }
+    }
+  }
+
+  return results;
+}
+
+// CSS tricks that render reversed text right-to-left, e.g.
+// <span style="unicode-bidi:bidi-override; direction:rtl">moc.elpmaxe@ofni</span>
+function decodeReversedEmails(html) {
+  const results = [];
+  const rtlClasses = new Set();
+
+  for (const styleBlock of html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)) {
+    for (const rule of styleBlock[1].matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+      if (!/direction\s*:\s*rtl/i.test(rule[2])) continue;
+      for (const className of rule[1].matchAll(/\.([a-zA-Z0-9_-]+)/g)) {
+        rtlClasses.add(className[1]);
+      }
+    }
+  }
+
+  const elementRegex = /<([a-zA-Z0-9]+)([^>]*)>([^<]+)<\/\1>/g;
+  for (const match of html.matchAll(elementRegex)) {
+    const attributes = match[2];
+    const inlineRtl = /direction\s*:\s*rtl/i.test(attributes) || /dir=["']rtl["']/i.test(attributes);
+    const classMatch = attributes.match(/class=["']([^"']+)["']/i);
+    const classRtl = classMatch && classMatch[1].split(/\s+/).some(name => rtlClasses.has(name));
+
+    if (!inlineRtl && !classRtl) continue;
+
+    const reversed = match[3].trim().split('').reverse().join('');
+    results.push(...tag(findEmails(reversed), 'reversed_text', match[3].trim()));
+  }
+
+  return results;
+}
+
+// Run every decoder over the page HTML
+export function decodeObfuscatedEmails(html) {
+  // Scripts and styles aren't text a visitor reads, and inline data in them can be huge
+  const textContent = decodeHtmlEntities(
+    html
+      .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+  ).replace(/\s+/g, ' ');
+
+  return [
+    ...decodeCloudflareEmails(html),
+    ...decodeEntityEmails(html),
+    ...decodePercentEmails(html),
+    ...decodeSpelledEmails(textContent),
+    ...decodeReversedEmails(html)
+  ];
+}
@@ -0,0 +1,132 @@
+// Post-extraction validation: drops false positives and classifies the emails that survive.
+// Pure functions only, so the rules can be exercised without running a crawl.
+
+// "image@2x.png" and friends: the regex happily matches retina asset filenames
+const ASSET_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'bmp', 'ico', 'tif', 'tiff',
+  'css', 'js', 'mjs', 'json', 'map', 'woff', 'woff2', 'ttf', 'eot', 'otf',
+  'mp4', 'webm', 'mp3', 'wav', 'mov', 'pdf', 'zip', 'php', 'html', 'htm', 'asp', 'aspx'
+]);
+
+// Error trackers and ingest endpoints whose addresses end up in page scripts; nobody is reachable there
+const VENDOR_DOMAINS = [
+  'sentry.io',
+  'sentry.wixpress.com',
+  'sentry-next.wixpress.com',
+  'wixpress.com',
+  'sentry-cdn.com',
+  'bugsnag.com'
+];
+
+// Reserved example domains (RFC 2606) and the "your site" domains templates ship with
+const PLACEHOLDER_DOMAINS = new Set([
+  'example.com', 'example.org', 'example.net', 'yourdomain.com', 'yoursite.com', 'yourwebsite.com',
+  'yourcompany.com', 'mydomain.com', 'mysite.com'
+]);
+const PLACEHOLDER_TLDS = new Set(['example', 'test', 'invalid', 'localhost']);
+
+// Fill-in-the-blank local parts that never name a real mailbox, whatever the domain
+const PLACEHOLDER_LOCAL_PARTS = new Set([
+  'yourname', 'your.name', 'your-name', 'your_name', 'youremail', 'your.email', 'your-email', 'your_email',
+  'firstname.lastname', 'firstname', 'first.last', 'name.surname', 'vorname.nachname'
+]);
+
+// Template and site-builder sample addresses on real domains. Only these exact strings are placeholders:
+// name@, user@ or anything at domain.com on its own may well be a real contact.
+const PLACEHOLDER_ADDRESSES = new Set([
+  'name@domain.com', 'user@domain.com', 'email@domain.com', 'info@domain.com', 'mail@domain.com', 'you@domain.com',
+  'name@company.com', 'info@company.com', 'you@company.com', 'name@email.com', 'your@email.com',
+  'example@email.com', 'email@email.com', 'someone@email.com', 'test@test.com', 'john.doe@gmail.com',
+  'johndoe@gmail.com', 'example@gmail.com'
+]);
+
+// Misspellings of the big free-mail providers that show up in hand-typed contact pages
+const TYPO_DOMAINS = new Set([
+  'gmial.com', 'gmai.com', 'gamil.com', 'gmaill.com', 'gnail.com', 'gmail.co', 'gmail.cm',
+  'hotmial.com', 'hotmal.com', 'hotmail.co', 'yaho.com', 'yahooo.com', 'yahoo.cm',
+  'outlok.com', 'outlook.co', 'iclod.com'
+]);
+
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.es', 'ymail.com',
+  'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'hotmail.es', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'mac.com', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de',
+  't-online.de', 'mail.com', 'mail.ru', 'yandex.com', 'yandex.ru', 'proton.me', 'protonmail.com',
+  'zoho.com', 'libero.it', 'orange.fr', 'free.fr', 'wanadoo.fr', 'qq.com', '163.com'
+]);
+
+const ROLE_LOCAL_PARTS = new Set([
+  'info', 'information', 'contact', 'contactus', 'hello', 'hi', 'office', 'admin', 'administrator',
+  'sales', 'support', 'help', 'service', 'customerservice', 'enquiries', 'enquiry', 'inquiries',
+  'inquiry', 'booking', 'bookings', 'reservations', 'orders', 'billing', 'accounts', 'accounting',
+  'finance', 'hr', 'jobs', 'careers', 'marketing', 'press', 'media', 'team', 'mail', 'webmaster',
+  'postmaster', 'noreply', 'no-reply', 'privacy', 'legal', 'reception', 'frontdesk', 'studio',
+  // Common non-English equivalents
+  'kontakt', 'contacto', 'contato', 'contatti', 'ventas', 'vendas', 'verkauf', 'vertrieb',
+  'buero', 'bureau', 'empfang', 'anfrage', 'kundenservice', 'atendimento', 'administracion'
+]);
+
+const EMAIL_SHAPE_REGEX = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+
+// Lowercase and strip debris the extraction regexes tend to pick up ("%20info@...", "mailto:")
+export function normalizeEmail(email) {
+  return email
+    .trim()
+    .replace(/^mailto:/i, '')
+    .replace(/^(%20)+/i, '')
+    .replace(/^[._%+-]+/, '')
+    .replace(/\.+$/, '')
+    .toLowerCase();
+}
+
+function isVendorDomain(domain) {
+  return VENDOR_DOMAINS.some(vendor => domain === vendor || domain.endsWith(`.${vendor}`));
+}
+
+// Returns the reason an email should be dropped, or null when it looks real
+export function getRejectionReason(email) {
+  if (!EMAIL_SHAPE_REGEX.test(email)) return 'invalid_format';
+
+  const [localPart, domain] = email.split('@');
+  const tld = domain.split('.').pop();
+
+  if (ASSET_EXTENSIONS.has(tld) || /@\dx\./.test(email)) return 'asset_filename';
+  if (localPart.includes('..') || localPart.endsWith('.') || domain.includes('..')) return 'invalid_format';
+  if (domain.split('.').some(label => label.startsWith('-') || label.endsWith('-'))) return 'invalid_format';
+  if (isVendorDomain(domain)) return 'vendor_domain';
+  // Long hex local parts are tracking/ingest keys (e.g. Sentry DSNs)
+  if (/^[0-9a-f]{24,}$/.test(localPart)) return 'vendor_domain';
+  if (PLACEHOLDER_ADDRESSES.has(email) || PLACEHOLDER_LOCAL_PARTS.has(localPart)) return 'placeholder';
+  if (PLACEHOLDER_DOMAINS.has(domain) || PLACEHOLDER_TLDS.has(tld)) return 'placeholder';
+  if (TYPO_DOMAINS.has(domain)) return 'typo';
+
+  return null;
+}
+
+export function classifyEmail(email) {
+  const [localPart, domain] = email.split('@');
+
+  if (FREE_MAIL_DOMAINS.has(domain)) return 'free_mail';
+  if (ROLE_LOCAL_PARTS.has(localPart.split('+')[0])) return 'role';
+  return 'personal';
+}
+
+// Takes extractEmails() output ([{ email, technique }]) and splits it into
+// accepted entries (normalized, with a classification) and rejected ones (with a reason)
+export function filterEmails(matches) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const match of matches) {
+    const email = normalizeEmail(match.email);
+    const reason = getRejectionReason(email);
+
+    if (reason) {
+      rejected.push({ ...match, email, reason });
+    } else {
+      accepted.push({ ...match, email, classification: classifyEmail(email) });
+    }
+  }
+
+  return { accepted, rejected };
+}
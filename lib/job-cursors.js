@@ -0,0 +1,31 @@
+// Keyset pagination cursors for GET /jobs (and the pages of an export).
+// A cursor is the sort column value and job_id of the last job seen; the next page starts right after it.
+
+// Cursors are opaque to clients; they record the sort so a cursor can't be reused with a different one
+export function encodeJobsCursor(job, sort) {
+  const cursor = { sort: sort.column, ascending: sort.ascending, value: job[sort.column], job_id: job.job_id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Returns { value, job_id }, or null if the cursor is malformed or was issued for a different sort.
+// Values are validated because they are interpolated into the PostgREST filter.
+export function decodeJobsCursor(encoded, sort) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(encoded), 'base64url').toString('utf8'));
+
+    if (cursor.sort !== sort.column || cursor.ascending !== sort.ascending) return null;
+    if (typeof cursor.value !== 'string' || isNaN(new Date(cursor.value).getTime())) return null;
+    if (typeof cursor.job_id !== 'string' || !/^[\w-]+$/.test(cursor.job_id)) return null;
+
+    return { value: cursor.value, job_id: cursor.job_id };
+  } catch (e) {
+    return null;
+  }
+}
+
+// PostgREST `or` filter for the rows after `cursor` when ordered by sort.column, then job_id.
+// Unlike offsets, it neither skips nor repeats rows when jobs are added or change status between pages.
+export function buildCursorFilter(sort, cursor) {
+  const op = sort.ascending ? 'gt' : 'lt';
+  return `${sort.column}.${op}."${cursor.value}",and(${sort.column}.eq."${cursor.value}",job_id.${op}."${cursor.job_id}")`;
+}
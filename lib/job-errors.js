@@ -0,0 +1,98 @@
+// Job failure categories and retry scheduling.
+// Transient failures are requeued with exponential backoff; permanent ones fail the job immediately.
+import { parse } from 'tldts';
+
+export const ERROR_CODES = {
+  // Transient
+  navigation_timeout: { retryable: true },
+  dns_error: { retryable: true },
+  connection_error: { retryable: true },
+  server_error: { retryable: true }, // 5xx on the start URL
+  proxy_error: { retryable: true }, // The job's proxy failed, or its proxy pool isn't configured on this instance
+  rate_limited: { retryable: true }, // 429 on the start URL
+  blocked: { retryable: true }, // Bot challenge, captcha or WAF block page on the start URL (see lib/crawl-diagnostics.js)
+  browser_crash: { retryable: true },
+  database_error: { retryable: true },
+  worker_lost: { retryable: true }, // Lease expired while processing (set by expire_email_scrap_job_leases)
+  unknown_error: { retryable: true },
+  // Permanent
+  invalid_domain: { retryable: false },
+  homepage_not_found: { retryable: false }, // 404/410 on the start URL
+  http_error: { retryable: false }, // Other 4xx on the start URL
+  robots_blocked: { retryable: false }
+};
+
+export class JobError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+  }
+}
+
+// Checked before crawling: hosts without a real public suffix will never resolve
+export function validateJobDomain(url) {
+  const { hostname, isIp, isIcann, isPrivate, domain } = parse(url);
+
+  if (isIp || hostname === 'localhost') return;
+  if (!domain || (!isIcann && !isPrivate)) {
+    throw new JobError('invalid_domain', `${hostname} is not a valid public domain`);
+  }
+}
+
+// Error for a start URL that answered with an HTTP error status, or null if the status is fine
+export function errorFromStatusCode(statusCode, url) {
+  if (statusCode === 404 || statusCode === 410) {
+    return new JobError('homepage_not_found', `Start URL ${url} returned HTTP ${statusCode}`);
+  }
+  if (statusCode === 429) {
+    return new JobError('rate_limited', `Start URL ${url} returned HTTP 429`);
+  }
+  if (statusCode >= 500) {
+    return new JobError('server_error', `Start URL ${url} returned HTTP ${statusCode}`);
+  }
+  if (statusCode >= 400) {
+    return new JobError('http_error', `Start URL ${url} returned HTTP ${statusCode}`);
+  }
+  return null;
+}
+
+// Patterns matched against error messages from Playwright, got-scraping, Node and Supabase, in order.
+// HTTP statuses and block pages come first: their messages often mention the proxy they came through
+// ("blocked by upstream proxy: 403") or quote a 5xx body ("503 - Internal Server Error: Proxy Error").
+const MESSAGE_PATTERNS = [
+  ['rate_limited', /received 429 status code|\bHTTP 429\b|^429 - /i],
+  ['http_error', /Request blocked - received 4\d\d status code/i],
+  ['server_error', /received 5\d\d status code|\bHTTP 5\d\d\b|^5\d\d - /i],
+  ['blocked', /\bblocked\b|captcha|access denied/i],
+  ['proxy_error', /proxy|ERR_TUNNEL|socks/i],
+  ['navigation_timeout', /timeout|timed out/i],
+  ['dns_error', /ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED|getaddrinfo/i],
+  ['connection_error', /ECONNRESET|ECONNREFUSED|EHOSTUNREACH|ETIMEDOUT|ERR_CONNECTION|ERR_SSL|ERR_CERT|socket hang up|net::ERR_/i],
+  ['browser_crash', /Target (page, context or browser )?(has been )?closed|Browser (has been )?closed|Page crashed|browserType\.launch|Browser pool/i]
+];
+
+// Returns { code, retryable, message } for any error thrown while processing a job
+export function classifyJobError(error) {
+  const message = error?.message || String(error) || 'Unknown error occurred';
+
+  let code = error instanceof JobError ? error.code : null;
+
+  // Supabase/PostgREST errors carry a `details`/`hint` shape instead of being Error instances
+  if (!code && error && typeof error === 'object' && 'details' in error && 'hint' in error) {
+    code = 'database_error';
+  }
+
+  if (!code) {
+    code = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message))?.[0] || 'unknown_error';
+  }
+
+  return { code, retryable: ERROR_CODES[code]?.retryable ?? true, message };
+}
+
+// Exponential backoff with +/-20% jitter so a batch of failures doesn't retry in lockstep
+export function getRetryDelayMs(retryCount, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(baseDelayMs * 2 ** retryCount, maxDelayMs);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
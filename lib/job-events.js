@@ -0,0 +1,122 @@
+// In-process bus for live job progress. The worker publishes while it crawls; the SSE and
+// WebSocket endpoints subscribe. Events are delivered on "job:<job_id>" and, for batch jobs,
+// also on "batch:<batch_id>".
+import { EventEmitter } from 'events';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per open stream
+
+// Returns publish(type, data) for one job
+export function createJobEventPublisher(jobId, batchId = null) {
+  return (type, data = {}) => {
+    const event = { type, data: { job_id: jobId, ...(batchId && { batch_id: batchId }), ...data, at: new Date().toISOString() } };
+    bus.emit(`job:${jobId}`, event);
+    if (batchId) bus.emit(`batch:${batchId}`, event);
+  };
+}
+
+// Calls listener({ type, data }) for each event; returns the unsubscribe function
+export function subscribeToJobEvents(channel, listener) {
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+}
+
+// Server-Sent Events framing
+export function formatServerSentEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Event stream paths, for WebSocket upgrades (the SSE routes are registered with Express)
+const EVENT_STREAM_ROUTES = [
+  [/^\/job\/([^/]+)\/events$/, 'job'],
+  [/^\/batches\/([^/]+)\/events$/, 'batch']
+];
+
+// Finds the event stream a request URL asks for. Returns { kind: 'job' | 'batch', id }, with id null if it
+// isn't a valid URL-encoded string, or null if the URL isn't an event stream path.
+export function parseEventStreamPath(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://localhost').pathname;
+  } catch (error) {
+    return null;
+  }
+
+  const route = EVENT_STREAM_ROUTES.find(([pattern]) => pattern.test(pathname));
+  if (!route) return null;
+
+  const [pattern, kind] = route;
+  try {
+    return { kind, id: decodeURIComponent(pathname.match(pattern)[1]) };
+  } catch (error) {
+    return { kind, id: null };
+  }
+}
+
+// Express handler that serves one job's or batch's events as Server-Sent Events.
+// `open(id, send, end, apiKey)` starts the stream and returns its cleanup function, or null if there is
+// nothing with that ID (answered with a JSON 404). Cleanup runs whenever the client disconnects, including
+// while open() is still loading.
+export function createServerSentEventsHandler(kind, { open, notFound, heartbeatMs }) {
+  return async (req, res) => {
+    try {
+      const id = req.params.jobId || req.params.batchId;
+      let heartbeat = null;
+      let cleanup = null;
+      let clientClosed = false;
+
+      // Registered before the stream opens, so a client that leaves while the job is loaded is still cleaned up
+      req.on('close', () => {
+        clientClosed = true;
+        clearInterval(heartbeat);
+        if (cleanup) cleanup();
+      });
+
+      const send = (type, data) => res.write(formatServerSentEvent(type, data));
+      const end = () => {
+        clearInterval(heartbeat);
+        res.end();
+      };
+
+      // Headers go out with the first event, so a missing job can still get a JSON 404
+      cleanup = await open(id, (type, data) => {
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+          });
+        }
+        send(type, data);
+      }, end, req.apiKey);
+
+      if (!cleanup) {
+        return res.status(404).json({
+          error: notFound,
+          message: `The specified ${kind} ID does not exist`
+        });
+      }
+
+      if (clientClosed) {
+        cleanup();
+        return;
+      }
+
+      if (!res.writableEnded) {
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+      }
+
+    } catch (error) {
+      console.error(`Error opening ${kind} event stream:`, error);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: `Failed to open the ${kind} event stream`
+      });
+    }
+  };
+}
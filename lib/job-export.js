@@ -0,0 +1,147 @@
+// Streaming exports of job results as CSV, JSONL or XLSX.
+// CSV and XLSX have one row per contact; JSONL has one job (as returned by the API) per line.
+import { once } from 'events';
+import { stringify } from 'csv-stringify';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const CONTACT_COLUMNS = [
+  'job_id', 'batch_id', 'url', 'status', 'business_name',
+  'contact_type', 'contact_value', 'method', 'source_url', 'first_seen_at'
+];
+
+export function getExportContentType(format) {
+  return CONTENT_TYPES[format];
+}
+
+// Header row for CSV/XLSX: the fixed contact columns followed by the original input columns.
+// Input columns that clash with a fixed column are prefixed with "input_".
+export function buildExportColumns(inputKeys) {
+  const inputColumns = Array.from(inputKeys).map(key => ({
+    key,
+    header: CONTACT_COLUMNS.includes(key) ? `input_${key}` : key
+  }));
+
+  return {
+    headers: [...CONTACT_COLUMNS, ...inputColumns.map(column => column.header)],
+    inputColumns
+  };
+}
+
+// One row per contact. Jobs without contacts (queued, failed or empty sites) still get a row
+// so every submitted lead appears in the export.
+export function jobToContactRows(job, columns) {
+  const base = [job.job_id, job.batch_id || '', job.url, job.status, job.business_name || ''];
+  const inputData = job.input_data || {};
+  const inputValues = columns.inputColumns.map(({ key }) => formatCell(inputData[key]));
+  const contacts = job.contacts || [];
+
+  if (contacts.length === 0) {
+    return [[...base, '', '', '', '', '', ...inputValues]];
+  }
+
+  return contacts.map(contact => [
+    ...base,
+    contact.type,
+    contact.value,
+    contact.decoder ? `${contact.method}:${contact.decoder}` : contact.method,
+    contact.source_url || '',
+    contact.first_seen_at || '',
+    ...inputValues
+  ]);
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Thrown by writeJob once the client has gone away, so the caller stops reading jobs from the database
+export class ExportAbortedError extends Error {
+  constructor() {
+    super('The client closed the connection before the export finished');
+    this.name = 'ExportAbortedError';
+  }
+}
+
+// Waits for `event`, or rejects with ExportAbortedError when `signal` is aborted because the client disconnected
+async function waitForEvent(emitter, event, signal) {
+  try {
+    await once(emitter, event, { signal });
+  } catch (error) {
+    throw signal.aborted ? new ExportAbortedError() : error;
+  }
+}
+
+// Writes to `stream` and waits when its buffer is full, so slow clients don't pile rows up in memory
+async function writeWithBackpressure(stream, chunk, signal) {
+  if (signal.aborted) throw new ExportAbortedError();
+  if (!stream.write(chunk)) {
+    await waitForEvent(stream, 'drain', signal);
+  }
+}
+
+// Returns { writeJob(job), end() } for the given format. `formatJob` turns a database row into the
+// public job shape used for JSONL; `columns` comes from buildExportColumns and is used by CSV/XLSX.
+// writeJob rejects with ExportAbortedError once `output` is closed or fails before the export has finished.
+export function createExportWriter(format, output, { columns, formatJob }) {
+  const controller = new AbortController();
+  const abort = () => {
+    if (!output.writableFinished) controller.abort();
+  };
+  output.once('close', abort);
+  output.once('error', abort);
+  const { signal } = controller;
+
+  if (format === 'jsonl') {
+    return {
+      writeJob: job => writeWithBackpressure(output, `${JSON.stringify(formatJob(job))}\n`, signal),
+      end: async () => { output.end(); }
+    };
+  }
+
+  if (format === 'csv') {
+    const stringifier = stringify({ header: true, columns: columns.headers, bom: true });
+    stringifier.pipe(output);
+
+    return {
+      writeJob: async job => {
+        for (const row of jobToContactRows(job, columns)) {
+          await writeWithBackpressure(stringifier, row, signal);
+        }
+      },
+      end: async () => {
+        stringifier.end();
+        await waitForEvent(output, 'finish', signal);
+      }
+    };
+  }
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Contacts');
+    sheet.columns = columns.headers.map(header => ({ header, key: header }));
+
+    return {
+      writeJob: async job => {
+        if (signal.aborted) throw new ExportAbortedError();
+        for (const row of jobToContactRows(job, columns)) {
+          sheet.addRow(row).commit();
+        }
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  throw new Error(`Unsupported export format: ${format}`);
+}
@@ -0,0 +1,24 @@
+// Job priorities and scheduling groups accepted by POST /extract-emails and POST /batches.
+// The claim order itself lives in claim_email_scrap_jobs (supabase-schema.sql).
+
+// Claimed highest first; within a priority, jobs are interleaved round-robin across clients/batches
+export const JOB_PRIORITIES = ['high', 'normal', 'low'];
+export const DEFAULT_JOB_PRIORITY = 'normal';
+export const DEFAULT_BATCH_PRIORITY = 'low'; // Interactive single-URL jobs go ahead of bulk batches by default
+
+// Validates the scheduling fields of a submission: `priority` (high/normal/low) and an optional
+// `client_id` that groups jobs for fair scheduling. Returns { scheduling, errors }.
+export function resolveScheduling(body, defaultPriority) {
+  const errors = [];
+  const priority = body?.priority ?? defaultPriority;
+  const clientId = body?.client_id ?? null;
+
+  if (!JOB_PRIORITIES.includes(priority)) {
+    errors.push(`priority must be one of: ${JOB_PRIORITIES.join(', ')}`);
+  }
+  if (clientId !== null && (typeof clientId !== 'string' || !clientId.trim() || clientId.length > 255)) {
+    errors.push('client_id must be a non-empty string of at most 255 characters');
+  }
+
+  return { scheduling: { priority, client_id: typeof clientId === 'string' ? clientId.trim() : null }, errors };
+}
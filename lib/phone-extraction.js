@@ -0,0 +1,57 @@
+// Phone number extraction: tel: links plus numbers written in the page text, normalized to E.164
+import { findPhoneNumbersInText, parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Returns the E.164 form of a phone number, or null if it is not a valid number
+export function normalizePhone(raw, defaultCountry) {
+  try {
+    const phoneNumber = parsePhoneNumberFromString(raw, defaultCountry);
+    return phoneNumber && phoneNumber.isValid() ? phoneNumber.number : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Returns [{ phone, technique, raw }] with technique "tel" or "text"
+export function extractPhones(html, defaultCountry) {
+  const phones = [];
+
+  // Extract numbers from tel: href attributes
+  const telRegex = /href=["']tel:([^"']+)["']/gi;
+  for (const match of html.matchAll(telRegex)) {
+    let raw = match[1];
+    try {
+      raw = decodeURIComponent(raw);
+    } catch (e) {
+      // Keep the raw value if it is not valid percent-encoding
+    }
+
+    const phone = normalizePhone(raw, defaultCountry);
+    if (phone) {
+      phones.push({ phone, technique: 'tel', raw });
+    }
+  }
+
+  // Extract numbers from visible text; scripts and styles are full of digit runs
+  const textContent = html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ');
+
+  for (const match of findPhoneNumbersInText(textContent, { defaultCountry })) {
+    phones.push({
+      phone: match.number.number,
+      technique: 'text',
+      raw: textContent.slice(match.startsAt, match.endsAt)
+    });
+  }
+
+  // Remove duplicates (same number found by the same technique)
+  const seen = new Set();
+  return phones.filter(({ phone, technique }) => {
+    const key = `${phone}|${technique}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,169 @@
+// Politeness across all jobs on this instance. Before a page, vCard or document is fetched, the request takes a
+// slot for the site's registrable domain (example.co.uk for shop.example.co.uk) and one for the IP address its
+// host resolves to. Each has a limit on requests in flight and a minimum time between request starts, so jobs
+// for the same site, a batch of its subdomains, or many sites on one shared server don't hit it in parallel.
+// Browser pages take one of a fixed number of page slots as well, which bounds memory however many jobs run.
+import { promises as dns } from 'dns';
+import { parse } from 'tldts';
+
+const DNS_CACHE_MS = 5 * 60 * 1000;
+const MAX_CACHED_HOSTNAMES = 1000;
+const MAX_IDLE_SLOTS = 1000; // Idle domain and IP entries are pruned beyond this
+
+export class RequestScheduler {
+  // domainDelayMs, maxPerDomain: minimum time between request starts, and requests in flight, per registrable domain
+  // ipDelayMs, maxPerIp:         the same per IP address
+  // maxOpenPages:                browser pages open at once
+  constructor({ domainDelayMs, maxPerDomain, ipDelayMs, maxPerIp, maxOpenPages }) {
+    this.domainDelayMs = domainDelayMs;
+    this.maxPerDomain = maxPerDomain;
+    this.ipDelayMs = ipDelayMs;
+    this.maxPerIp = maxPerIp;
+    this.maxOpenPages = maxOpenPages;
+    this.slots = new Map(); // key -> { active, nextStartAt }
+    this.waiting = []; // [{ limits, resolve }] in arrival order
+    this.addresses = new Map(); // hostname -> { expiresAt, promise }
+    this.timer = null;
+  }
+
+  // Waits until a request to the URL may start. `minDelayMs` raises the domain delay, for robots.txt
+  // Crawl-delay. Resolves to a release function, to be called once the response has arrived. Rejects with
+  // the signal's reason when it is aborted first.
+  async acquire(url, { minDelayMs = 0, signal } = {}) {
+    const { hostname, isIp, domain } = parse(url);
+    const limits = [{
+      key: `domain:${domain || hostname}`,
+      max: this.maxPerDomain,
+      delayMs: Math.max(this.domainDelayMs, minDelayMs)
+    }];
+
+    const address = isIp ? hostname : await this.resolve(hostname);
+    if (address) {
+      limits.push({ key: `ip:${address}`, max: this.maxPerIp, delayMs: this.ipDelayMs });
+    }
+
+    return this.wait(limits, signal);
+  }
+
+  // Waits for a browser page slot. Resolves to a release function, to be called when the page is closed.
+  acquirePage(signal) {
+    return this.wait([{ key: 'pages', max: this.maxOpenPages, delayMs: 0 }], signal);
+  }
+
+  // Current load, for the health check
+  getStats() {
+    let requestsInFlight = 0;
+    for (const [key, slot] of this.slots) {
+      if (key.startsWith('domain:')) requestsInFlight += slot.active;
+    }
+    return {
+      requests_in_flight: requestsInFlight,
+      open_pages: this.slots.get('pages')?.active || 0,
+      waiting: this.waiting.length
+    };
+  }
+
+  // IP address the hostname resolves to, or null when it can't be resolved (the request then fails on its own)
+  async resolve(hostname) {
+    const cached = this.addresses.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = dns.lookup(hostname).then(({ address }) => address, () => null);
+    this.addresses.delete(hostname);
+    this.addresses.set(hostname, { expiresAt: Date.now() + DNS_CACHE_MS, promise });
+    if (this.addresses.size > MAX_CACHED_HOSTNAMES) {
+      this.addresses.delete(this.addresses.keys().next().value); // Oldest entry
+    }
+
+    const address = await promise;
+    if (!address) this.addresses.delete(hostname); // Don't keep failed lookups
+    return address;
+  }
+
+  wait(limits, signal) {
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) this.waiting.splice(index, 1);
+        reject(signal.reason);
+      };
+      const waiter = {
+        limits,
+        resolve: release => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(release);
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  // Starts every waiting request whose slots are free, oldest first. A request held up by a busy site doesn't
+  // hold up requests to other sites queued behind it.
+  dispatch() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (let i = 0; i < this.waiting.length;) {
+      const waiter = this.waiting[i];
+      const readyAt = Math.max(...waiter.limits.map(limit => this.getReadyAt(limit, now)));
+      if (readyAt > now) {
+        wakeAt = Math.min(wakeAt, readyAt); // Slots that are in use (Infinity) wake waiters when released
+        i++;
+        continue;
+      }
+
+      this.waiting.splice(i, 1);
+      waiter.resolve(this.start(waiter.limits, now));
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.dispatch(), wakeAt - now);
+    }
+  }
+
+  getReadyAt({ key, max }, now) {
+    const slot = this.slots.get(key);
+    if (!slot) return now;
+    if (slot.active >= max) return Infinity;
+    return slot.nextStartAt;
+  }
+
+  start(limits, now) {
+    for (const { key, delayMs } of limits) {
+      const slot = this.slots.get(key) || { active: 0, nextStartAt: 0 };
+      slot.active++;
+      slot.nextStartAt = now + delayMs;
+      this.slots.set(key, slot);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      for (const { key } of limits) {
+        this.slots.get(key).active--;
+      }
+      this.pruneIdleSlots();
+      this.dispatch();
+    };
+  }
+
+  pruneIdleSlots() {
+    if (this.slots.size <= MAX_IDLE_SLOTS) return;
+
+    const now = Date.now();
+    for (const [key, slot] of this.slots) {
+      if (slot.active === 0 && slot.nextStartAt <= now) this.slots.delete(key);
+    }
+  }
+}
@@ -0,0 +1,120 @@
+// robots.txt support: each origin's file is fetched once, cached, and checked before every page, vCard and
+// document request. Unavailable files are handled as RFC 9309 describes:
+//   4xx (usually no robots.txt)       - everything is allowed
+//   5xx, timeout or connection error  - a temporary failure: the fetch is retried a few times with backoff.
+//                                       If it keeps failing, the last copy fetched for the origin is used,
+//                                       or, without one, everything is allowed. Either fallback is only kept
+//                                       for errorTtlMs, so the file is soon fetched again.
+import fetch from 'node-fetch';
+import robotsParser from 'robots-parser';
+
+const MAX_ROBOTS_TXT_SIZE = 500 * 1024; // RFC 9309: crawlers must parse at least the first 500 KiB
+const MAX_CACHED_ORIGINS = 1000;
+
+// Rules for one origin. isAllowed(url) must only be called with URLs on that origin.
+function createPolicy(origin, { isAllowed = () => true, crawlDelaySecs = 0, sitemaps = [], unavailable = null } = {}) {
+  return {
+    origin,
+    unavailable, // Why robots.txt couldn't be read, when the policy allows everything because of it
+    crawlDelayMs: crawlDelaySecs * 1000,
+    sitemaps, // "Sitemap:" URLs listed in the file
+    isAllowed
+  };
+}
+
+export class RobotsTxtCache {
+  // userAgent:              product token matched against "User-agent" lines and sent when fetching robots.txt
+  // ttlMs, errorTtlMs:      how long fetched files, and fallbacks for failed fetches, are reused
+  // retries, retryDelayMs:  extra attempts after a 5xx or network error, the first after retryDelayMs, then doubling
+  // maxCrawlDelaySecs:      longer Crawl-delay values are capped so a job can still finish
+  constructor({ userAgent, ttlMs, errorTtlMs, timeoutMs, retries = 2, retryDelayMs = 1000, maxCrawlDelaySecs }) {
+    this.userAgent = userAgent;
+    this.ttlMs = ttlMs;
+    this.errorTtlMs = errorTtlMs;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxCrawlDelaySecs = maxCrawlDelaySecs;
+    this.policies = new Map(); // origin -> { expiresAt, promise, fetched }, fetched being the last copy read
+  }
+
+  // Resolves to the policy for the URL's origin. Concurrent callers share one fetch. `agent` is the
+  // node-fetch agent used if the file has to be fetched, e.g. the job's proxy.
+  async getPolicy(url, { agent } = {}) {
+    const { origin } = new URL(url);
+    const cached = this.policies.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const entry = { expiresAt: Infinity, promise: null, fetched: cached?.fetched ?? null };
+    entry.promise = this.fetchPolicy(origin, agent).then(
+      policy => {
+        entry.fetched = policy;
+        entry.expiresAt = Date.now() + this.ttlMs;
+        return policy;
+      },
+      error => {
+        console.warn(`${origin}/robots.txt is unavailable (${error.message}); ` +
+          `${entry.fetched ? 'using the last copy fetched' : 'crawling as if it allowed everything'} for now`);
+        entry.expiresAt = Date.now() + this.errorTtlMs;
+        return entry.fetched || createPolicy(origin, { unavailable: error.message });
+      }
+    );
+
+    this.policies.delete(origin);
+    this.policies.set(origin, entry);
+    if (this.policies.size > MAX_CACHED_ORIGINS) {
+      this.policies.delete(this.policies.keys().next().value); // Oldest entry
+    }
+
+    return entry.promise;
+  }
+
+  // Fetches and parses the origin's robots.txt, retrying temporary failures. Throws once the retries are used up.
+  async fetchPolicy(origin, agent) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchPolicyOnce(origin, agent);
+      } catch (error) {
+        if (attempt >= this.retries) throw error;
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** attempt));
+      }
+    }
+  }
+
+  async fetchPolicyOnce(origin, agent) {
+    const robotsUrl = `${origin}/robots.txt`;
+
+    let response;
+    try {
+      response = await fetch(robotsUrl, {
+        agent,
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const message = error.name === 'AbortError' || error.name === 'TimeoutError'
+        ? `no response within ${this.timeoutMs}ms`
+        : error.message;
+      throw new Error(`robots.txt could not be fetched: ${message}`);
+    }
+
+    if (response.status >= 500) {
+      await response.arrayBuffer().catch(() => {});
+      throw new Error(`robots.txt returned HTTP ${response.status}`);
+    }
+    if (!response.ok) {
+      await response.arrayBuffer().catch(() => {});
+      return createPolicy(origin);
+    }
+
+    const contents = (await response.text()).slice(0, MAX_ROBOTS_TXT_SIZE);
+    const rules = robotsParser(robotsUrl, contents);
+    const crawlDelaySecs = Math.min(rules.getCrawlDelay(this.userAgent) || 0, this.maxCrawlDelaySecs);
+
+    return createPolicy(origin, {
+      isAllowed: url => rules.isAllowed(url, this.userAgent) !== false,
+      crawlDelaySecs,
+      sitemaps: rules.getSitemaps()
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// sitemap.xml discovery: page URLs from the sitemaps listed in robots.txt, or /sitemap.xml when there are none.
+// Sitemap indexes are followed (up to maxSitemaps files in total) and gzipped sitemaps are supported.
+import fetch from 'node-fetch';
+import { gunzipSync } from 'zlib';
+
+const LOC_REGEX = /<loc>\s*(?:<!\[CDATA\[)?\s*([\s\S]*?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Returns { urls, sitemaps }: page URLs from a <urlset>, or child sitemap URLs from a <sitemapindex>
+export function parseSitemap(xml) {
+  const locations = Array.from(xml.matchAll(LOC_REGEX), match => decodeXmlEntities(match[1]))
+    .filter(location => /^https?:\/\//i.test(location));
+
+  return /<sitemapindex[\s>]/i.test(xml)
+    ? { urls: [], sitemaps: locations }
+    : { urls: locations, sitemaps: [] };
+}
+
+async function fetchSitemap(url, { userAgent, timeoutMs, maxSize, agent }) {
+  const response = await fetch(url, {
+    agent,
+    size: maxSize,
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { 'User-Agent': userAgent, Accept: 'application/xml,text/xml;q=0.9,*/*;q=0.1' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // node-fetch undoes Content-Encoding: gzip, but not .xml.gz files served as application/gzip
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const isGzipFile = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (isGzipFile ? gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+// Page URLs listed in the site's sitemaps, at most `maxUrls`. `sitemapUrls` are the Sitemap lines from
+// robots.txt. `isAllowed(url)` filters out sitemaps the crawler may not fetch, and `schedule(url, fetch)` runs
+// each fetch when the site may be sent another request. `agent` is passed to node-fetch (the job's proxy).
+// Never throws; a missing or broken sitemap just contributes no URLs.
+export async function fetchSitemapUrls(startUrl, {
+  sitemapUrls = [],
+  isAllowed = async () => true,
+  schedule = (url, fetchFn) => fetchFn(),
+  userAgent,
+  timeoutMs,
+  maxSize,
+  maxSitemaps,
+  maxUrls,
+  agent,
+  log = () => {}
+}) {
+  const pending = sitemapUrls.length > 0 ? [...sitemapUrls] : [new URL('/sitemap.xml', startUrl).href];
+  const fetched = new Set();
+  const urls = new Set();
+
+  while (pending.length > 0 && fetched.size < maxSitemaps && urls.size < maxUrls) {
+    const sitemapUrl = pending.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+
+    if (!await isAllowed(sitemapUrl)) continue;
+
+    try {
+      const xml = await schedule(sitemapUrl, () => fetchSitemap(sitemapUrl, { userAgent, timeoutMs, maxSize, agent }));
+      const { urls: pageUrls, sitemaps } = parseSitemap(xml);
+      pending.push(...sitemaps);
+      for (const pageUrl of pageUrls) {
+        if (urls.size >= maxUrls) break;
+        urls.add(pageUrl);
+      }
+    } catch (error) {
+      log(`Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  return Array.from(urls);
+}
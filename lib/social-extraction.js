@@ -0,0 +1,98 @@
+// Social profile extraction. Each network is a small plugin:
+//   pattern   - global regex; match[0] is the URL, match[1] the profile path/handle
+//   skip      - path segments (lowercased) that are share widgets, tracking pixels, etc.
+//   normalize - optional, turns a match into the stored URL (defaults to the cleaned match)
+
+// Keeps "box.com/..." from matching x.com and "platform.twitter.com" from matching twitter.com
+const BOUNDARY = '(?<![\\w.-])';
+const SCHEME = '(?:https?:\\/\\/)?';
+
+const networks = new Map();
+
+export function registerSocialNetwork(name, definition) {
+  networks.set(name, { skip: [], ...definition });
+}
+
+export function getSocialNetworks() {
+  return Array.from(networks.keys());
+}
+
+registerSocialNetwork('facebook', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:www\\.|m\\.)?(?:facebook\\.com|fb\\.com)\\/((?:profile\\.php\\?id=\\d+|pages\\/[a-zA-Z0-9._-]+|groups\\/[a-zA-Z0-9._-]+|[a-zA-Z0-9._-]{2,})(?:\\/[a-zA-Z0-9._-]+)*)`, 'gi'),
+  skip: [
+    'home', 'login', 'register', 'help', 'privacy', 'terms', 'cookies', 'settings',
+    // Share dialogs, social plugins and the tracking pixel (facebook.com/tr?id=...)
+    'sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'v2.0', 'v3.0'
+  ]
+  // No normalize: Facebook URLs are stored as found so facebook_urls keeps its format
+});
+
+registerSocialNetwork('instagram', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:www\\.)?instagram\\.com\\/([a-zA-Z0-9._]{1,30})`, 'gi'),
+  skip: ['p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct', 'about', 'developer', 'legal', 'embed.js'],
+  normalize: (url, handle) => `https://www.instagram.com/${handle}`
+});
+
+registerSocialNetwork('linkedin', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:[a-z]{2,3}\\.)?linkedin\\.com\\/((?:company|in|school|showcase)\\/[a-zA-Z0-9_%-]+)`, 'gi'),
+  normalize: (url, path) => `https://www.linkedin.com/${path}`
+});
+
+registerSocialNetwork('twitter', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:www\\.|mobile\\.)?(?:twitter\\.com|x\\.com)\\/([a-zA-Z0-9_]{1,15})(?![\\w.])`, 'gi'),
+  skip: [
+    'intent', 'share', 'home', 'search', 'hashtag', 'i', 'login', 'signup', 'widgets',
+    'privacy', 'tos', 'explore', 'settings', 'messages', 'notifications', 'compose'
+  ],
+  normalize: (url, handle) => `https://x.com/${handle}`
+});
+
+registerSocialNetwork('tiktok', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:www\\.)?tiktok\\.com\\/@([a-zA-Z0-9._]{2,24})`, 'gi'),
+  normalize: (url, handle) => `https://www.tiktok.com/@${handle}`
+});
+
+registerSocialNetwork('youtube', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:www\\.|m\\.)?youtube\\.com\\/((?:channel\\/|c\\/|user\\/|@)[a-zA-Z0-9._-]+)`, 'gi'),
+  normalize: (url, path) => `https://www.youtube.com/${path}`
+});
+
+registerSocialNetwork('pinterest', {
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:[a-z]{2}\\.|www\\.)?pinterest\\.(?:com|[a-z]{2}(?:\\.[a-z]{2})?)\\/([a-zA-Z0-9_]{3,30})(?![\\w.])`, 'gi'),
+  // pinterest.com/pin/create/button is the "Pin it" share widget
+  skip: ['pin', 'search', 'ideas', 'explore', 'login', 'business', 'about', 'today', 'categories', 'pinit'],
+  normalize: (url, handle) => `https://www.pinterest.com/${handle}`
+});
+
+registerSocialNetwork('whatsapp', {
+  // Click-to-chat links only; wa.me/?text=... share links have no number and never match
+  pattern: new RegExp(`${BOUNDARY}${SCHEME}(?:wa\\.me\\/|(?:api|web)\\.whatsapp\\.com\\/send\\/?\\?(?:[^"'\\s<>]*?&(?:amp;)?)?phone=)\\+?(\\d{6,15})`, 'gi'),
+  normalize: (url, phone) => `https://wa.me/${phone}`
+});
+
+function cleanUrl(url) {
+  return url.replace(/\\+/g, '').replace(/\/+$/, '');
+}
+
+// Returns { facebook: [...], instagram: [...], ... } with an array for every registered network
+export function extractSocialProfiles(html) {
+  const profiles = {};
+
+  for (const [name, { pattern, skip, normalize }] of networks) {
+    const urls = [];
+
+    for (const match of html.matchAll(pattern)) {
+      const url = cleanUrl(match[0]);
+      const path = cleanUrl(match[1]);
+      const firstSegment = path.split(/[/?]/)[0].toLowerCase();
+
+      if (skip.includes(firstSegment)) continue;
+
+      urls.push(normalize ? normalize(url, path) : url);
+    }
+
+    profiles[name] = [...new Set(urls)]; // Remove duplicates
+  }
+
+  return profiles;
+}
@@ -0,0 +1,342 @@
+// Structured-data extraction from schema.org JSON-LD, microdata, hCard and vCard files
+import { load } from 'cheerio';
+import fetch from 'node-fetch';
+
+// schema.org types we treat as "the business behind the site"
+const BUSINESS_TYPE_REGEX = /(Organization|LocalBusiness|Corporation|Store|Restaurant|Hotel|Dentist|Physician|Attorney|Agency|Company)$/i;
+
+// `page` is the HTML or a cheerio document already loaded from it, so callers can parse a page once
+function loadPage(page) {
+  return typeof page === 'string' ? load(page) : page;
+}
+
+function clean(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function getTypes(node) {
+  const types = node['@type'];
+  if (!types) return [];
+  return (Array.isArray(types) ? types : [types]).map(type => String(type).replace(/^.*[/#]/, ''));
+}
+
+function isBusinessNode(node) {
+  const types = getTypes(node);
+  if (types.some(type => BUSINESS_TYPE_REGEX.test(type))) return true;
+  // Many sites use obscure LocalBusiness subtypes; a named thing with an address is close enough
+  return Boolean(node.name && node.address) && !types.includes('Person');
+}
+
+// Collects every object that has an @type, including ones nested in @graph or properties
+function collectNodes(value, nodes = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectNodes(item, nodes));
+  } else if (value && typeof value === 'object') {
+    if (value['@type']) nodes.push(value);
+    Object.values(value).forEach(item => collectNodes(item, nodes));
+  }
+  return nodes;
+}
+
+function parseJsonLdBlocks($) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const raw = $(el).contents().text()
+      .replace(/^\s*<!--|-->\s*$/g, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '');
+    try {
+      collectNodes(JSON.parse(raw), nodes);
+    } catch (e) {
+      // Ignore invalid JSON-LD blocks, they are common on hand-edited sites
+    }
+  });
+
+  return nodes;
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function normalizeAddress(address) {
+  if (!address) return null;
+
+  if (typeof address === 'string') {
+    const formatted = clean(address);
+    return formatted ? { formatted } : null;
+  }
+
+  const country = firstValue(address.addressCountry);
+  const normalized = {
+    street_address: clean(firstValue(address.streetAddress)),
+    locality: clean(firstValue(address.addressLocality)),
+    region: clean(firstValue(address.addressRegion)),
+    postal_code: clean(firstValue(address.postalCode)),
+    country: clean(country && typeof country === 'object' ? country.name : country)
+  };
+
+  const formatted = [
+    normalized.street_address,
+    normalized.locality,
+    [normalized.region, normalized.postal_code].filter(Boolean).join(' '),
+    normalized.country
+  ].filter(Boolean).join(', ');
+
+  return formatted ? { ...normalized, formatted } : null;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function stripScheme(value, scheme) {
+  return value.replace(new RegExp(`^${scheme}:`, 'i'), '').split('?')[0];
+}
+
+function extractFromJsonLd($, result) {
+  for (const node of parseJsonLdBlocks($)) {
+    const types = getTypes(node);
+
+    if (types.includes('PostalAddress')) {
+      const address = normalizeAddress(node);
+      if (address) result.addresses.push({ ...address, technique: 'json_ld' });
+      continue;
+    }
+
+    // Emails, phones and profile links count on any node: Person, ContactPoint, Organization...
+    for (const email of toList(node.email)) {
+      const value = clean(email);
+      if (value) result.emails.push({ email: stripScheme(value, 'mailto'), technique: 'json_ld' });
+    }
+
+    for (const telephone of toList(node.telephone)) {
+      const raw = clean(telephone);
+      if (raw) result.telephones.push({ raw: stripScheme(raw, 'tel'), technique: 'json_ld' });
+    }
+
+    for (const link of toList(node.sameAs)) {
+      const url = clean(link);
+      if (url) result.socialLinks.push({ url, technique: 'json_ld' });
+    }
+
+    if (!isBusinessNode(node)) continue;
+
+    const name = clean(firstValue(node.legalName) || firstValue(node.name));
+    if (name) result.names.push({ name, technique: 'json_ld' });
+
+    // Typed PostalAddress nodes are collected on their own; handle strings and untyped objects here
+    for (const address of toList(node.address)) {
+      if (typeof address === 'string' || !address['@type']) {
+        const normalized = normalizeAddress(address);
+        if (normalized) result.addresses.push({ ...normalized, technique: 'json_ld' });
+      }
+    }
+  }
+}
+
+// Value of a microdata/microformat property: content/href attributes win over text
+function elementValue($, el) {
+  const $el = $(el);
+  return clean($el.attr('content') || $el.attr('href') || $el.text());
+}
+
+// Properties that belong to this itemscope, not to a nested one
+function scopedProps($, scope, prop) {
+  return $(scope)
+    .find(`[itemprop~="${prop}"]`)
+    .filter((_, el) => $(el).parent().closest('[itemscope]').get(0) === scope)
+    .toArray();
+}
+
+function extractFromMicrodata($, result) {
+  $('[itemscope][itemtype]').each((_, scope) => {
+    const itemtype = $(scope).attr('itemtype') || '';
+    const types = itemtype.split(/\s+/).map(type => type.replace(/^.*[/#]/, ''));
+
+    if (types.includes('PostalAddress')) {
+      const property = prop => {
+        const el = scopedProps($, scope, prop)[0];
+        return el ? elementValue($, el) : undefined;
+      };
+      const address = normalizeAddress({
+        streetAddress: property('streetAddress'),
+        addressLocality: property('addressLocality'),
+        addressRegion: property('addressRegion'),
+        postalCode: property('postalCode'),
+        addressCountry: property('addressCountry')
+      });
+      if (address) result.addresses.push({ ...address, technique: 'microdata' });
+      return;
+    }
+
+    for (const el of scopedProps($, scope, 'email')) {
+      const email = elementValue($, el);
+      if (email) result.emails.push({ email: stripScheme(email, 'mailto'), technique: 'microdata' });
+    }
+
+    for (const el of scopedProps($, scope, 'telephone')) {
+      const raw = elementValue($, el);
+      if (raw) result.telephones.push({ raw: stripScheme(raw, 'tel'), technique: 'microdata' });
+    }
+
+    for (const el of scopedProps($, scope, 'sameAs')) {
+      const url = elementValue($, el);
+      if (url) result.socialLinks.push({ url, technique: 'microdata' });
+    }
+
+    if (!types.some(type => BUSINESS_TYPE_REGEX.test(type))) return;
+
+    const nameEl = scopedProps($, scope, 'legalName')[0] || scopedProps($, scope, 'name')[0];
+    const name = nameEl ? elementValue($, nameEl) : null;
+    if (name) result.names.push({ name, technique: 'microdata' });
+  });
+}
+
+// hCard microformats, both classic (class="vcard") and microformats2 (class="h-card")
+function extractFromHCard($, result) {
+  $('.vcard, .h-card').each((_, card) => {
+    const $card = $(card);
+    const values = selector => $card.find(selector).toArray().map(el => elementValue($, el)).filter(Boolean);
+
+    for (const email of values('.email, .u-email')) {
+      result.emails.push({ email: stripScheme(email, 'mailto'), technique: 'hcard' });
+    }
+
+    for (const raw of values('.tel, .p-tel')) {
+      result.telephones.push({ raw: stripScheme(raw, 'tel'), technique: 'hcard' });
+    }
+
+    for (const url of values('.url, .u-url')) {
+      result.socialLinks.push({ url, technique: 'hcard' });
+    }
+
+    const [org] = values('.org, .p-org');
+    if (org) result.names.push({ name: org, technique: 'hcard' });
+
+    $card.find('.adr, .h-adr, .p-adr').each((_, adr) => {
+      const part = selector => clean($(adr).find(selector).first().text());
+      const address = normalizeAddress({
+        streetAddress: part('.street-address, .p-street-address'),
+        addressLocality: part('.locality, .p-locality'),
+        addressRegion: part('.region, .p-region'),
+        postalCode: part('.postal-code, .p-postal-code'),
+        addressCountry: part('.country-name, .p-country-name')
+      });
+      if (address) result.addresses.push({ ...address, technique: 'hcard' });
+    });
+  });
+}
+
+function emptyResult() {
+  return { names: [], addresses: [], telephones: [], emails: [], socialLinks: [] };
+}
+
+// Unescapes vCard text values ("\,", "\;", "\n")
+function unescapeVCardValue(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+}
+
+// Parses one or more vCards (versions 2.1-4.0) into the same shape as extractStructuredData
+export function parseVCard(text) {
+  const result = emptyResult();
+  // Folded lines continue with a leading space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    // "item1.EMAIL;TYPE=work" -> "EMAIL"
+    const property = line.slice(0, separator).split(';')[0].replace(/^[^.]*\./, '').toUpperCase();
+    const value = line.slice(separator + 1).trim();
+    if (!value) continue;
+
+    if (property === 'EMAIL') {
+      result.emails.push({ email: stripScheme(value, 'mailto'), technique: 'vcard' });
+    } else if (property === 'TEL') {
+      result.telephones.push({ raw: stripScheme(value, 'tel'), technique: 'vcard' });
+    } else if (property === 'URL') {
+      result.socialLinks.push({ url: value, technique: 'vcard' });
+    } else if (property === 'ORG') {
+      const name = clean(unescapeVCardValue(value.split(';')[0]));
+      if (name) result.names.push({ name, technique: 'vcard' });
+    } else if (property === 'ADR') {
+      // ADR: post office box; extended address; street; locality; region; postal code; country
+      const [, , street, locality, region, postalCode, country] = value.split(';').map(unescapeVCardValue);
+      const address = normalizeAddress({
+        streetAddress: street,
+        addressLocality: locality,
+        addressRegion: region,
+        postalCode,
+        addressCountry: country
+      });
+      if (address) result.addresses.push({ ...address, technique: 'vcard' });
+    }
+  }
+
+  return result;
+}
+
+// Absolute URLs of vCard files linked from the page (HTML or a loaded cheerio document)
+export function findVCardLinks(page, baseUrl) {
+  const $ = loadPage(page);
+  const links = new Set();
+
+  $('a[href]').each((_, el) => {
+    const href = $(el).attr('href');
+    if (!/\.vcf(\?|#|$)/i.test(href) && !/vcard/i.test($(el).attr('type') || '')) return;
+    try {
+      links.add(new URL(href, baseUrl).href);
+    } catch (e) {
+      // Skip invalid URLs
+    }
+  });
+
+  return Array.from(links);
+}
+
+// Downloads a vCard file and returns { text, status, bytes }; node-fetch aborts once the body exceeds maxSize.
+// `agent` is passed to node-fetch, e.g. for the page's proxy.
+export async function fetchVCardText(url, { maxSize, timeoutMs, agent }) {
+  const response = await fetch(url, {
+    agent,
+    size: maxSize,
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { Accept: 'text/vcard,text/x-vcard;q=0.9,*/*;q=0.1' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const declaredSize = parseInt(response.headers.get('content-length'));
+  if (declaredSize > maxSize) {
+    throw new Error(`vCard is larger than ${maxSize} bytes`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return { text: buffer.toString('utf8'), status: response.status, bytes: buffer.length };
+}
+
+// Returns { names, addresses, telephones, emails, socialLinks } for the page (HTML or a loaded cheerio document);
+// every entry carries the technique that found it
+export function extractStructuredData(page) {
+  const $ = loadPage(page);
+  const result = emptyResult();
+
+  extractFromJsonLd($, result);
+  extractFromMicrodata($, result);
+  extractFromHCard($, result);
+
+  // Fall back to the Open Graph site name when there is no structured business name
+  if (result.names.length === 0) {
+    const siteName = clean($('meta[property="og:site_name"]').attr('content'));
+    if (siteName) result.names.push({ name: siteName, technique: 'og_site_name' });
+  }
+
+  return result;
+}
@@ -0,0 +1,49 @@
+// URL normalization for user-submitted lead lists
+import { parse } from 'tldts';
+
+// Turns "Example.com/contact/" or " http://www.example.com#top " into a crawlable absolute URL.
+// Throws when the input cannot be a website URL.
+export function normalizeInputUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('URL is empty');
+  }
+
+  let value = input.trim();
+  // Lead lists usually contain bare domains
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  const url = new URL(value);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol ${url.protocol}`);
+  }
+  if (!url.hostname.includes('.')) {
+    throw new Error(`Invalid hostname ${url.hostname}`);
+  }
+
+  url.hash = '';
+  // new URL() already lowercases the hostname and drops default ports; strip trailing slashes from paths
+  if (url.pathname !== '/' && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  return url.href;
+}
+
+// Registrable domain of a URL or bare hostname ("https://shop.example.co.uk/a" -> "example.co.uk"), stored on
+// each job so jobs can be looked up by site. IPs and hosts without a public suffix are returned as-is.
+export function getUrlDomain(input) {
+  const { hostname, domain } = parse(String(input).trim());
+  return domain || hostname || null;
+}
+
+// Key under which a site's crawl results are cached: the host without "www.", so http/https, www and
+// trailing slashes (or any path) all map to the same site. Null when the input isn't a website URL.
+export function getSiteKey(input) {
+  try {
+    return new URL(normalizeInputUrl(input)).host.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,190 @@
+// Signed webhook callbacks sent when jobs and batches finish.
+// Receivers verify X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>",
+// keyed with WEBHOOK_SECRET. Including the timestamp lets receivers reject replayed deliveries.
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { getRetryDelayMs } from './job-errors.js';
+
+// Addresses a callback must not reach, so a submitted callback_url can't be used to probe the server's own
+// network: unspecified, loopback, private, carrier-grade NAT, link-local (including cloud metadata endpoints),
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hostname as it appears in WEBHOOK_ALLOWED_HOSTS: lower case, IPv6 literals without brackets
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+// Parses WEBHOOK_ALLOWED_HOSTS (comma or whitespace separated hostnames)
+export function parseAllowedHosts(value = '') {
+  return value.split(/[\s,]+/).filter(Boolean).map(normalizeHost);
+}
+
+function blockedAddressError(hostname, address) {
+  const target = net.isIP(normalizeHost(hostname)) ? `host ${hostname} is` : `host ${hostname} resolves to ${address},`;
+  return new Error(`callback_url ${target} a loopback, private or link-local address`);
+}
+
+// Throws unless every address `hostname` resolves to may be called back. Hosts in `allowedHosts` skip the check.
+export async function checkCallbackHost(hostname, { allowedHosts = [] } = {}) {
+  const host = normalizeHost(hostname);
+  if (allowedHosts.includes(host)) return;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new Error(`callback_url host ${hostname} could not be resolved`);
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) throw blockedAddressError(hostname, blocked.address);
+}
+
+// Throws when `value` can't be used as a callback URL; returns the normalized URL
+export async function validateCallbackUrl(value, { allowedHosts = [] } = {}) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('callback_url must be a non-empty string');
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    throw new Error('callback_url must be a valid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('callback_url must use http or https');
+  }
+
+  await checkCallbackHost(url.hostname, { allowedHosts });
+  return url.href;
+}
+
+// DNS lookup for the delivery agents that refuses blocked addresses. Checking the address the connection actually
+// uses covers hosts whose DNS changed since the callback_url was accepted.
+function createGuardedLookup(allowedHosts) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error || allowedHosts.includes(normalizeHost(hostname))) return callback(error, address, family);
+
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+      if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+      callback(null, address, family);
+    });
+  };
+}
+
+const deliveryAgents = new Map(); // WEBHOOK_ALLOWED_HOSTS value -> { http, https } agents
+
+// `agent` option for node-fetch deliveries
+function getDeliveryAgent(allowedHosts) {
+  const key = allowedHosts.join(',');
+  if (!deliveryAgents.has(key)) {
+    const lookup = createGuardedLookup(allowedHosts);
+    deliveryAgents.set(key, {
+      http: new http.Agent({ keepAlive: true, lookup }),
+      https: new https.Agent({ keepAlive: true, lookup })
+    });
+  }
+  const agents = deliveryAgents.get(key);
+  return parsedUrl => (parsedUrl.protocol === 'https:' ? agents.https : agents.http);
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// POSTs one delivery. Never throws; returns { ok, status_code, error, duration_ms } for the delivery log.
+// Any 2xx response counts as delivered. Hosts in `allowedHosts` may resolve to private addresses.
+export async function sendWebhook(url, { event, deliveryId, body, secret, timeoutMs, allowedHosts = [] }) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  try {
+    // IP literals connect without a DNS lookup, so the agents' lookup never sees them
+    const { hostname } = new URL(url);
+    if (net.isIP(normalizeHost(hostname))) await checkCallbackHost(hostname, { allowedHosts });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      agent: getDeliveryAgent(allowedHosts),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'email-extraction-api-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual', // A redirect would re-send the signed payload somewhere the submitter didn't choose
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    await response.arrayBuffer().catch(() => {}); // Drain the body so the connection can be reused
+
+    return {
+      ok: response.ok,
+      status_code: response.status,
+      error: response.ok ? null : `Receiver responded with HTTP ${response.status}`,
+      duration_ms: Date.now() - startedAt
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError' || error.name === 'AbortError'
+      ? `No response within ${timeoutMs}ms`
+      : (error.cause?.message || error.message);
+
+    return { ok: false, status_code: null, error: message, duration_ms: Date.now() - startedAt };
+  }
+}
+
+// Update for a delivery after one attempt: appends the attempt to its log and marks it delivered, schedules
+// the next retry with exponential backoff, or marks it failed once max_attempts is used up.
+// `result` comes from sendWebhook plus attempted_at; `retry` is { baseDelayMs, maxDelayMs }.
+export function buildWebhookAttemptUpdate(delivery, result, { workerId, retry }) {
+  const attemptCount = delivery.attempt_count + 1;
+  const update = {
+    attempt_count: attemptCount,
+    attempts: [...(delivery.attempts || []), {
+      attempt: attemptCount,
+      worker_id: workerId,
+      attempted_at: result.attempted_at,
+      status_code: result.status_code,
+      duration_ms: result.duration_ms,
+      error: result.error
+    }]
+  };
+
+  if (result.ok) {
+    Object.assign(update, { status: 'delivered', delivered_at: new Date().toISOString(), next_attempt_at: null });
+  } else if (attemptCount < delivery.max_attempts) {
+    update.next_attempt_at = new Date(Date.now() + getRetryDelayMs(attemptCount - 1, retry)).toISOString();
+  } else {
+    Object.assign(update, { status: 'failed', next_attempt_at: null });
+  }
+
+  return update;
+}
@@ -3,6 +3,9 @@ import { performance } from 'perf_hooks';
 
 // Load testing script for the queue-based email extraction API
 const API_BASE_URL = 'http://localhost:3000';
+// Sent with every request; create one with `npm run create-api-key -- --name test`
+const API_KEY = process.env.API_KEY;
+const AUTH_HEADERS = API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {};
 
 // Test URLs for load testing
 const TEST_URLS = [
@@ -32,6 +35,7 @@ class LoadTester {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...AUTH_HEADERS
         },
         body: JSON.stringify({ url })
       });
@@ -142,7 +146,7 @@ class LoadTester {
       
       const statusPromises = this.jobIds.map(async (jobId) => {
         try {
-          const response = await fetch(`${API_BASE_URL}/job/${jobId}`);
+          const response = await fetch(`${API_BASE_URL}/job/${jobId}`, { headers: AUTH_HEADERS });
           const result = await response.json();
           return { jobId, ...result.job };
         } catch (error) {
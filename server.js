@@ -1,9 +1,38 @@
 import 'dotenv/config';
+import http from 'http';
+import os from 'os';
 import express from 'express';
 import cors from 'cors';
-import { AdaptivePlaywrightCrawler } from 'crawlee';
+import { enqueueLinks } from 'crawlee';
 import { createClient } from '@supabase/supabase-js';
+import multer from 'multer';
+import { WebSocketServer } from 'ws';
+import { load } from 'cheerio';
 import { v4 as uuidv4 } from 'uuid';
+import { decodeObfuscatedEmails } from './lib/email-decoding.js';
+import { filterEmails } from './lib/email-quality.js';
+import { ContactCollector } from './lib/contacts.js';
+import { extractPhones, normalizePhone } from './lib/phone-extraction.js';
+import { extractStructuredData, fetchVCardText, findVCardLinks, parseVCard } from './lib/structured-data.js';
+import { extractSocialProfiles, getSocialNetworks } from './lib/social-extraction.js';
+import { DOCUMENT_URL_REGEX, UNSUPPORTED_DOCUMENT_URL_REGEX, fetchDocumentText, findDocumentLinks } from './lib/document-extraction.js';
+import { getOptionsKey, resolveCrawlOptions } from './lib/crawl-options.js';
+import { parseCsvRows, parseJsonRows, validateBatchRows } from './lib/batch-input.js';
+import { getSiteKey, getUrlDomain } from './lib/url-normalization.js';
+import { JobError, classifyJobError, errorFromStatusCode, getRetryDelayMs, validateJobDomain } from './lib/job-errors.js';
+import { RobotsTxtCache } from './lib/robots-txt.js';
+import { RequestScheduler } from './lib/request-scheduler.js';
+import { CrawlEngine } from './lib/crawl-engine.js';
+import { ProxyPools, isProxyErrorStatus, loadProxyPools } from './lib/proxy-pools.js';
+import { fetchSitemapUrls } from './lib/sitemaps.js';
+import { BLOCKING_DETECTIONS, JOB_OUTCOMES, detectPageIssue, errorCodeFromStatus, getCrawlOutcome, getErrorOutcome, statusFromError } from './lib/crawl-diagnostics.js';
+import { CrawlPlanner, GUESSED_CONTACT_PATHS, findPageLinks, scoreCandidate } from './lib/crawl-planning.js';
+import { createJobEventPublisher, createServerSentEventsHandler, parseEventStreamPath, subscribeToJobEvents } from './lib/job-events.js';
+import { EXPORT_FORMATS, ExportAbortedError, buildExportColumns, createExportWriter, getExportContentType } from './lib/job-export.js';
+import { buildWebhookAttemptUpdate, parseAllowedHosts, sendWebhook, validateCallbackUrl } from './lib/webhooks.js';
+import { canAccess, extractApiKey, getQuotaDay, getRateLimitStatus, hasScope, hashApiKey } from './lib/api-keys.js';
+import { DEFAULT_BATCH_PRIORITY, DEFAULT_JOB_PRIORITY, JOB_PRIORITIES, resolveScheduling } from './lib/job-scheduling.js';
+import { buildCursorFilter, decodeJobsCursor, encodeJobsCursor } from './lib/job-cursors.js';
 
 // Disable Crawlee persistent storage to prevent lock file issues
 process.env.CRAWLEE_PERSIST_STORAGE = 'false';
@@ -14,9 +43,80 @@ const PORT = process.env.PORT || 3000;
 // Configuration
 const MAX_CONCURRENT_WORKERS = parseInt(process.env.MAX_CONCURRENT_WORKERS) || 1;
 const WORKER_BATCH_SIZE = parseInt(process.env.WORKER_BATCH_SIZE) || 5;
-const RATE_LIMIT_DELAY = parseInt(process.env.RATE_LIMIT_DELAY) || 1000; // 1 second between requests
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300; // Claimed jobs return to the queue if not renewed in time
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const RETRY_BASE_DELAY_SECS = parseInt(process.env.RETRY_BASE_DELAY_SECS) || 30; // First retry delay, doubled on each attempt
+const RETRY_MAX_DELAY_SECS = parseInt(process.env.RETRY_MAX_DELAY_SECS) || 3600;
+const RATE_LIMIT_DELAY = parseInt(process.env.RATE_LIMIT_DELAY) || 1000; // Between requests to one registrable domain, across all jobs
+const MAX_REQUESTS_PER_DOMAIN = parseInt(process.env.MAX_REQUESTS_PER_DOMAIN) || 1; // In flight at once, across all jobs
+const IP_RATE_LIMIT_DELAY = parseInt(process.env.IP_RATE_LIMIT_DELAY ?? '250') || 0; // Between requests to one IP address
+const MAX_REQUESTS_PER_IP = parseInt(process.env.MAX_REQUESTS_PER_IP) || 4; // Higher than per domain; CDNs serve many unrelated sites from one IP
+const MAX_OPEN_PAGES = parseInt(process.env.MAX_OPEN_PAGES) || 5; // Browser pages open at once, across all jobs
+const BROWSER_RETIRE_AFTER_PAGES = parseInt(process.env.BROWSER_RETIRE_AFTER_PAGES) || 100; // Browsers are replaced after this many pages
+const BROWSER_IDLE_SECS = parseInt(process.env.BROWSER_IDLE_SECS) || 300; // Browsers without pages are closed after this long
+const BROWSER_MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 2048; // Browsers are replaced when they use more
+const REQUEST_HANDLER_TIMEOUT_SECS = 60;
 const MAX_DEPTH = parseInt(process.env.MAX_DEPTH) || 2;
 const PER_INSTANCE_REQUEST_LIMIT = parseInt(process.env.PER_INSTANCE_REQUEST_LIMIT) || 30;
+const NAVIGATION_TIMEOUT_SECS = parseInt(process.env.NAVIGATION_TIMEOUT_SECS) || 15;
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'EmailExtractionBot'; // Matched against "User-agent" lines in robots.txt
+const ROBOTS_TXT_CACHE_SECS = parseInt(process.env.ROBOTS_TXT_CACHE_SECS) || 86400;
+const ROBOTS_TXT_ERROR_CACHE_SECS = 300; // Unreachable robots.txt files are retried sooner
+const ROBOTS_TXT_RETRIES = 2; // Extra attempts after a 5xx or network error, 1s then 2s later
+const ROBOTS_TXT_TIMEOUT_MS = 10000;
+const MAX_CRAWL_DELAY_SECS = parseInt(process.env.MAX_CRAWL_DELAY_SECS) || 30; // Longer Crawl-delay values are capped
+const PROXY_URLS = process.env.PROXY_URLS || ''; // Proxies of the "default" pool, comma separated
+const PROXY_CONFIG_FILE = process.env.PROXY_CONFIG_FILE; // JSON file with named, tagged proxy pools (see lib/proxy-pools.js)
+const PROXY_ROTATION = process.env.PROXY_ROTATION || 'request'; // For pools that don't set their own: 'request' or 'session'
+const PROXY_MAX_FAILURES = parseInt(process.env.PROXY_MAX_FAILURES) || 3; // Consecutive proxy errors before a proxy is skipped
+const PROXY_RETRY_AFTER_SECS = parseInt(process.env.PROXY_RETRY_AFTER_SECS) || 300; // How long a failing proxy is skipped
+
+// Ceilings for the per-job crawl options accepted by POST /extract-emails
+const MAX_DEPTH_CEILING = parseInt(process.env.MAX_DEPTH_CEILING) || 5;
+const MAX_PAGES_CEILING = parseInt(process.env.MAX_PAGES_CEILING) || 100;
+const NAVIGATION_TIMEOUT_CEILING_SECS = parseInt(process.env.NAVIGATION_TIMEOUT_CEILING_SECS) || 60;
+
+const MAX_VCARDS_PER_PAGE = parseInt(process.env.MAX_VCARDS_PER_PAGE) || 3;
+const MAX_DOCUMENTS_PER_PAGE = parseInt(process.env.MAX_DOCUMENTS_PER_PAGE) || 3;
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE) || 10 * 1024 * 1024; // 10 MB
+const DOCUMENT_TIMEOUT_MS = 15000;
+const MAX_SITEMAP_FILES = 5; // Sitemaps (including sitemap index children) read per job
+const MAX_SITEMAP_URLS = 5000;
+const MAX_SITEMAP_SIZE = 10 * 1024 * 1024; // 10 MB
+const SITEMAP_TIMEOUT_MS = 10000;
+const MAX_CRAWL_CANDIDATES = 5000; // Pages kept in a job's crawl plan
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 10000; // Max URLs per POST /batches
+const MAX_BATCH_UPLOAD_SIZE = parseInt(process.env.MAX_BATCH_UPLOAD_SIZE) || 10 * 1024 * 1024; // 10 MB
+const BATCH_INSERT_CHUNK_SIZE = 500;
+const EXPORT_PAGE_SIZE = 200; // Jobs fetched per query while streaming an export
+const JOBS_PAGE_SIZE = 50; // Default page size for GET /jobs
+const MAX_JOBS_PAGE_SIZE = 200;
+const JOB_SORT_COLUMNS = ['created_at', 'updated_at']; // Both are never null, so they work as pagination cursors
+const JOB_EVENTS_POLL_MS = parseInt(process.env.JOB_EVENTS_POLL_MS) || 2000; // Event streams re-check the database this often
+const EVENT_STREAM_HEARTBEAT_MS = 15000; // Keeps idle SSE/WebSocket connections open through proxies
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // Signs callback_url deliveries; callback_url is rejected without it
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_DELAY_SECS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECS) || 30; // Doubled after each failed attempt
+const WEBHOOK_RETRY_MAX_DELAY_SECS = 3600;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Callback hosts that may resolve to loopback or private addresses (e.g. a receiver on the same network), comma separated
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+const WEBHOOK_POLL_MS = 5000; // How often due retries are picked up
+const WEBHOOK_DISPATCH_BATCH_SIZE = 20;
+// Successful crawls of a site are reused for this long by POST /extract-emails; 0 turns the cache off
+const RESULT_CACHE_MAX_AGE_HOURS = parseInt(process.env.RESULT_CACHE_MAX_AGE_HOURS ?? '24') || 0;
+// Copied from the cached job onto the new one
+const JOB_RESULT_COLUMNS = [
+  'emails', 'email_details', 'facebook_urls', 'social_profiles', 'phones', 'addresses', 'business_name',
+  'contacts', 'crawled_urls', 'crawled_pages', 'crawled_documents', 'skipped_urls', 'pages_crawled', 'outcome',
+  'crawl_log'
+];
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase(); // Used for numbers without a country code
+
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY !== 'false'; // Only turn off for local development
+
+const JOB_STATUSES = ['queued', 'processing', 'done', 'error', 'cancelled'];
+const FINISHED_JOB_STATUSES = ['done', 'error', 'cancelled'];
 
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -29,6 +129,57 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Proxy pools shared by all jobs on this instance. A broken configuration stops the server rather than
+// sending traffic without the proxies it was meant to use.
+let proxyPools;
+try {
+  proxyPools = new ProxyPools({
+    ...loadProxyPools({ urls: PROXY_URLS, file: PROXY_CONFIG_FILE, rotation: PROXY_ROTATION }),
+    maxFailures: PROXY_MAX_FAILURES,
+    retryAfterMs: PROXY_RETRY_AFTER_SECS * 1000
+  });
+} catch (error) {
+  console.error(`Invalid proxy configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const CRAWL_OPTION_SETTINGS = {
+  defaults: { maxDepth: MAX_DEPTH, maxPages: PER_INSTANCE_REQUEST_LIMIT, navigationTimeoutSecs: NAVIGATION_TIMEOUT_SECS },
+  limits: { maxDepth: MAX_DEPTH_CEILING, maxPages: MAX_PAGES_CEILING, navigationTimeoutSecs: NAVIGATION_TIMEOUT_CEILING_SECS },
+  proxies: proxyPools.getChoices()
+};
+
+// Shared by every job on this instance, so each site's robots.txt is fetched once and Crawl-delay holds across jobs
+const robotsTxtCache = new RobotsTxtCache({
+  userAgent: ROBOTS_USER_AGENT,
+  ttlMs: ROBOTS_TXT_CACHE_SECS * 1000,
+  errorTtlMs: ROBOTS_TXT_ERROR_CACHE_SECS * 1000,
+  timeoutMs: ROBOTS_TXT_TIMEOUT_MS,
+  retries: ROBOTS_TXT_RETRIES,
+  retryDelayMs: 1000,
+  maxCrawlDelaySecs: MAX_CRAWL_DELAY_SECS
+});
+
+// Per-domain and per-IP politeness, and the browser page limit, shared by all jobs on this instance
+const requestScheduler = new RequestScheduler({
+  domainDelayMs: RATE_LIMIT_DELAY,
+  maxPerDomain: MAX_REQUESTS_PER_DOMAIN,
+  ipDelayMs: IP_RATE_LIMIT_DELAY,
+  maxPerIp: MAX_REQUESTS_PER_IP,
+  maxOpenPages: MAX_OPEN_PAGES
+});
+
+// One crawler and browser pool for all jobs, started with the server (see lib/crawl-engine.js)
+const crawlEngine = new CrawlEngine({
+  maxConcurrency: MAX_CONCURRENT_WORKERS,
+  maxNavigationTimeoutSecs: NAVIGATION_TIMEOUT_CEILING_SECS,
+  requestHandlerTimeoutSecs: REQUEST_HANDLER_TIMEOUT_SECS,
+  retireBrowserAfterPages: BROWSER_RETIRE_AFTER_PAGES,
+  browserIdleSecs: BROWSER_IDLE_SECS,
+  maxBrowserMemoryMb: BROWSER_MAX_MEMORY_MB,
+  acquirePage: () => requestScheduler.acquirePage()
+});
+
 // Crawlee configuration
 // Configuration.set('STORAGE_CLIENT_OPTIONS', {
 //   storageDir: './storage',
@@ -50,9 +201,13 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Large enough for JSON batch submissions
+
+// CSV uploads for POST /batches, either as multipart "file" field or a raw text/csv body
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_BATCH_UPLOAD_SIZE } });
 
 // Email extraction function - works with HTML content
+// Returns [{ email, technique }] so every address can be traced back to how it was found
 function extractEmails(html) {
   const emails = [];
   
@@ -60,70 +215,63 @@ function extractEmails(html) {
   const mailtoRegex = /href=["']mailto:([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})["']/gi;
   const mailtoMatches = html.matchAll(mailtoRegex);
   for (const match of mailtoMatches) {
-    emails.push(match[1]);
+    emails.push({ email: match[1], technique: 'mailto' });
   }
   
   // Extract emails wrapped in HTML tags (like font, b, span, etc.)
   const htmlEmailRegex = /<[^>]*>([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})<\/[^>]*>/gi;
   const htmlEmailMatches = html.matchAll(htmlEmailRegex);
   for (const match of htmlEmailMatches) {
-    emails.push(match[1]);
+    emails.push({ email: match[1], technique: 'tag' });
   }
   
   // Extract emails from plain text (after removing HTML tags)
   const textContent = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-  const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+  // Bounded, and anchored to the start of a word, so long runs of letters and digits don't backtrack for seconds
+  const emailRegex = /(?<![a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]{1,64}@[a-zA-Z0-9.-]{1,253}\.[a-zA-Z]{2,24}/g;
   const textEmails = textContent.match(emailRegex) || [];
-  emails.push(...textEmails);
-  
-  return [...new Set(emails)]; // Remove duplicates
-}
+  emails.push(...textEmails.map(email => ({ email, technique: 'text' })));
 
-// Facebook URL extraction function - improved to avoid false links
-function extractFacebookUrls(text) {
-  // More precise Facebook URL regex that avoids false matches
-  const facebookRegex = /(?:https?:\/\/)?(?:www\.)?(?:facebook\.com|fb\.com)\/(?:profile\.php\?id=\d+|pages\/[a-zA-Z0-9._-]+|groups\/[a-zA-Z0-9._-]+|[a-zA-Z0-9._-]{2,})(?:\/[a-zA-Z0-9._-]+)*/gi;
-  const facebookUrls = text.match(facebookRegex) || [];
+  // Decode Cloudflare-protected, entity/percent-encoded, spelled-out and reversed emails
+  emails.push(...decodeObfuscatedEmails(html));
   
-  // Filter out common false positives and clean URLs
-  const filteredUrls = facebookUrls.filter(url => {
-    // Clean the URL and remove any trailing slashes or unwanted characters
-    let cleanUrl = url.replace(/^https?:\/\//, '').replace(/^www\./, '');
-    cleanUrl = cleanUrl.replace(/\/+$/, ''); // Remove trailing slashes
-    cleanUrl = cleanUrl.replace(/\\+/g, ''); // Remove backslashes
-    
-    const pathPart = cleanUrl.split('/')[1] || '';
-    
-    // Skip if path is too short (likely not a real profile/page)
-    if (pathPart.length < 2) return false;
-    
-    // Skip common non-profile paths
-    const skipPatterns = ['home', 'login', 'register', 'help', 'privacy', 'terms', 'cookies', 'settings'];
-    if (skipPatterns.includes(pathPart.toLowerCase())) return false;
-    
-    // Skip URLs with backslashes or other invalid characters
-    if (cleanUrl.includes('\\') || cleanUrl.includes('//')) return false;
-    
+  // Remove duplicates (same email found by the same technique)
+  const seen = new Set();
+  return emails.filter(({ email, technique }) => {
+    const key = `${email}|${technique}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
     return true;
   });
-  
-  // Clean up the final URLs
-  const finalUrls = filteredUrls.map(url => {
-    return url.replace(/\\+/g, '').replace(/\/+$/, '');
-  });
-  
-  return [...new Set(finalUrls)]; // Remove duplicates
+}
+
+// True when both URLs are on the same host, ignoring a leading "www."
+function isSameSite(urlA, urlB) {
+  try {
+    const hostA = new URL(urlA).hostname.replace(/^www\./, '');
+    const hostB = new URL(urlB).hostname.replace(/^www\./, '');
+    return hostA === hostB;
+  } catch (e) {
+    return false;
+  }
 }
 
 // Database helper functions
-async function createJob(jobId, url) {
+// `jobFields` are the optional columns set at submission: { priority, client_id } from resolveScheduling,
+// callback_url, and the api_key_id of the key that created the job
+async function createJob(jobId, url, options, jobFields) {
   try {
     const { data, error } = await supabase
       .from('email_scrap_jobs')
       .insert({
         job_id: jobId,
         url: url,
-        status: 'queued'
+        domain: getUrlDomain(url),
+        site_key: getSiteKey(url),
+        options: options,
+        options_key: getOptionsKey(options),
+        status: 'queued',
+        ...jobFields
       })
       .select()
       .single();
@@ -140,478 +288,2901 @@ async function createJob(jobId, url) {
   }
 }
 
-async function updateJobStatus(jobId, status, updates = {}) {
-  try {
-    const updateData = {
-      status,
-      ...updates
-    };
+// Row changes that go with a status transition
+function buildStatusUpdate(status, updates) {
+  const updateData = {
+    status,
+    ...updates
+  };
 
-    if (status === 'processing' && !updates.started_at) {
-      updateData.started_at = new Date().toISOString();
-    }
+  if (status === 'processing' && !updates.started_at) {
+    updateData.started_at = new Date().toISOString();
+  }
 
-    if (status === 'done' || status === 'error') {
-      updateData.completed_at = new Date().toISOString();
-    }
+  if (FINISHED_JOB_STATUSES.includes(status)) {
+    updateData.completed_at = new Date().toISOString();
+    updateData.lease_expires_at = null;
+  }
+
+  // Requeued jobs give up their claim so any worker can pick them up once next_attempt_at passes
+  if (status === 'queued') {
+    updateData.worker_id = null;
+    updateData.lease_expires_at = null;
+  }
+
+  return updateData;
+}
+
+// Requeues jobs whose lease expired (e.g. their worker crashed), or moves them to 'error' once their
+// retries are used up. Returns the jobs it moved, with their new status.
+async function expireJobLeases() {
+  const { data, error } = await supabase.rpc('expire_email_scrap_job_leases');
+
+  if (error) {
+    console.error('Error expiring job leases:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+// Atomically moves up to `limit` queued jobs to 'processing' under this worker's lease,
+// so any number of instances can poll the same table without processing a job twice.
+async function claimJobs(limit) {
+  const { data, error } = await supabase.rpc('claim_email_scrap_jobs', {
+    p_worker_id: WORKER_ID,
+    p_limit: limit,
+    p_lease_seconds: JOB_LEASE_SECONDS
+  });
+
+  if (error) {
+    console.error('Error claiming jobs:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+// Extends the lease on a job this worker is still processing. Returns false if the lease was lost
+// (it expired and the job was requeued or claimed by another worker).
+async function renewJobLease(jobId) {
+  const { data, error } = await supabase
+    .from('email_scrap_jobs')
+    .update({ lease_expires_at: new Date(Date.now() + JOB_LEASE_SECONDS * 1000).toISOString() })
+    .eq('job_id', jobId)
+    .eq('worker_id', WORKER_ID)
+    .eq('status', 'processing')
+    .select('job_id');
+
+  if (error) {
+    console.error('Error renewing job lease:', error);
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+// Records the outcome of a job this worker claimed. The update only applies while the job is still
+// 'processing' under this worker, so a job that was cancelled, or whose lease expired and was claimed
+// by another worker, is left alone. Returns false when the job was no longer ours.
+async function updateClaimedJob(jobId, status, updates = {}) {
+  const { data, error } = await supabase
+    .from('email_scrap_jobs')
+    .update(buildStatusUpdate(status, updates))
+    .eq('job_id', jobId)
+    .eq('worker_id', WORKER_ID)
+    .eq('status', 'processing')
+    .select('job_id');
+
+  if (error) {
+    console.error('Error updating claimed job:', error);
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+// Marks queued and in-flight jobs as cancelled. `filter` is { jobId } or { batchId }, optionally with
+// the apiKeyId that must own the jobs.
+// Returns the cancelled jobs as [{ job_id, batch_id }]; workers notice in-flight cancellations when renewing their lease.
+async function cancelJobs(filter) {
+  let query = supabase
+    .from('email_scrap_jobs')
+    .update(buildStatusUpdate('cancelled', { next_attempt_at: null }))
+    .in('status', ['queued', 'processing']);
+
+  if (filter.jobId) query = query.eq('job_id', filter.jobId);
+  if (filter.batchId) query = query.eq('batch_id', filter.batchId);
+  if (filter.apiKeyId) query = query.eq('api_key_id', filter.apiKeyId);
+
+  const { data, error } = await query.select('job_id, batch_id');
+
+  if (error) {
+    console.error('Error cancelling jobs:', error);
+    throw error;
+  }
 
+  return data;
+}
+
+// Deletes a job and takes it off its batch's job_count. Returns the deleted job, or null if it didn't exist.
+async function deleteJob(jobId) {
+  const { data, error } = await supabase.rpc('delete_email_scrap_job', { p_job_id: jobId });
+
+  if (error) {
+    console.error('Error deleting job:', error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+// Returns this worker's in-flight jobs to the queue on shutdown instead of waiting for the lease to expire.
+// Returns how many jobs were released.
+async function releaseWorkerJobs() {
+  const { data, error } = await supabase
+    .from('email_scrap_jobs')
+    .update({ status: 'queued', worker_id: null, lease_expires_at: null, started_at: null })
+    .eq('worker_id', WORKER_ID)
+    .eq('status', 'processing')
+    .select('job_id');
+
+  if (error) {
+    console.error('Error releasing worker jobs:', error);
+    throw error;
+  }
+
+  return data.length;
+}
+
+async function getJob(jobId) {
+  try {
     const { data, error } = await supabase
       .from('email_scrap_jobs')
-      .update(updateData)
+      .select('*')
       .eq('job_id', jobId)
-      .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error('Error updating job:', error);
+      console.error('Error getting job:', error);
       throw error;
     }
 
     return data;
   } catch (error) {
-    console.error('Failed to update job:', error);
+    console.error('Failed to get job:', error);
     throw error;
   }
 }
 
-async function getJob(jobId) {
+async function createBatch(batch) {
   try {
     const { data, error } = await supabase
-      .from('email_scrap_jobs')
-      .select('*')
-      .eq('job_id', jobId)
+      .from('email_scrap_batches')
+      .insert(batch)
+      .select()
       .single();
 
     if (error) {
-      console.error('Error getting job:', error);
+      console.error('Error creating batch:', error);
       throw error;
     }
 
     return data;
   } catch (error) {
-    console.error('Failed to get job:', error);
+    console.error('Failed to create batch:', error);
     throw error;
   }
 }
 
-// Worker function to process jobs
-async function processJob(jobId, url) {
-  console.log(`Starting job ${jobId} for URL: ${url}`);
-  
-  try {
-    // Update job status to processing
-    await updateJobStatus(jobId, 'processing');
+// Inserts queued jobs in chunks so large lead lists stay under request size limits.
+// `jobFields` are copied onto every job, as in createJob.
+async function createBatchJobs(batchId, rows, options, jobFields) {
+  const jobs = [];
+
+  for (let i = 0; i < rows.length; i += BATCH_INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + BATCH_INSERT_CHUNK_SIZE).map(row => ({
+      job_id: uuidv4(),
+      url: row.url,
+      domain: getUrlDomain(row.url),
+      site_key: getSiteKey(row.url),
+      options: options,
+      options_key: getOptionsKey(options),
+      status: 'queued',
+      batch_id: batchId,
+      input_data: row.input_data,
+      ...jobFields
+    }));
 
-    // Create isolated data collections for this specific job
-    const jobData = {
-      extractedEmails: [],
-      extractedFacebookUrls: [],
-      visitedUrls: new Set()
-    };
+    const { error } = await supabase
+      .from('email_scrap_jobs')
+      .insert(chunk);
 
-    const crawler = new AdaptivePlaywrightCrawler({
-      renderingTypeDetectionRatio: 0.1,
-      // maxRequestsPerCrawl intentionally disabled; we use a per-instance request limit instead
-      maxConcurrency: 1, // Reduced concurrency for individual jobs
-      // requestQueue, // Use global request queue if needed
-      //Prevent memory leak — auto-close inactive browser tabs
-      navigationTimeoutSecs: 15,
-      requestHandlerTimeoutSecs: 60,
-      // Add error handling for failed requests
-      failedRequestHandler: async ({ request, error }) => {
-        console.log(`Request failed: ${request.url} - ${error.message}`);
-      },
-
-      async requestHandler({ page, response, enqueueLinks, log, request }) {
-        try {
-          const currentUrl = request.url;
-          const depth = request.userData?.depth ?? 0;
-          const instanceId = request.userData?.instanceId;
-          const count = request.userData?.count ?? 0;
-
-          // Enforce per-instance request limit
-          if (count >= PER_INSTANCE_REQUEST_LIMIT) {
-            if (typeof log?.info === 'function') {
-              log.info(`Instance ${instanceId || jobId} reached its per-instance limit (${PER_INSTANCE_REQUEST_LIMIT})`);
-            }
-            return;
-          }
+    if (error) {
+      console.error('Error creating batch jobs:', error);
+      throw error;
+    }
 
-          // Skip if already visited
-          if (jobData.visitedUrls.has(currentUrl)) {
-            return;
-          }
-          jobData.visitedUrls.add(currentUrl);
-
-          try {
-            let emails = [];
-            let facebookUrls = [];
-            let htmlContent = '';
-
-            if (page) {
-              // Get HTML content for extraction
-              htmlContent = await page.evaluate(() => {
-                return document.documentElement.outerHTML;
-              });
-
-              // Extract emails from HTML content
-              emails = extractEmails(htmlContent);
-              jobData.extractedEmails.push(...emails);
-
-              // Only extract Facebook URLs if no emails were found
-              if (emails.length === 0) {
-                facebookUrls = extractFacebookUrls(htmlContent);
-                jobData.extractedFacebookUrls.push(...facebookUrls);
-              }
+    jobs.push(...chunk);
+  }
 
-            } else if (response) {
-              // If rendering was skipped (straight HTTP), use the raw HTML
-              const html = await response.text();
-              htmlContent = html;
+  return jobs;
+}
 
-              // Extract emails from HTML content
-              emails = extractEmails(htmlContent);
-              jobData.extractedEmails.push(...emails);
+// Latest successful crawl of the site with the same options that finished within the cache window.
+// Jobs that were themselves served from the cache are skipped, so cached results never outlive the window.
+async function findCachedJob(siteKey, options) {
+  try {
+    const freshSince = new Date(Date.now() - RESULT_CACHE_MAX_AGE_HOURS * 60 * 60 * 1000).toISOString();
 
-              // Only extract Facebook URLs if no emails were found
-              if (emails.length === 0) {
-                facebookUrls = extractFacebookUrls(htmlContent);
-                jobData.extractedFacebookUrls.push(...facebookUrls);
-              }
-            }
+    const { data, error } = await supabase
+      .from('email_scrap_jobs')
+      .select('*')
+      .eq('site_key', siteKey)
+      .eq('status', 'done')
+      .is('cached_from_job_id', null)
+      .eq('options_key', getOptionsKey(options))
+      .gte('completed_at', freshSince)
+      .order('completed_at', { ascending: false })
+      .limit(1);
 
-            log.info(`Found ${emails.length} emails and ${facebookUrls.length} Facebook URLs on ${currentUrl}`);
-          } catch (err) {
-            log.error(`Failed to extract text from ${currentUrl}: ${err}`);
-          }
+    if (error) {
+      console.error('Error finding cached job:', error);
+      throw error;
+    }
 
-          // Extract and enqueue navigation links
-          if (page) {
-            try {
-              const navLinks = await page.evaluate(() => {
-                const links = [];
-
-                const navSelectors = [
-                  'nav a', 'header a', '.navbar a', '.nav a', '.navigation a',
-                  '.menu a', '.main-menu a', '.primary-menu a', '.top-menu a',
-                  '[role="navigation"] a', '.site-nav a', '.main-nav a'
-                ];
-
-                navSelectors.forEach(selector => {
-                  const elements = document.querySelectorAll(selector);
-                  elements.forEach(el => {
-                    const href = el.getAttribute('href');
-                    if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
-                      links.push(href);
-                    }
-                  });
-                });
+    return data[0] || null;
+  } catch (error) {
+    console.error('Failed to find cached job:', error);
+    throw error;
+  }
+}
 
-                return links;
-              });
-
-              // Add specific common pages to crawl
-              const baseUrl = new URL(currentUrl);
-              const commonPages = ['/about/', '/contact/', '/about', '/contact', '/about-us/', '/contact-us/'];
-
-              commonPages.forEach(page => {
-                try {
-                  const fullUrl = new URL(page, baseUrl.origin).href;
-                  navLinks.push(fullUrl);
-                } catch (e) {
-                  // Skip invalid URLs
-                }
-              });
-
-              // Enqueue navigation links
-              if (depth < MAX_DEPTH && navLinks.length > 0) {
-                await enqueueLinks({
-                  urls: navLinks,
-                  strategy: 'same-domain',
-                  limit: 15,
-                  transformRequestFunction: (req) => {
-                    req.userData = {
-                      ...(req.userData || {}),
-                      depth: depth + 1,
-                      instanceId: instanceId || jobId,
-                      count: count + 1,
-                    };
-                    return req;
-                  }
-                });
-              }
-            } catch (err) {
-              log.warning(`Failed to extract navigation links from ${currentUrl}: ${err}`);
-            }
-          }
+// Creates a job that is already done, with the results of `cachedJob`
+async function createCachedJob(jobId, url, options, jobFields, cachedJob) {
+  const now = new Date().toISOString();
+  const results = Object.fromEntries(JOB_RESULT_COLUMNS.map(column => [column, cachedJob[column]]));
+
+  return createJob(jobId, url, options, {
+    ...jobFields,
+    ...results,
+    status: 'done',
+    cached_from_job_id: cachedJob.job_id,
+    started_at: now,
+    completed_at: now
+  });
+}
 
-          // Also enqueue general same-domain links as fallback
-          if (depth < MAX_DEPTH) {
-            await enqueueLinks({
-              strategy: 'same-domain',
-              limit: 15,
-              transformRequestFunction: (req) => {
-                req.userData = {
-                  ...(req.userData || {}),
-                  depth: depth + 1,
-                  instanceId: instanceId || jobId,
-                  count: count + 1,
-                };
-                return req;
-              }
-            });
-          }
-        } catch (err) {
-          // Handle timeout errors gracefully
-          if (err.message && err.message.includes('Timeout')) {
-            log.warning(`Timeout on ${request?.url || 'unknown'}: ${err.message}`);
-          } else {
-            log.error(`Error on ${request?.url || 'unknown'}: ${err?.message || err}`);
-          }
-        } finally {
-          try {
-            if (page && !page.isClosed()) {
-              await page.close();
-            }
-          } catch (closeErr) {
-            if (typeof log?.debug === 'function') {
-              log.debug(`Failed to close page: ${closeErr?.message || closeErr}`);
-            }
-          }
-        }
-      },
-    });
+async function getBatch(batchId) {
+  const { data, error } = await supabase
+    .from('email_scrap_batches')
+    .select('*')
+    .eq('batch_id', batchId)
+    .maybeSingle();
 
-    await crawler.run([{ url, userData: { depth: 0, instanceId: jobId, count: 0 } }]);
+  if (error) {
+    console.error('Error getting batch:', error);
+    throw error;
+  }
 
-    // Remove duplicates and prepare results
-    const uniqueEmails = [...new Set(jobData.extractedEmails)];
-    const uniqueFacebookUrls = [...new Set(jobData.extractedFacebookUrls)];
+  return data;
+}
 
-    // Update job with results
-    await updateJobStatus(jobId, 'done', {
-      emails: uniqueEmails,
-      facebook_urls: uniqueFacebookUrls,
-      crawled_urls: Array.from(jobData.visitedUrls),
-      pages_crawled: jobData.visitedUrls.size
-    });
+// Number of jobs per status, e.g. { queued: 10, processing: 1, done: 5, error: 0 }
+async function getBatchStatusCounts(batchId) {
+  const results = await Promise.all(JOB_STATUSES.map(status => supabase
+    .from('email_scrap_jobs')
+    .select('job_id', { count: 'exact', head: true })
+    .eq('batch_id', batchId)
+    .eq('status', status)
+  ));
+
+  const counts = {};
+  JOB_STATUSES.forEach((status, index) => {
+    if (results[index].error) {
+      console.error('Error counting batch jobs:', results[index].error);
+      throw results[index].error;
+    }
+    counts[status] = results[index].count || 0;
+  });
 
-    console.log(`Completed job ${jobId}: Found ${uniqueEmails.length} emails and ${uniqueFacebookUrls.length} Facebook URLs`);
+  return counts;
+}
 
-  } catch (error) {
-    console.error(`Job ${jobId} failed:`, error);
-    
-    // Update job with error
-    await updateJobStatus(jobId, 'error', {
-      error: error.message || 'Unknown error occurred'
-    });
+async function getBatchJobs(batchId, { limit, offset }) {
+  const { data, error } = await supabase
+    .from('email_scrap_jobs')
+    .select('*')
+    .eq('batch_id', batchId)
+    .order('created_at', { ascending: true })
+    .order('job_id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('Error getting batch jobs:', error);
+    throw error;
   }
+
+  return data;
 }
 
-// Background worker system
-class JobWorker {
-  constructor() {
-    this.isRunning = false;
-    this.activeJobs = new Set();
+// Looks up an active API key by hash and counts the request against its per-minute rate limit, in one
+// atomic statement (see use_email_scrap_api_key). Returns the key row, or null for unknown or revoked keys.
+async function useApiKey(keyHash) {
+  const { data, error } = await supabase.rpc('use_email_scrap_api_key', { p_key_hash: keyHash });
+
+  if (error) {
+    console.error('Error checking API key:', error);
+    throw error;
   }
 
-  async start() {
-    if (this.isRunning) return;
-    
-    this.isRunning = true;
-    console.log('Job worker started');
-    
-    // Process jobs continuously
-    while (this.isRunning) {
-      try {
-        await this.processNextBatch();
-        // Wait before checking for more jobs
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      } catch (error) {
-        console.error('Worker error:', error);
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
-    }
+  return data?.[0] || null;
+}
+
+async function countJobsCreatedSince(apiKeyId, since) {
+  const { count, error } = await supabase
+    .from('email_scrap_jobs')
+    .select('job_id', { count: 'exact', head: true })
+    .eq('api_key_id', apiKeyId)
+    .gte('created_at', since);
+
+  if (error) {
+    console.error('Error counting jobs for API key:', error);
+    throw error;
   }
 
-  async stop() {
-    this.isRunning = false;
-    console.log('Job worker stopped');
+  return count || 0;
+}
+
+// Stamps completed_at on a batch once none of its jobs are queued or processing. Returns the batch row
+// if this call completed it, or null if jobs are still unfinished or another worker completed it first.
+async function markBatchCompletedIfFinished(batchId) {
+  const { count, error: countError } = await supabase
+    .from('email_scrap_jobs')
+    .select('job_id', { count: 'exact', head: true })
+    .eq('batch_id', batchId)
+    .in('status', ['queued', 'processing']);
+
+  if (countError) {
+    console.error('Error counting unfinished batch jobs:', countError);
+    throw countError;
   }
 
-  async processNextBatch() {
-    try {
-      // Get queued jobs
-      const { data: queuedJobs, error } = await supabase
-        .from('email_scrap_jobs')
-        .select('*')
-        .eq('status', 'queued')
-        .order('created_at', { ascending: true })
-        .limit(WORKER_BATCH_SIZE);
-
-      if (error) {
-        console.error('Error fetching queued jobs:', error);
-        return;
-      }
+  if (count > 0) return null;
 
-      if (!queuedJobs || queuedJobs.length === 0) {
-        return; // No jobs to process
-      }
+  const { data, error } = await supabase
+    .from('email_scrap_batches')
+    .update({ completed_at: new Date().toISOString() })
+    .eq('batch_id', batchId)
+    .is('completed_at', null)
+    .select();
 
-      // Process jobs concurrently (limited by MAX_CONCURRENT_WORKERS)
-      const jobPromises = queuedJobs.slice(0, MAX_CONCURRENT_WORKERS).map(async (job) => {
-        if (this.activeJobs.has(job.job_id)) {
-          return; // Job already being processed
-        }
+  if (error) {
+    console.error('Error completing batch:', error);
+    throw error;
+  }
 
-        this.activeJobs.add(job.job_id);
-        
-        try {
-          await processJob(job.job_id, job.url);
-        } finally {
-          this.activeJobs.delete(job.job_id);
-        }
-      });
+  return data[0] || null;
+}
+
+// `delivery` is { event, job_id, batch_id, callback_url, payload }
+async function createWebhookDelivery(delivery) {
+  const { data, error } = await supabase
+    .from('email_scrap_webhook_deliveries')
+    .insert({
+      delivery_id: uuidv4(),
+      ...delivery,
+      status: 'pending',
+      attempt_count: 0,
+      max_attempts: WEBHOOK_MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating webhook delivery:', error);
+    throw error;
+  }
 
-      await Promise.all(jobPromises);
+  return data;
+}
 
-    } catch (error) {
-      console.error('Error in processNextBatch:', error);
-    }
+async function getDueWebhookDeliveries(limit) {
+  const { data, error } = await supabase
+    .from('email_scrap_webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error getting due webhook deliveries:', error);
+    throw error;
   }
+
+  return data;
 }
 
-// Initialize worker
-const jobWorker = new JobWorker();
+// Reserves a due delivery for one attempt by pushing next_attempt_at past the request timeout, so other
+// instances polling for due deliveries skip it. If this instance dies mid-attempt, the delivery simply
+// becomes due again. Returns false if another instance reserved it first.
+async function reserveWebhookDelivery(delivery) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('email_scrap_webhook_deliveries')
+    .update({ next_attempt_at: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS + 60000).toISOString() })
+    .eq('delivery_id', delivery.delivery_id)
+    .eq('status', 'pending')
+    .eq('attempt_count', delivery.attempt_count)
+    .lte('next_attempt_at', now.toISOString())
+    .select('delivery_id');
+
+  if (error) {
+    console.error('Error reserving webhook delivery:', error);
+    throw error;
+  }
 
-// Modified /extract-emails endpoint - now adds jobs to queue
-app.post('/extract-emails', async (req, res) => {
-  try {
-    const { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'URL is required',
-        message: 'Please provide a URL in the request body'
-      });
-    }
+  return data.length > 0;
+}
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (error) {
-      return res.status(400).json({ 
-        error: 'Invalid URL format',
-        message: 'Please provide a valid URL'
-      });
-    }
+// Appends an attempt to the delivery log and schedules the next retry, or marks the delivery
+// delivered/failed. `result` comes from sendWebhook plus attempted_at.
+async function recordWebhookAttempt(delivery, result) {
+  const updateData = buildWebhookAttemptUpdate(delivery, result, {
+    workerId: WORKER_ID,
+    retry: { baseDelayMs: WEBHOOK_RETRY_BASE_DELAY_SECS * 1000, maxDelayMs: WEBHOOK_RETRY_MAX_DELAY_SECS * 1000 }
+  });
 
-    // Generate unique job ID
-    const jobId = uuidv4();
+  const { error } = await supabase
+    .from('email_scrap_webhook_deliveries')
+    .update(updateData)
+    .eq('delivery_id', delivery.delivery_id)
+    .eq('attempt_count', delivery.attempt_count);
 
-    // Create job in database
-    const job = await createJob(jobId, url);
+  if (error) {
+    console.error('Error recording webhook attempt:', error);
+    throw error;
+  }
 
-    // Add job to Crawlee request queue
-    // await requestQueue.addRequest({
-    //   url: url,
-    //   userData: {
-    //     jobId: jobId,
-    //     originalUrl: url
-    //   }
-    // });
+  return updateData;
+}
 
-    res.json({
-      success: true,
-      message: 'Job queued successfully',
-      job_id: jobId,
-      status: 'queued',
-      url: url
-    });
+// Delivery log for a job (filter { jobId }) or for a batch's own batch.completed callback (filter { batchId })
+async function getWebhookDeliveries(filter) {
+  let query = supabase
+    .from('email_scrap_webhook_deliveries')
+    .select('*')
+    .order('created_at', { ascending: true });
 
-  } catch (error) {
-    console.error('Error queuing job:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to queue the job'
+  query = filter.jobId
+    ? query.eq('job_id', filter.jobId)
+    : query.eq('batch_id', filter.batchId).is('job_id', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error getting webhook deliveries:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+// Job list query shared by GET /jobs and the export endpoints.
+// filters: { jobId, batchId, apiKeyId, statuses, domain, hasEmails, createdAfter, createdBefore }
+// sort: { column, ascending }; job_id breaks ties so the order is stable across pages
+function buildJobsQuery(columns, filters, sort = { column: 'created_at', ascending: true }) {
+  let query = supabase
+    .from('email_scrap_jobs')
+    .select(columns);
+
+  if (filters.jobId) query = query.eq('job_id', filters.jobId);
+  if (filters.batchId) query = query.eq('batch_id', filters.batchId);
+  if (filters.apiKeyId) query = query.eq('api_key_id', filters.apiKeyId);
+  if (filters.statuses?.length) query = query.in('status', filters.statuses);
+  if (filters.outcomes?.length) query = query.in('outcome', filters.outcomes);
+  if (filters.domain) query = query.eq('domain', filters.domain);
+  if (filters.hasEmails === true) query = query.neq('emails', '[]');
+  if (filters.hasEmails === false) query = query.eq('emails', '[]');
+  if (filters.createdAfter) query = query.gte('created_at', filters.createdAfter);
+  if (filters.createdBefore) query = query.lt('created_at', filters.createdBefore);
+
+  return query
+    .order(sort.column, { ascending: sort.ascending })
+    .order('job_id', { ascending: sort.ascending });
+}
+
+// Limits a buildJobsQuery query to the rows after `cursor` ({ value, job_id } of the last row seen)
+function startAfterCursor(query, sort, cursor) {
+  return cursor ? query.or(buildCursorFilter(sort, cursor)) : query;
+}
+
+// One page of GET /jobs, starting after `cursor` ({ value, job_id } of the previous page's last job)
+async function listJobs(filters, sort, cursor, limit) {
+  const query = startAfterCursor(buildJobsQuery('*', filters, sort), sort, cursor);
+
+  // One extra row tells us whether there is a next page
+  const { data, error } = await query.limit(limit + 1);
+
+  if (error) {
+    console.error('Error listing jobs:', error);
+    throw error;
+  }
+
+  return { jobs: data.slice(0, limit), hasMore: data.length > limit };
+}
+
+// Parses the job filters shared by GET /jobs and GET /jobs/export from the query string.
+// Returns { filters }, or { error } with the body of a 400 response.
+function parseJobFilters(query) {
+  const statuses = query.status ? String(query.status).split(',').map(status => status.trim()) : [];
+  const invalidStatuses = statuses.filter(status => !JOB_STATUSES.includes(status));
+
+  if (invalidStatuses.length > 0) {
+    return {
+      error: {
+        error: 'Invalid status',
+        message: `status must be a comma-separated list of: ${JOB_STATUSES.join(', ')}`
+      }
+    };
+  }
+
+  const outcomes = query.outcome ? String(query.outcome).split(',').map(outcome => outcome.trim()) : [];
+  if (outcomes.some(outcome => !JOB_OUTCOMES.includes(outcome))) {
+    return {
+      error: {
+        error: 'Invalid outcome',
+        message: `outcome must be a comma-separated list of: ${JOB_OUTCOMES.join(', ')}`
+      }
+    };
+  }
+
+  const filters = { statuses, outcomes, batchId: query.batch_id };
+
+  if (query.domain) {
+    filters.domain = getUrlDomain(query.domain);
+    if (!filters.domain) {
+      return { error: { error: 'Invalid domain', message: 'domain must be a hostname or URL, e.g. example.com' } };
+    }
+  }
+
+  if (query.has_emails !== undefined) {
+    if (query.has_emails !== 'true' && query.has_emails !== 'false') {
+      return { error: { error: 'Invalid has_emails', message: 'has_emails must be true or false' } };
+    }
+    filters.hasEmails = query.has_emails === 'true';
+  }
+
+  for (const [param, key] of [['created_after', 'createdAfter'], ['created_before', 'createdBefore']]) {
+    if (!query[param]) continue;
+
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) {
+      return {
+        error: {
+          error: 'Invalid date',
+          message: `${param} must be an ISO 8601 date`
+        }
+      };
+    }
+    filters[key] = date.toISOString();
+  }
+
+  return { filters };
+}
+
+// Yields matching jobs one page at a time, oldest first, so exports never hold the whole result set in memory.
+// `columns` must include created_at and job_id, which each page continues from.
+async function* iterateJobs(columns, filters) {
+  const sort = { column: 'created_at', ascending: true };
+  let cursor = null;
+
+  for (;;) {
+    const { data, error } = await startAfterCursor(buildJobsQuery(columns, filters, sort), sort, cursor)
+      .limit(EXPORT_PAGE_SIZE);
+
+    if (error) {
+      console.error('Error listing jobs:', error);
+      throw error;
+    }
+
+    yield data;
+
+    if (data.length < EXPORT_PAGE_SIZE) return;
+    const last = data[data.length - 1];
+    cursor = { value: last.created_at, job_id: last.job_id };
+  }
+}
+
+// Union of input_data keys across the matching jobs, in first-seen order. CSV and XLSX need the
+// full header before the first row, so this runs as a lightweight pass over input_data only.
+async function getExportInputKeys(filters) {
+  const keys = new Set();
+
+  for await (const jobs of iterateJobs('job_id, created_at, input_data', filters)) {
+    for (const job of jobs) {
+      Object.keys(job.input_data || {}).forEach(key => keys.add(key));
+    }
+  }
+
+  return keys;
+}
+
+// Streams every job matching `filters` to the response in the requested format
+async function streamJobsExport(res, format, filename, filters) {
+  const columns = format === 'jsonl' ? null : buildExportColumns(await getExportInputKeys(filters));
+
+  res.setHeader('Content-Type', getExportContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  const writer = createExportWriter(format, res, { columns, formatJob });
+
+  for await (const jobs of iterateJobs('*', filters)) {
+    for (const job of jobs) {
+      await writer.writeJob(job);
+    }
+  }
+
+  await writer.end();
+}
+
+// Sends a JSON error before streaming starts; once rows have been sent the only option is
+// to abort the connection so the client sees a truncated download instead of a "complete" file
+function handleExportError(res, error) {
+  if (error instanceof ExportAbortedError) return; // The client went away; nothing left to answer
+
+  console.error('Error exporting jobs:', error);
+
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: 'Failed to export job results'
+  });
+}
+
+function validateExportFormat(req, res) {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+    return null;
+  }
+
+  return format;
+}
+
+// Authenticates the API key on a request and enforces its rate limit and `scope`.
+// Returns { apiKey, headers } on success, or { status, body, headers } for the error response.
+// `headers` carries the X-RateLimit-* headers for keys with a rate limit.
+async function authorizeRequest(req, scope, { allowQueryParam = false } = {}) {
+  const key = extractApiKey(req, { allowQueryParam });
+  if (!key) {
+    return {
+      status: 401,
+      headers: { 'WWW-Authenticate': 'Bearer' },
+      body: { error: 'API key required', message: 'Send your API key in the Authorization header: Bearer <key>' }
+    };
+  }
+
+  const apiKey = await useApiKey(hashApiKey(key));
+  if (!apiKey) {
+    return {
+      status: 401,
+      headers: { 'WWW-Authenticate': 'Bearer' },
+      body: { error: 'Invalid API key', message: 'The API key is unknown or has been revoked' }
+    };
+  }
+
+  const { headers, retryAfterSecs } = getRateLimitStatus(apiKey);
+  if (retryAfterSecs !== null) {
+    return {
+      status: 429,
+      headers: { ...headers, 'Retry-After': String(retryAfterSecs) },
+      body: { error: 'Rate limit exceeded', message: `This API key is limited to ${apiKey.rate_limit_per_minute} requests per minute` }
+    };
+  }
+
+  if (!hasScope(apiKey, scope)) {
+    return {
+      status: 403,
+      headers,
+      body: { error: 'Insufficient scope', message: `This API key does not have the ${scope} scope` }
+    };
+  }
+
+  return { apiKey, headers };
+}
+
+// Express middleware around authorizeRequest. Sets req.apiKey (null when REQUIRE_API_KEY=false).
+function requireApiKey(scope, options) {
+  return async (req, res, next) => {
+    req.apiKey = null;
+    if (!REQUIRE_API_KEY) return next();
+
+    try {
+      const { apiKey, status, body, headers } = await authorizeRequest(req, scope, options);
+      res.set(headers);
+
+      if (!apiKey) {
+        return res.status(status).json(body);
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to check the API key'
+      });
+    }
+  };
+}
+
+// api_key_id filter for job queries: the key's own jobs, or null for every job
+function ownerFilter(apiKey) {
+  return canAccess(apiKey, { api_key_id: null }) ? null : apiKey.key_id;
+}
+
+// Rejects a submission of `jobCount` jobs that would take the key over its daily job quota (UTC days).
+// Sends the 429 and returns false when over quota. Counting and inserting aren't atomic, so concurrent
+// submissions from one key can overshoot the quota slightly.
+async function checkDailyJobQuota(req, res, jobCount) {
+  const quota = req.apiKey?.daily_job_quota;
+  if (!quota) return true;
+
+  const now = new Date();
+  const { dayStart, nextDayStart } = getQuotaDay(now);
+  const used = await countJobsCreatedSince(req.apiKey.key_id, dayStart.toISOString());
+
+  if (used + jobCount <= quota) return true;
+
+  res.set('Retry-After', String(Math.ceil((nextDayStart.getTime() - now.getTime()) / 1000)));
+  res.status(429).json({
+    error: 'Daily job quota exceeded',
+    message: `This API key may create ${quota} jobs per day; ${Math.max(quota - used, 0)} remaining until ${nextDayStart.toISOString()}`,
+    quota,
+    used,
+    resets_at: nextDayStart.toISOString()
+  });
+  return false;
+}
+
+// Validates the optional `callback_url` of a submission. Returns { callbackUrl, errors }.
+async function resolveCallbackUrl(body) {
+  const value = body?.callback_url ?? null;
+  if (value === null) return { callbackUrl: null, errors: [] };
+
+  if (!WEBHOOK_SECRET) {
+    return { callbackUrl: null, errors: ['callback_url is not available: the server has no WEBHOOK_SECRET configured'] };
+  }
+
+  try {
+    return { callbackUrl: await validateCallbackUrl(value, { allowedHosts: WEBHOOK_ALLOWED_HOSTS }), errors: [] };
+  } catch (error) {
+    return { callbackUrl: null, errors: [error.message] };
+  }
+}
+
+// Number of claimable (queued) jobs per priority, e.g. { high: 0, normal: 3, low: 4210 }
+async function getQueueDepth() {
+  const results = await Promise.all(JOB_PRIORITIES.map(priority => supabase
+    .from('email_scrap_jobs')
+    .select('job_id', { count: 'exact', head: true })
+    .eq('status', 'queued')
+    .eq('priority', priority)
+  ));
+
+  const depth = {};
+  JOB_PRIORITIES.forEach((priority, index) => {
+    if (results[index].error) {
+      console.error('Error counting queued jobs:', results[index].error);
+      throw results[index].error;
+    }
+    depth[priority] = results[index].count || 0;
+  });
+
+  return depth;
+}
+
+function buildBatchProgress(batch, counts) {
+  const finished = FINISHED_JOB_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+
+  return {
+    ...counts,
+    finished,
+    percent_complete: batch.job_count > 0 ? Math.round((finished / batch.job_count) * 100) : 100
+  };
+}
+
+// Public shape of a batch, shared by GET /batches/:batchId and the batch.completed webhook
+function formatBatch(batch, counts) {
+  return {
+    batch_id: batch.batch_id,
+    source: batch.source,
+    total_rows: batch.total_rows,
+    job_count: batch.job_count,
+    invalid_rows: batch.invalid_rows || [],
+    duplicate_rows: batch.duplicate_rows || [],
+    options: batch.options,
+    priority: batch.priority || DEFAULT_BATCH_PRIORITY,
+    client_id: batch.client_id || null,
+    callback_url: batch.callback_url || null,
+    created_at: batch.created_at,
+    completed_at: batch.completed_at || null,
+    progress: buildBatchProgress(batch, counts)
+  };
+}
+
+// Public shape of a job, shared by every endpoint that returns jobs
+function formatJob(job) {
+  return {
+    job_id: job.job_id,
+    batch_id: job.batch_id || null,
+    url: job.url,
+    domain: job.domain || getUrlDomain(job.url),
+    status: job.status,
+    priority: job.priority || DEFAULT_JOB_PRIORITY,
+    client_id: job.client_id || null,
+    callback_url: job.callback_url || null,
+    cached: Boolean(job.cached_from_job_id),
+    cached_from_job_id: job.cached_from_job_id || null,
+    worker_id: job.worker_id || null,
+    options: job.options,
+    input_data: job.input_data || {},
+    emails: job.emails || [],
+    email_details: job.email_details || [],
+    facebook_urls: job.facebook_urls || [],
+    social_profiles: job.social_profiles || {},
+    phones: job.phones || [],
+    addresses: job.addresses || [],
+    business_name: job.business_name,
+    contacts: job.contacts || [],
+    crawled_urls: job.crawled_urls || [],
+    crawled_pages: job.crawled_pages || [],
+    crawled_documents: job.crawled_documents || [],
+    skipped_urls: job.skipped_urls || [],
+    pages_crawled: job.pages_crawled || 0,
+    outcome: job.outcome || null,
+    crawl_log: job.crawl_log || [],
+    error: job.error,
+    error_code: job.error_code || null,
+    retry_count: job.retry_count || 0,
+    max_retries: job.max_retries,
+    next_attempt_at: job.next_attempt_at || null,
+    attempts: job.attempts || [],
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at
+  };
+}
+
+// Delivery log entry as returned by the webhooks endpoints (the payload itself is left out)
+function formatWebhookDelivery(delivery) {
+  return {
+    delivery_id: delivery.delivery_id,
+    event: delivery.event,
+    job_id: delivery.job_id || null,
+    batch_id: delivery.batch_id || null,
+    callback_url: delivery.callback_url,
+    status: delivery.status,
+    attempt_count: delivery.attempt_count,
+    max_attempts: delivery.max_attempts,
+    next_attempt_at: delivery.next_attempt_at || null,
+    delivered_at: delivery.delivered_at || null,
+    attempts: delivery.attempts || [],
+    created_at: delivery.created_at
+  };
+}
+
+// The adaptive crawler's `page` getter throws during HTTP-only runs instead of returning undefined
+function getBrowserPage(context) {
+  try {
+    return context.page;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Runs URLs through the filters enqueueLinks applies (link strategy, include/exclude patterns) without
+// queueing anything; returns the URLs that pass
+async function filterCrawlableUrls(urls, baseUrl, linkOptions) {
+  const accepted = [];
+  await enqueueLinks({
+    urls,
+    baseUrl,
+    ...linkOptions,
+    requestQueue: {
+      addRequestsBatched: async (requests) => {
+        accepted.push(...requests.map(request => request.url));
+        return { addedRequests: [] };
+      }
+    }
+  });
+  return accepted;
+}
+
+// Worker function to process jobs
+// `options` are the resolved crawl options stored on the job row (see lib/crawl-options.js)
+// `run` carries the rest of the job's context:
+//   retryState - { retryCount, maxRetries, attempts } from the job row
+//   signal     - aborts the crawl when the job is cancelled or its lease is lost; nothing is saved then
+//   publish    - publish(type, data) for live progress events (see lib/job-events.js)
+// Returns the status the job was left in ('done', 'queued' for a retry, or 'error'), or null if nothing was saved.
+async function processJob(jobId, url, options, {
+  retryState = { retryCount: 0, maxRetries: 3, attempts: [] },
+  signal = new AbortController().signal,
+  publish = createJobEventPublisher(jobId)
+} = {}) {
+  console.log(`Starting job ${jobId} for URL: ${url}${retryState.retryCount > 0 ? ` (retry ${retryState.retryCount}/${retryState.maxRetries})` : ''}`);
+
+  const attemptStartedAt = new Date().toISOString();
+  const attemptRecord = (outcome, fields = {}) => ({
+    attempt: retryState.retryCount + 1,
+    worker_id: WORKER_ID,
+    started_at: attemptStartedAt,
+    finished_at: new Date().toISOString(),
+    outcome,
+    ...fields
+  });
+
+  // What happened to each page, vCard and document the job fetched (URL -> entry), saved whether the job
+  // succeeds or fails. Only the first result for a URL is kept; rendering-type detection can handle a page twice.
+  const crawlLog = new Map();
+  const logCrawl = (requestUrl, kind, fields) => {
+    if (crawlLog.has(requestUrl)) return;
+    crawlLog.set(requestUrl, {
+      url: requestUrl,
+      kind, // 'page', 'vcard' or 'document'
+      http_status: null,
+      rendering: null, // 'http' or 'browser'
+      duration_ms: null, // From the moment the request could start, so waiting for politeness slots isn't counted
+      bytes: null, // Size of the response body, or of the rendered HTML for browser pages
+      error_code: null,
+      error: null,
+      detection: null, // Block or parking page, see lib/crawl-diagnostics.js
+      proxy: null,
+      ...fields,
+      fetched_at: new Date().toISOString()
+    });
+  };
+
+  // Crawl log fields for a failed request. Errors the job error codes don't cover are categorized by the HTTP
+  // status they mention, if any.
+  const describeFailure = (error) => {
+    const httpStatus = statusFromError(error);
+    const { code, message } = classifyJobError(error);
+    return {
+      http_status: httpStatus,
+      error_code: code === 'unknown_error' ? errorCodeFromStatus(httpStatus) || code : code,
+      error: message
+    };
+  };
+
+  try {
+    // The job was already moved to 'processing' when the worker claimed it (see claimJobs)
+
+    // Hosts that can never resolve fail immediately instead of burning retries
+    validateJobDomain(url);
+
+    // Jobs stored before respect_robots_txt existed respect it too
+    const respectRobotsTxt = options.respect_robots_txt !== false;
+
+    // The proxies the job's requests go through, or null for direct connections (see lib/proxy-pools.js).
+    // Throws when this instance lacks the job's pool; the job is retried, possibly on another instance.
+    const proxySession = proxyPools.createSession({ pool: options.proxy_pool, tag: options.proxy_tag });
+    // node-fetch agent for robots.txt and sitemaps, which take the job's next proxy when they are fetched
+    const proxyAgent = proxySession
+      ? requestUrl => proxyPools.getAgent(proxySession.next())(requestUrl)
+      : undefined;
+    const getRobotsPolicy = requestUrl => robotsTxtCache.getPolicy(requestUrl, { agent: proxyAgent });
+
+    // Nothing is fetched from the site, not even the start URL, unless its robots.txt allows it
+    if (respectRobotsTxt) {
+      const policy = await getRobotsPolicy(url);
+      if (!policy.isAllowed(url)) {
+        throw new JobError('robots_blocked', `Start URL ${url} is disallowed by robots.txt for ${ROBOTS_USER_AGENT}`);
+      }
+    }
+
+    // Create isolated data collections for this specific job
+    const jobData = {
+      extractedEmails: [],
+      emailDetails: new Map(), // email -> { techniques: Set, classification }
+      socialProfiles: new Map(), // network -> Set of profile URLs
+      extractedPhones: [],
+      addresses: new Map(), // formatted address -> address with source_url
+      businessNames: [], // [{ name, technique }] in discovery order
+      contacts: new ContactCollector(), // Provenance for every email, phone and social profile
+      fetchedVCards: new Set(),
+      documents: new Map(), // document URL -> { url, type, error }
+      requestCount: 0, // Pages and documents fetched, bounded by options.max_pages
+      visitedUrls: new Set(),
+      skippedUrls: new Map(), // URL -> { url, reason, detail }
+      crawledPages: [], // How each visited page was discovered, in visit order
+      stopped: false, // Set by stop_after_first_email
+      startUrlError: null // Set when the start URL fails; the crawl found nothing, so the job fails
+    };
+
+    const recordEmails = (matches, pageUrl, html) => {
+      for (const { email, technique, classification, raw } of matches) {
+        jobData.extractedEmails.push(email);
+        jobData.contacts.add('email', email, { pageUrl, technique, html, raw });
+        if (!jobData.emailDetails.has(email)) {
+          jobData.emailDetails.set(email, { techniques: new Set(), classification });
+          publish('email', { email, classification, technique, source_url: pageUrl });
+        }
+        jobData.emailDetails.get(email).techniques.add(technique);
+      }
+    };
+
+    const recordSocialProfiles = (profiles, pageUrl, html, technique = 'link') => {
+      for (const [network, urls] of Object.entries(profiles)) {
+        if (!jobData.socialProfiles.has(network)) {
+          jobData.socialProfiles.set(network, new Set());
+        }
+        for (const url of urls) {
+          jobData.socialProfiles.get(network).add(url);
+          jobData.contacts.add(network, url, { pageUrl, technique, html });
+        }
+      }
+    };
+
+    const recordPhones = (matches, pageUrl, html) => {
+      for (const { phone, technique, raw } of matches) {
+        jobData.extractedPhones.push(phone);
+        jobData.contacts.add('phone', phone, { pageUrl, technique, html, raw });
+      }
+    };
+
+    // Business name, addresses, emails, phones and profile links from JSON-LD, microdata, hCard and vCard
+    const recordStructuredData = ({ names, addresses, telephones, emails, socialLinks }, pageUrl, source) => {
+      jobData.businessNames.push(...names);
+
+      for (const { technique, ...address } of addresses) {
+        if (!jobData.addresses.has(address.formatted)) {
+          jobData.addresses.set(address.formatted, { ...address, source_url: pageUrl, technique });
+        }
+      }
+
+      recordEmails(filterEmails(emails).accepted, pageUrl, source);
+
+      const phones = telephones
+        .map(({ raw, technique }) => ({ phone: normalizePhone(raw, DEFAULT_PHONE_COUNTRY), technique, raw }))
+        .filter(({ phone }) => phone);
+      recordPhones(phones, pageUrl, source);
+
+      // sameAs/URL entries go through the social extractor so they get the same false-positive rules
+      for (const { url, technique } of socialLinks) {
+        recordSocialProfiles(extractSocialProfiles(url), pageUrl, source, technique);
+      }
+    };
+
+    const recordSkippedUrl = (skippedUrl, policy) => {
+      if (jobData.skippedUrls.has(skippedUrl)) return;
+      jobData.skippedUrls.set(skippedUrl, { url: skippedUrl, reason: 'robots_txt_disallowed', detail: `Disallowed for ${ROBOTS_USER_AGENT}` });
+    };
+
+    const isAllowedByRobotsTxt = async (requestUrl) => {
+      if (!respectRobotsTxt) return true;
+
+      const policy = await getRobotsPolicy(requestUrl);
+      if (!policy.isAllowed(requestUrl)) {
+        recordSkippedUrl(requestUrl, policy);
+        return false;
+      }
+      return true;
+    };
+
+    // Waits for the shared scheduler to let a request to the URL start, spaced by the site's Crawl-delay when
+    // it is longer than RATE_LIMIT_DELAY. Resolves to the function that frees the slot again.
+    const acquireRequestSlot = async (requestUrl) => {
+      const minDelayMs = respectRobotsTxt ? (await getRobotsPolicy(requestUrl)).crawlDelayMs : 0;
+      return requestScheduler.acquire(requestUrl, { minDelayMs, signal });
+    };
+
+    const withRequestSlot = async (requestUrl, fn) => {
+      const release = await acquireRequestSlot(requestUrl);
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    };
+
+    // Slots for this job's page requests (request uniqueKey -> release). A page waits for its slot before it is
+    // dispatched (beforeDispatch below), so the wait, Crawl-delay included, doesn't take up one of the crawl
+    // engine's concurrency slots. The slot is ready until the page's navigation starts, then held until the
+    // response has arrived.
+    const readySlots = new Map();
+    const requestSlots = new Map();
+    const slotWaits = new Map(); // request uniqueKey -> promise, while the page waits for its slot
+    let crawlEnded = false;
+    const releaseRequestSlot = (request) => {
+      for (const slots of [readySlots, requestSlots]) {
+        slots.get(request.uniqueKey)?.();
+        slots.delete(request.uniqueKey);
+      }
+    };
+    const waitForRequestSlot = (request) => {
+      if (readySlots.has(request.uniqueKey)) return null;
+      if (!slotWaits.has(request.uniqueKey)) {
+        const wait = acquireRequestSlot(request.url)
+          .then(release => crawlEnded ? release() : readySlots.set(request.uniqueKey, release))
+          .finally(() => slotWaits.delete(request.uniqueKey));
+        slotWaits.set(request.uniqueKey, wait);
+      }
+      return slotWaits.get(request.uniqueKey);
+    };
+
+    // Proxy picked for the current attempt at each of this job's pages (request uniqueKey -> proxy)
+    const pageProxies = new Map();
+    // Current attempt at each of this job's pages (request uniqueKey -> { startedAt, renderingType }), for the
+    // crawl log
+    const pageAttempts = new Map();
+
+    // Link-following rules for every planned page
+    const linkOptions = {
+      strategy: options.include_subdomains ? 'same-domain' : 'same-hostname',
+      ...(options.include_patterns.length > 0 && { globs: options.include_patterns }),
+      // Documents are downloaded separately, not rendered
+      exclude: [DOCUMENT_URL_REGEX, UNSUPPORTED_DOCUMENT_URL_REGEX, ...options.exclude_patterns]
+    };
+
+    // Pages are visited best contact-likelihood first (see lib/crawl-planning.js)
+    const planner = new CrawlPlanner({ maxCandidates: MAX_CRAWL_CANDIDATES });
+    const startUrl = new URL(url);
+    startUrl.hash = '';
+    planner.markPlanned(startUrl.href);
+
+    // `links` are [{ url, text, inNavigation }]; those the link rules allow are scored and added to the plan
+    const planLinks = async (links, baseUrl, discovery) => {
+      const crawlable = new Set(await filterCrawlableUrls(links.map(link => link.url), baseUrl, linkOptions));
+      for (const link of links) {
+        if (!crawlable.has(link.url)) continue;
+        const score = scoreCandidate(link.url, {
+          linkText: link.text,
+          inNavigation: link.inNavigation,
+          guessed: discovery.discovered_by === 'guessed'
+        });
+        planner.add(link.url, score, { ...discovery, link_text: link.text || null });
+      }
+    };
+
+    // Queues the best remaining candidate. Only one page is queued at a time, so links found on later
+    // pages still compete with everything planned before them.
+    const queueNextPage = async () => {
+      while (!signal.aborted && !jobData.stopped && jobData.requestCount < options.max_pages) {
+        const candidate = planner.next();
+        if (!candidate) return;
+        if (jobData.visitedUrls.has(candidate.url) || !await isAllowedByRobotsTxt(candidate.url)) continue;
+
+        const { url: candidateUrl, depth, ...discovery } = candidate;
+        const queued = await crawl.addRequests([{
+          url: candidateUrl,
+          uniqueKey: candidateUrl,
+          userData: { depth, instanceId: jobId, count: depth, discovery }
+        }]);
+        if (queued > 0) return;
+      }
+    };
+
+    // Sitemap pages are planned before the crawl starts, so the best of them compete with the start page's links
+    if (options.max_depth > 0) {
+      const sitemapUrls = await fetchSitemapUrls(url, {
+        sitemapUrls: (await getRobotsPolicy(url)).sitemaps,
+        isAllowed: isAllowedByRobotsTxt,
+        schedule: withRequestSlot,
+        userAgent: ROBOTS_USER_AGENT,
+        timeoutMs: SITEMAP_TIMEOUT_MS,
+        maxSize: MAX_SITEMAP_SIZE,
+        maxSitemaps: MAX_SITEMAP_FILES,
+        maxUrls: MAX_SITEMAP_URLS,
+        agent: proxyAgent,
+        log: message => console.log(`Job ${jobId}: ${message}`)
+      });
+      await planLinks(sitemapUrls.map(sitemapUrl => ({ url: sitemapUrl })), url, {
+        discovered_by: 'sitemap', found_on: null, depth: 1
+      });
+
+      // Without a sitemap, try the usual contact page paths
+      if (planner.size === 0) {
+        const { origin } = new URL(url);
+        await planLinks(GUESSED_CONTACT_PATHS.map(path => ({ url: new URL(path, origin).href })), url, {
+          discovered_by: 'guessed', found_on: null, depth: 1
+        });
+      }
+    }
+
+    // Handles one of this job's pages: extracts contacts and plans the next pages
+    async function requestHandler(context) {
+      const { response, log, request } = context;
+      const page = getBrowserPage(context);
+
+      // The response has arrived, so the site's next request may start; vCard and document downloads below
+      // take slots of their own
+      releaseRequestSlot(request);
+
+      // Pages still queued when the job is aborted are skipped
+      if (signal.aborted) return;
+
+      // A status from the proxy itself is retried like a proxy error, with the job's next proxy
+      const proxy = pageProxies.get(request.uniqueKey) || null;
+      if (proxy && isProxyErrorStatus(response?.statusCode)) {
+        throw new Error(`Proxy responded with ${response.statusCode} (${proxy.id}) for ${request.url}`);
+      }
+      proxyPools.reportResult(proxy);
+
+      const attempt = pageAttempts.get(request.uniqueKey);
+      const durationMs = attempt ? Date.now() - attempt.startedAt : null;
+
+      let pageProcessed = false; // The next page is queued once this one has been handled
+      try {
+        const currentUrl = request.url;
+        const depth = request.userData?.depth ?? 0;
+        const instanceId = request.userData?.instanceId;
+        const count = request.userData?.count ?? 0;
+        const statusCode = response?.statusCode ?? null;
+
+        // The rendered HTML for browser pages, the raw HTML when rendering was skipped (straight HTTP)
+        let htmlContent = '';
+        try {
+          htmlContent = page
+            ? await page.evaluate(() => document.documentElement.outerHTML)
+            : String(response?.body ?? '');
+        } catch (err) {
+          log.warning(`Failed to read the HTML of ${currentUrl}: ${err?.message || err}`);
+        }
+
+        const detection = detectPageIssue({ statusCode, headers: response?.headers, html: htmlContent });
+        logCrawl(currentUrl, 'page', {
+          http_status: statusCode,
+          rendering: page ? 'browser' : 'http',
+          duration_ms: durationMs,
+          bytes: response?.rawBody?.length ?? Buffer.byteLength(htmlContent),
+          error_code: BLOCKING_DETECTIONS.includes(detection) ? 'blocked' : errorCodeFromStatus(statusCode),
+          detection,
+          proxy: proxy?.id ?? null,
+          attempts: request.retryCount + 1
+        });
+
+        // A block page or an error page (404, 5xx, ...) on the start URL means there is nothing to crawl
+        if (depth === 0) {
+          if (BLOCKING_DETECTIONS.includes(detection)) {
+            jobData.startUrlError = new JobError('blocked', `Start URL ${currentUrl} returned a ${detection} page (HTTP ${statusCode})`);
+            return;
+          }
+          const statusError = errorFromStatusCode(statusCode, currentUrl);
+          if (statusError) {
+            jobData.startUrlError = statusError;
+            return;
+          }
+        }
+
+        // Enforce per-instance request limit
+        if (count >= options.max_pages || jobData.requestCount >= options.max_pages) {
+          if (typeof log?.info === 'function') {
+            log.info(`Instance ${instanceId || jobId} reached its per-instance limit (${options.max_pages})`);
+          }
+          return;
+        }
+
+        // Skip if already visited
+        if (jobData.visitedUrls.has(currentUrl)) {
+          return;
+        }
+        jobData.visitedUrls.add(currentUrl);
+        jobData.requestCount++;
+        jobData.crawledPages.push({
+          url: currentUrl,
+          ...(request.userData?.discovery || { discovered_by: 'start_url', found_on: null, link_text: null, score: null }),
+          depth,
+          proxy: proxy?.id ?? null
+        });
+        pageProcessed = true;
+        if (request.loadedUrl) planner.markPlanned(request.loadedUrl); // Don't revisit the page a redirect led to
+
+        // Block and parking pages carry no contacts or links of the site's own. When the start page is a
+        // parking page, there is no site to crawl.
+        if (detection) {
+          log.info(`Skipping ${currentUrl}: ${detection} page`);
+          if (depth === 0 && detection === 'parked_domain') jobData.stopped = true;
+          return;
+        }
+
+        try {
+          let emails = [];
+          let socialProfiles = {};
+          let phones = [];
+
+          if (htmlContent) {
+            // Extract emails from HTML content and drop false positives
+            emails = filterEmails(extractEmails(htmlContent)).accepted;
+            recordEmails(emails, currentUrl, htmlContent);
+
+            socialProfiles = extractSocialProfiles(htmlContent);
+            recordSocialProfiles(socialProfiles, currentUrl, htmlContent);
+
+            phones = extractPhones(htmlContent, DEFAULT_PHONE_COUNTRY);
+            recordPhones(phones, currentUrl, htmlContent);
+
+            // Parsed once for the structured data and the vCard links
+            const $ = load(htmlContent);
+            recordStructuredData(extractStructuredData($), currentUrl, htmlContent);
+
+            // Download linked vCard files from the same site
+            const vcardUrls = findVCardLinks($, currentUrl)
+              .filter(vcardUrl => isSameSite(vcardUrl, currentUrl) && !jobData.fetchedVCards.has(vcardUrl))
+              .slice(0, MAX_VCARDS_PER_PAGE);
+
+            for (const vcardUrl of vcardUrls) {
+              jobData.fetchedVCards.add(vcardUrl);
+              if (!await isAllowedByRobotsTxt(vcardUrl)) continue;
+              let startedAt = null;
+              try {
+                // Same size and time limits as linked documents
+                const { text, status, bytes } = await withRequestSlot(vcardUrl, () => {
+                  startedAt = Date.now();
+                  return fetchVCardText(vcardUrl, {
+                    maxSize: MAX_DOCUMENT_SIZE,
+                    timeoutMs: DOCUMENT_TIMEOUT_MS,
+                    agent: proxyPools.getAgent(proxy)
+                  });
+                });
+                logCrawl(vcardUrl, 'vcard', {
+                  http_status: status,
+                  rendering: 'http',
+                  duration_ms: Date.now() - startedAt,
+                  bytes,
+                  proxy: proxy?.id ?? null
+                });
+                recordStructuredData(parseVCard(text), vcardUrl, text);
+              } catch (err) {
+                logCrawl(vcardUrl, 'vcard', {
+                  rendering: 'http',
+                  duration_ms: startedAt ? Date.now() - startedAt : null,
+                  ...describeFailure(err),
+                  proxy: proxy?.id ?? null
+                });
+                log.warning(`Failed to fetch vCard ${vcardUrl}: ${err?.message || err}`);
+              }
+            }
+
+            // Download linked PDF/DOCX/TXT documents from the same site; each one counts as a request
+            const documentLinks = findDocumentLinks(htmlContent, currentUrl)
+              .filter(({ url: documentUrl }) => isSameSite(documentUrl, currentUrl) && !jobData.documents.has(documentUrl))
+              .slice(0, MAX_DOCUMENTS_PER_PAGE);
+
+            for (const { url: documentUrl, type } of documentLinks) {
+              if (jobData.requestCount >= options.max_pages) break;
+              if (!await isAllowedByRobotsTxt(documentUrl)) continue;
+              jobData.requestCount++;
+
+              const documentProxy = proxySession?.next() || null;
+              let startedAt = null;
+              try {
+                const { type: documentType, text, status, bytes } = await withRequestSlot(documentUrl, () => {
+                  startedAt = Date.now();
+                  return fetchDocumentText(documentUrl, {
+                    maxSize: MAX_DOCUMENT_SIZE,
+                    timeoutMs: DOCUMENT_TIMEOUT_MS,
+                    agent: proxyPools.getAgent(documentProxy)
+                  });
+                });
+                proxyPools.reportResult(documentProxy);
+                jobData.documents.set(documentUrl, { url: documentUrl, type: documentType, error: null, proxy: documentProxy?.id ?? null });
+                logCrawl(documentUrl, 'document', {
+                  http_status: status,
+                  rendering: 'http',
+                  duration_ms: Date.now() - startedAt,
+                  bytes,
+                  proxy: documentProxy?.id ?? null
+                });
+
+                recordEmails(filterEmails(extractEmails(text)).accepted, documentUrl, text);
+                recordPhones(extractPhones(text, DEFAULT_PHONE_COUNTRY), documentUrl, text);
+              } catch (err) {
+                proxyPools.reportResult(documentProxy, err);
+                jobData.documents.set(documentUrl, {
+                  url: documentUrl,
+                  type,
+                  error: err?.message || String(err),
+                  proxy: documentProxy?.id ?? null
+                });
+                logCrawl(documentUrl, 'document', {
+                  rendering: 'http',
+                  duration_ms: startedAt ? Date.now() - startedAt : null,
+                  ...describeFailure(err),
+                  proxy: documentProxy?.id ?? null
+                });
+                log.warning(`Failed to extract document ${documentUrl}: ${err?.message || err}`);
+              }
+            }
+          }
+
+          publish('page', { url: currentUrl, pages_crawled: jobData.visitedUrls.size, emails_found: jobData.emailDetails.size });
+
+          const socialCount = Object.values(socialProfiles).reduce((sum, urls) => sum + urls.length, 0);
+          log.info(`Found ${new Set(emails.map(e => e.email)).size} emails, ${new Set(phones.map(p => p.phone)).size} phones and ${socialCount} social profiles on ${currentUrl}`);
+        } catch (err) {
+          log.error(`Failed to extract text from ${currentUrl}: ${err}`);
+        }
+
+        // Quick checks only need one address; stop the crawl instead of enqueuing more links
+        if (options.stop_after_first_email && jobData.extractedEmails.length > 0) {
+          log.info(`Found an email for job ${jobId}, stopping crawl (stop_after_first_email)`);
+          jobData.stopped = true;
+          return;
+        }
+
+        // This page's links become candidates for the following pages
+        if (depth < options.max_depth && htmlContent) {
+          await planLinks(findPageLinks(htmlContent, currentUrl), currentUrl, {
+            discovered_by: 'link', found_on: currentUrl, depth: depth + 1
+          });
+        }
+      } catch (err) {
+        // Handle timeout errors gracefully
+        if (err.message && err.message.includes('Timeout')) {
+          log.warning(`Timeout on ${request?.url || 'unknown'}: ${err.message}`);
+        } else {
+          log.error(`Error on ${request?.url || 'unknown'}: ${err?.message || err}`);
+        }
+      } finally {
+        try {
+          if (page && !page.isClosed()) {
+            await page.close();
+          }
+        } catch (closeErr) {
+          if (typeof log?.debug === 'function') {
+            log.debug(`Failed to close page: ${closeErr?.message || closeErr}`);
+          }
+        }
+
+        if (pageProcessed) {
+          await queueNextPage();
+        }
+      }
+    }
+
+    // The job's pages run on the shared crawl engine; its handlers below see only this job's requests
+    const crawl = crawlEngine.createCrawl({
+      renderingMode: options.rendering_mode,
+      navigationTimeoutSecs: options.navigation_timeout_secs,
+      signal,
+      handlers: {
+        // Every page request waits for its domain and IP slots before it is dispatched; disallowed pages are
+        // never queued (see queueNextPage)
+        beforeDispatch: waitForRequestSlot,
+        // Rendering-type detection, and the browser run after plain HTTP failed, navigate a second time within the
+        // same dispatch. The first navigation's slot is freed, and the second one waits for a slot of its own.
+        preNavigation: async ({ request }, { renderingType }) => {
+          const ready = readySlots.get(request.uniqueKey);
+          readySlots.delete(request.uniqueKey);
+          releaseRequestSlot(request);
+          requestSlots.set(request.uniqueKey, ready || await acquireRequestSlot(request.url));
+          pageAttempts.set(request.uniqueKey, { startedAt: Date.now(), renderingType });
+        },
+        // Each attempt at a page takes the job's next proxy; with per-session rotation that is the same proxy
+        // until it fails
+        selectProxy: (request) => {
+          if (!proxySession) return null;
+          const proxy = proxySession.next();
+          pageProxies.set(request.uniqueKey, proxy);
+          return proxy.url;
+        },
+        // Failed navigations free their slot before the request is retried
+        errorHandler: async ({ request }, error) => {
+          releaseRequestSlot(request);
+          proxyPools.reportResult(pageProxies.get(request.uniqueKey), error);
+        },
+        failedRequestHandler: async ({ request }, error) => {
+          releaseRequestSlot(request);
+          const proxy = pageProxies.get(request.uniqueKey);
+          proxyPools.reportResult(proxy, error);
+
+          const attempt = pageAttempts.get(request.uniqueKey);
+          logCrawl(request.url, 'page', {
+            rendering: attempt?.renderingType ?? null,
+            duration_ms: attempt ? Date.now() - attempt.startedAt : null,
+            ...describeFailure(error),
+            proxy: proxy?.id ?? null,
+            attempts: request.retryCount + 1
+          });
+          console.log(`Request failed: ${request.url} - ${error.message}`);
+          if ((request.userData?.depth ?? 0) === 0) {
+            jobData.startUrlError = error;
+          } else {
+            await queueNextPage();
+          }
+        },
+        requestHandler
+      }
+    });
+
+    // On abort, no further pages are queued and queued ones fail without being fetched; the page in
+    // progress finishes
+    try {
+      if (!signal.aborted) {
+        await crawl.run({ url, userData: { depth: 0, instanceId: jobId, count: 0 } });
+      }
+    } finally {
+      // Requests that ended without reaching a release point must not hold their slots forever
+      crawlEnded = true;
+      for (const release of [...readySlots.values(), ...requestSlots.values()]) release();
+    }
+
+    if (signal.aborted) {
+      console.log(`Job ${jobId} aborted: ${signal.reason?.message || signal.reason}`);
+      return null;
+    }
+
+    if (jobData.startUrlError) {
+      throw jobData.startUrlError;
+    }
+
+    // Remove duplicates and prepare results
+    const uniqueEmails = [...new Set(jobData.extractedEmails)];
+    const socialProfiles = Object.fromEntries(
+      getSocialNetworks().map(network => [network, Array.from(jobData.socialProfiles.get(network) || [])])
+    );
+    const uniquePhones = [...new Set(jobData.extractedPhones)];
+    // Prefer names from structured data over the Open Graph fallback
+    const businessName = (
+      jobData.businessNames.find(({ technique }) => technique !== 'og_site_name') ||
+      jobData.businessNames[0]
+    )?.name || null;
+    const emailDetails = uniqueEmails.map(email => ({
+      email,
+      classification: jobData.emailDetails.get(email).classification,
+      techniques: Array.from(jobData.emailDetails.get(email).techniques)
+    }));
+    const contacts = jobData.contacts.list();
+    const crawlLogEntries = Array.from(crawlLog.values());
+    const outcome = getCrawlOutcome({ contactCount: contacts.length, crawlLog: crawlLogEntries });
+
+    // Update job with results
+    const saved = await updateClaimedJob(jobId, 'done', {
+      emails: uniqueEmails,
+      email_details: emailDetails,
+      facebook_urls: socialProfiles.facebook, // Kept for clients that predate social_profiles
+      social_profiles: socialProfiles,
+      phones: uniquePhones,
+      addresses: Array.from(jobData.addresses.values()),
+      business_name: businessName,
+      contacts,
+      crawled_urls: Array.from(jobData.visitedUrls),
+      crawled_pages: jobData.crawledPages,
+      crawled_documents: Array.from(jobData.documents.values()),
+      skipped_urls: Array.from(jobData.skippedUrls.values()),
+      pages_crawled: jobData.visitedUrls.size,
+      outcome,
+      crawl_log: crawlLogEntries,
+      error: null,
+      error_code: null,
+      next_attempt_at: null,
+      attempts: [...retryState.attempts, attemptRecord('success')]
+    });
+
+    if (!saved) {
+      console.log(`Job ${jobId} was cancelled or reclaimed while processing; results discarded`);
+      return null;
+    }
+
+    publish('status', { status: 'done' });
+
+    const socialCount = Object.values(socialProfiles).reduce((sum, urls) => sum + urls.length, 0);
+    console.log(`Completed job ${jobId} (${outcome}): Found ${uniqueEmails.length} emails, ${uniquePhones.length} phones and ${socialCount} social profiles`);
+    return 'done';
+
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`Job ${jobId} aborted: ${signal.reason?.message || signal.reason}`);
+      return null;
+    }
+
+    const { code, retryable, message } = classifyJobError(error);
+    const attempts = [...retryState.attempts, attemptRecord('error', { error_code: code, error: message })];
+
+    // Transient failures go back to the queue with exponential backoff until max_retries is used up
+    if (retryable && retryState.retryCount < retryState.maxRetries) {
+      const delayMs = getRetryDelayMs(retryState.retryCount, {
+        baseDelayMs: RETRY_BASE_DELAY_SECS * 1000,
+        maxDelayMs: RETRY_MAX_DELAY_SECS * 1000
+      });
+      console.warn(`Job ${jobId} failed (${code}), retrying in ${Math.round(delayMs / 1000)}s:`, message);
+
+      const requeued = await updateClaimedJob(jobId, 'queued', {
+        retry_count: retryState.retryCount + 1,
+        next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+        started_at: null,
+        error: message,
+        error_code: code,
+        crawl_log: Array.from(crawlLog.values()), // Of the failed attempt, until the next one finishes
+        attempts
+      });
+      if (!requeued) return null;
+
+      publish('status', { status: 'queued', error_code: code, retry_count: retryState.retryCount + 1 });
+      return 'queued';
+    }
+
+    console.error(`Job ${jobId} failed (${code}${retryable ? ', retries exhausted' : ''}):`, error);
+
+    // Update job with error
+    const saved = await updateClaimedJob(jobId, 'error', {
+      error: message,
+      error_code: code,
+      outcome: getErrorOutcome(code),
+      crawl_log: Array.from(crawlLog.values()),
+      next_attempt_at: null,
+      attempts
+    });
+    if (!saved) return null;
+
+    publish('status', { status: 'error', error_code: code });
+    return 'error';
+  }
+}
+
+// Queues the webhooks due once a job has finished: the job's own callback when it ends in done/error,
+// and the batch's callback when this was the batch's last unfinished job. `job` needs job_id, batch_id
+// and callback_url. Errors are logged rather than thrown so they never affect the job itself.
+async function queueCompletionWebhooks(job, status) {
+  if (job.callback_url && (status === 'done' || status === 'error')) {
+    try {
+      const finishedJob = await getJob(job.job_id);
+      if (finishedJob) {
+        await queueWebhook({
+          event: 'job.completed',
+          job_id: job.job_id,
+          batch_id: job.batch_id || null,
+          callback_url: job.callback_url,
+          payload: { job: formatJob(finishedJob) }
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to queue completion webhook for job ${job.job_id}:`, error);
+    }
+  }
+
+  if (job.batch_id) {
+    await queueBatchCompletionWebhook(job.batch_id);
+  }
+}
+
+// Completes the batch if none of its jobs are left unfinished and, if it has a callback_url, queues its
+// batch.completed delivery. Only the caller that completes the batch queues it, so it is sent once.
+async function queueBatchCompletionWebhook(batchId) {
+  try {
+    const batch = await markBatchCompletedIfFinished(batchId);
+    if (!batch?.callback_url) return;
+
+    const counts = await getBatchStatusCounts(batchId);
+    await queueWebhook({
+      event: 'batch.completed',
+      job_id: null,
+      batch_id: batchId,
+      callback_url: batch.callback_url,
+      payload: { batch: formatBatch(batch, counts) }
+    });
+  } catch (error) {
+    console.error(`Failed to queue completion webhook for batch ${batchId}:`, error);
+  }
+}
+
+// Stores a delivery and makes the first attempt right away; retries are picked up by the WebhookDispatcher
+async function queueWebhook(delivery) {
+  const created = await createWebhookDelivery(delivery);
+  webhookDispatcher.attempt(created);
+}
+
+// Background worker system
+class JobWorker {
+  constructor() {
+    this.isRunning = false;
+    this.activeJobs = new Map(); // jobId -> AbortController for the running crawl
+    this.loopFinished = Promise.resolve(); // Resolves once the claim loop in start() has exited
+    this.resetJobFinished();
+  }
+
+  // `jobFinished` resolves when the next running job finishes, so its slot can be refilled right away
+  resetJobFinished() {
+    this.jobFinished = new Promise(resolve => {
+      this.resolveJobFinished = resolve;
+    });
+  }
+
+  // Aborts a job running on this instance. Returns false if it isn't running here.
+  abortJob(jobId, reason) {
+    const controller = this.activeJobs.get(jobId);
+    if (!controller) return false;
+
+    controller.abort(new Error(reason));
+    return true;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    
+    this.isRunning = true;
+    console.log('Job worker started');
+
+    let finishLoop;
+    this.loopFinished = new Promise(resolve => {
+      finishLoop = resolve;
+    });
+
+    // Keep up to MAX_CONCURRENT_WORKERS jobs running, claiming more as soon as one finishes
+    try {
+      while (this.isRunning) {
+        try {
+          const claimed = await this.claimAndStartJobs();
+          if (this.activeJobs.size >= MAX_CONCURRENT_WORKERS) {
+            await this.jobFinished;
+          } else if (claimed === 0) {
+            // The queue is empty; check again in 2 seconds, or sooner if a running job finishes
+            await Promise.race([this.jobFinished, new Promise(resolve => setTimeout(resolve, 2000))]);
+          }
+        } catch (error) {
+          console.error('Worker error:', error);
+          await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+      }
+    } finally {
+      finishLoop();
+    }
+  }
+
+  // Stops claiming jobs, aborts the running crawls and, once they have stopped, returns their jobs to the
+  // queue. Aborted jobs save nothing, so no crawl writes to a job after another worker may have claimed it.
+  async stop() {
+    this.isRunning = false;
+
+    for (const controller of this.activeJobs.values()) {
+      controller.abort(new Error('Worker is shutting down'));
+    }
+    // A claim in progress starts its jobs already aborted (see runJob)
+    await this.loopFinished;
+    while (this.activeJobs.size > 0) {
+      await this.jobFinished;
+    }
+
+    try {
+      const released = await releaseWorkerJobs();
+      if (released > 0) {
+        console.log(`Returned ${released} in-flight job(s) to the queue`);
+      }
+    } catch (error) {
+      // The leases will expire and the jobs will be requeued by another worker
+    }
+
+    console.log('Job worker stopped');
+  }
+
+  // Sends the events and completion webhooks for jobs whose lease expired, as runJob does for jobs that
+  // fail while running. Jobs out of retries end in 'error'; the others are back in the queue.
+  async expireLeases() {
+    const expiredJobs = await expireJobLeases();
+
+    for (const job of expiredJobs) {
+      console.warn(`Lease on job ${job.job_id} expired; the job is now ${job.status}`);
+      const publish = createJobEventPublisher(job.job_id, job.batch_id);
+      if (job.status === 'queued') {
+        publish('status', { status: 'queued', error_code: job.error_code, retry_count: job.retry_count });
+      } else {
+        publish('status', { status: 'error', error_code: job.error_code });
+        await queueCompletionWebhooks(job, 'error');
+      }
+    }
+  }
+
+  // Claims jobs for the free slots and starts them without waiting for them to finish. Returns how many
+  // were claimed.
+  async claimAndStartJobs() {
+    const freeSlots = MAX_CONCURRENT_WORKERS - this.activeJobs.size;
+    if (freeSlots <= 0) return 0;
+
+    try {
+      await this.expireLeases();
+
+      // Claim jobs atomically so other instances polling the same table skip them
+      const claimedJobs = await claimJobs(Math.min(WORKER_BATCH_SIZE, freeSlots));
+
+      for (const job of claimedJobs) {
+        this.runJob(job).catch(error => {
+          console.error(`Error running job ${job.job_id}:`, error);
+        });
+      }
+      return claimedJobs.length;
+
+    } catch (error) {
+      console.error('Error claiming jobs:', error);
+      return 0;
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.activeJobs.set(job.job_id, controller);
+    if (!this.isRunning) {
+      controller.abort(new Error('Worker is shutting down'));
+    }
+
+    // Renew the lease well before it expires; long crawls would otherwise be requeued mid-run.
+    // A failed renewal means the job was cancelled (possibly via another instance) or reclaimed.
+    const leaseTimer = setInterval(() => {
+      renewJobLease(job.job_id)
+        .then(renewed => {
+          if (!renewed) {
+            console.warn(`Lost lease on job ${job.job_id} (cancelled or reclaimed); stopping its crawl`);
+            controller.abort(new Error('Job was cancelled or its lease was lost'));
+          }
+        })
+        .catch(() => {}); // Logged in renewJobLease; the next tick retries
+    }, (JOB_LEASE_SECONDS * 1000) / 3);
+
+    const publish = createJobEventPublisher(job.job_id, job.batch_id);
+    publish('status', { status: 'processing', attempt: (job.retry_count || 0) + 1 });
+
+    try {
+      // Jobs queued before per-job options existed fall back to the server defaults
+      const options = job.options || resolveCrawlOptions({}, CRAWL_OPTION_SETTINGS).options;
+      const status = await processJob(job.job_id, job.url, options, {
+        retryState: {
+          retryCount: job.retry_count || 0,
+          maxRetries: job.max_retries ?? 3,
+          attempts: job.attempts || []
+        },
+        signal: controller.signal,
+        publish
+      });
+      if (status && status !== 'queued') {
+        await queueCompletionWebhooks(job, status);
+      }
+    } finally {
+      clearInterval(leaseTimer);
+      this.activeJobs.delete(job.job_id);
+      this.resolveJobFinished();
+      this.resetJobFinished();
+    }
+  }
+}
+
+// Initialize worker
+const jobWorker = new JobWorker();
+
+// Sends webhook deliveries and retries failed ones with exponential backoff. New deliveries are attempted
+// as soon as they are queued; the polling loop picks up retries that have come due, on any instance.
+class WebhookDispatcher {
+  constructor() {
+    this.isRunning = false;
+    this.inFlight = new Set(); // delivery_ids being attempted by this instance
+  }
+
+  async start() {
+    if (this.isRunning) return;
+
+    if (!WEBHOOK_SECRET) {
+      console.log('WEBHOOK_SECRET is not set; webhook callbacks are disabled');
+      return;
+    }
+
+    this.isRunning = true;
+
+    while (this.isRunning) {
+      try {
+        const due = await getDueWebhookDeliveries(WEBHOOK_DISPATCH_BATCH_SIZE);
+        await Promise.all(due.map(delivery => this.attempt(delivery)));
+      } catch (error) {
+        // Logged in getDueWebhookDeliveries
+      }
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_POLL_MS));
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  // Makes one delivery attempt. Never throws; failures are recorded in the delivery log.
+  async attempt(delivery) {
+    if (!WEBHOOK_SECRET || this.inFlight.has(delivery.delivery_id)) return;
+    this.inFlight.add(delivery.delivery_id);
+
+    try {
+      if (!await reserveWebhookDelivery(delivery)) return;
+
+      const attemptedAt = new Date().toISOString();
+      const result = await sendWebhook(delivery.callback_url, {
+        event: delivery.event,
+        deliveryId: delivery.delivery_id,
+        body: JSON.stringify({ event: delivery.event, delivery_id: delivery.delivery_id, ...delivery.payload }),
+        secret: WEBHOOK_SECRET,
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+        allowedHosts: WEBHOOK_ALLOWED_HOSTS
+      });
+      const recorded = await recordWebhookAttempt(delivery, { ...result, attempted_at: attemptedAt });
+
+      if (!result.ok) {
+        const outcome = recorded.status === 'failed' ? 'giving up' : `retrying at ${recorded.next_attempt_at}`;
+        console.warn(`Webhook ${delivery.delivery_id} (${delivery.event}) to ${delivery.callback_url} failed: ${result.error}; ${outcome}`);
+      }
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery.delivery_id} failed:`, error);
+    } finally {
+      this.inFlight.delete(delivery.delivery_id);
+    }
+  }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+
+// Live events for one job or one batch, shared by the SSE and WebSocket endpoints.
+// Progress events (page, email) come from the in-process bus, so they are only seen when the job runs on
+// this instance; status changes are also picked up by polling the database, so status and the final
+// "complete" event arrive no matter which instance runs the job.
+// `send(type, data)` delivers an event and `end()` closes the connection. Returns a cleanup function,
+// or null if the job/batch doesn't exist.
+async function openJobEventStream(jobId, send, end, apiKey) {
+  const job = await getJob(jobId);
+  if (!job || !canAccess(apiKey, job)) return null;
+
+  let lastStatus = job.status;
+  let closed = false;
+  let pollTimer = null;
+  let unsubscribe = () => {};
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    unsubscribe();
+  };
+
+  const complete = (finishedJob) => {
+    send('complete', formatJob(finishedJob));
+    cleanup();
+    end();
+  };
+
+  const onStatus = async (status, data = {}) => {
+    if (closed || status === lastStatus) return;
+    lastStatus = status;
+
+    if (!FINISHED_JOB_STATUSES.includes(status)) {
+      send('status', { job_id: jobId, ...data, status });
+      return;
+    }
+
+    const finishedJob = await getJob(jobId);
+    if (finishedJob && !closed) {
+      send('status', { job_id: jobId, ...data, status });
+      complete(finishedJob);
+    }
+  };
+
+  send('status', { job_id: jobId, status: job.status });
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    complete(job);
+    return cleanup;
+  }
+
+  unsubscribe = subscribeToJobEvents(`job:${jobId}`, ({ type, data }) => {
+    if (closed) return;
+    // Status events are re-read from the database so the complete event carries the saved results
+    if (type === 'status') {
+      onStatus(data.status, data).catch(() => {});
+    } else {
+      send(type, data);
+    }
+  });
+
+  pollTimer = setInterval(async () => {
+    try {
+      const current = await getJob(jobId);
+      if (closed) return;
+      if (!current) {
+        send('deleted', { job_id: jobId });
+        cleanup();
+        end();
+        return;
+      }
+      await onStatus(current.status);
+    } catch (error) {
+      // Logged in getJob; try again on the next tick
+    }
+  }, JOB_EVENTS_POLL_MS);
+
+  return cleanup;
+}
+
+async function openBatchEventStream(batchId, send, end, apiKey) {
+  const batch = await getBatch(batchId);
+  if (!batch || !canAccess(apiKey, batch)) return null;
+
+  let lastProgress = null;
+  let closed = false;
+  let pollTimer = null;
+  let unsubscribe = () => {};
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    unsubscribe();
+  };
+
+  // Sends a progress event when the counts changed; completes once no job is queued or running
+  const checkProgress = async () => {
+    const progress = buildBatchProgress(batch, await getBatchStatusCounts(batchId));
+    if (closed) return;
+
+    if (JSON.stringify(progress) !== JSON.stringify(lastProgress)) {
+      lastProgress = progress;
+      send('progress', { batch_id: batchId, ...progress });
+    }
+
+    if (progress.queued === 0 && progress.processing === 0) {
+      send('complete', { batch_id: batchId, ...progress });
+      cleanup();
+      end();
+    }
+  };
+
+  await checkProgress();
+  if (closed) return cleanup;
+
+  unsubscribe = subscribeToJobEvents(`batch:${batchId}`, ({ type, data }) => {
+    if (!closed) send(type, data);
+  });
+
+  pollTimer = setInterval(() => {
+    checkProgress().catch(() => {}); // Logged in getBatchStatusCounts; try again on the next tick
+  }, JOB_EVENTS_POLL_MS);
+
+  return cleanup;
+}
+
+const EVENT_STREAMS = {
+  job: { open: openJobEventStream, notFound: 'Job not found' },
+  batch: { open: openBatchEventStream, notFound: 'Batch not found' }
+};
+
+// Server-Sent Events endpoint handler for GET /job/:jobId/events and GET /batches/:batchId/events
+function serveEventStream(kind) {
+  return createServerSentEventsHandler(kind, { ...EVENT_STREAMS[kind], heartbeatMs: EVENT_STREAM_HEARTBEAT_MS });
+}
+
+// Modified /extract-emails endpoint - now adds jobs to queue
+app.post('/extract-emails', requireApiKey('jobs:write'), async (req, res) => {
+  try {
+    const { url, options: requestedOptions } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ 
+        error: 'URL is required',
+        message: 'Please provide a URL in the request body'
+      });
+    }
+
+    // Validate URL format
+    try {
+      new URL(url);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid URL format',
+        message: 'Please provide a valid URL'
+      });
+    }
+
+    // Validate crawl options against the server-side ceilings
+    const { options, errors } = resolveCrawlOptions(requestedOptions, CRAWL_OPTION_SETTINGS);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const { scheduling, errors: schedulingErrors } = resolveScheduling(req.body, DEFAULT_JOB_PRIORITY);
+    if (schedulingErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scheduling',
+        message: schedulingErrors.join('; '),
+        details: schedulingErrors
+      });
+    }
+
+    const { callbackUrl, errors: callbackErrors } = await resolveCallbackUrl(req.body);
+    if (callbackErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid callback_url',
+        message: callbackErrors.join('; ')
+      });
+    }
+
+    const forceRefresh = req.body.force_refresh ?? false;
+    if (typeof forceRefresh !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid force_refresh',
+        message: 'force_refresh must be a boolean'
+      });
+    }
+
+    if (!await checkDailyJobQuota(req, res, 1)) return;
+
+    // Generate unique job ID
+    const jobId = uuidv4();
+    const jobFields = {
+      ...scheduling,
+      callback_url: callbackUrl,
+      api_key_id: req.apiKey?.key_id ?? null
+    };
+
+    // A recent crawl of the same site answers the request without crawling again
+    const siteKey = getSiteKey(url);
+    const cachedJob = RESULT_CACHE_MAX_AGE_HOURS > 0 && !forceRefresh && siteKey
+      ? await findCachedJob(siteKey, options)
+      : null;
+
+    if (cachedJob) {
+      const job = await createCachedJob(jobId, url, options, jobFields, cachedJob);
+
+      res.json({
+        success: true,
+        message: 'Returned cached results',
+        job_id: jobId,
+        status: 'done',
+        cached: true,
+        job: formatJob(job)
+      });
+
+      await queueCompletionWebhooks(job, 'done');
+      return;
+    }
+
+    // Create job in database
+    const job = await createJob(jobId, url, options, jobFields);
+
+    // Add job to Crawlee request queue
+    // await requestQueue.addRequest({
+    //   url: url,
+    //   userData: {
+    //     jobId: jobId,
+    //     originalUrl: url
+    //   }
+    // });
+
+    res.json({
+      success: true,
+      message: 'Job queued successfully',
+      job_id: jobId,
+      status: 'queued',
+      cached: false,
+      url: url,
+      options: options,
+      priority: scheduling.priority,
+      client_id: scheduling.client_id,
+      callback_url: callbackUrl
+    });
+
+  } catch (error) {
+    console.error('Error queuing job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue the job'
+    });
+  }
+});
+
+// New endpoint to check job status
+app.get('/job/:jobId', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const job = await getJob(jobId);
+    
+    if (!job || !canAccess(req.apiKey, job)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The specified job ID does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve job information'
+    });
+  }
+});
+
+// Cancel a queued or running job. Running crawls on this instance stop right away;
+// other instances notice on their next lease renewal.
+app.post('/job/:jobId/cancel', requireApiKey('jobs:write'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const [cancelled] = await cancelJobs({ jobId, apiKeyId: ownerFilter(req.apiKey) });
+
+    if (!cancelled) {
+      const job = await getJob(jobId);
+
+      if (!job || !canAccess(req.apiKey, job)) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'The specified job ID does not exist'
+        });
+      }
+
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `The job is already ${job.status} and cannot be cancelled`
+      });
+    }
+
+    jobWorker.abortJob(jobId, 'Job was cancelled');
+    createJobEventPublisher(jobId, cancelled.batch_id)('status', { status: 'cancelled' });
+    if (cancelled.batch_id) {
+      await queueBatchCompletionWebhook(cancelled.batch_id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      job: formatJob(await getJob(jobId))
+    });
+
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cancel job'
     });
   }
 });
 
-// New endpoint to check job status
-app.get('/job/:jobId', async (req, res) => {
+// Delete a job and all of its extracted data, cancelling it first if it is still running
+app.delete('/job/:jobId', requireApiKey('jobs:write'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    
+
     const job = await getJob(jobId);
-    
-    if (!job) {
+
+    if (!job || !canAccess(req.apiKey, job)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The specified job ID does not exist'
+      });
+    }
+
+    jobWorker.abortJob(jobId, 'Job was deleted');
+    const deleted = await deleteJob(jobId);
+
+    // The batch may have been waiting only for this job
+    if (deleted?.batch_id) {
+      await queueBatchCompletionWebhook(deleted.batch_id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Job deleted',
+      job_id: jobId
+    });
+
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete job'
+    });
+  }
+});
+
+// Webhook delivery log for a job submitted with a callback_url
+app.get('/job/:jobId/webhooks', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await getJob(jobId);
+
+    if (!job || !canAccess(req.apiKey, job)) {
       return res.status(404).json({
         error: 'Job not found',
         message: 'The specified job ID does not exist'
       });
     }
 
+    const deliveries = await getWebhookDeliveries({ jobId });
+
+    res.json({
+      success: true,
+      job_id: jobId,
+      callback_url: job.callback_url || null,
+      deliveries: deliveries.map(formatWebhookDelivery)
+    });
+
+  } catch (error) {
+    console.error('Error getting job webhooks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+// WebSocket equivalent of serveEventStream; each message is { "event": type, "data": {...} }
+async function serveWebSocketEvents(ws, kind, id, apiKey) {
+  const { open, notFound } = EVENT_STREAMS[kind];
+  const heartbeat = setInterval(() => ws.ping(), EVENT_STREAM_HEARTBEAT_MS);
+  ws.on('close', () => clearInterval(heartbeat));
+
+  try {
+    const cleanup = await open(id, (type, data) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ event: type, data }));
+    }, () => ws.close(1000, 'complete'), apiKey);
+
+    if (!cleanup) {
+      ws.close(4404, notFound);
+      return;
+    }
+
+    if (ws.readyState === ws.CLOSED) {
+      cleanup();
+    } else {
+      ws.on('close', cleanup);
+    }
+  } catch (error) {
+    console.error(`Error opening ${kind} event stream:`, error);
+    ws.close(1011, 'Internal server error');
+  }
+}
+
+// Answers a refused WebSocket upgrade with a plain HTTP error response
+function rejectUpgrade(socket, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(json)}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'Connection: close',
+    '',
+    json
+  ].join('\r\n'));
+}
+
+// Routes WebSocket upgrades on the event stream paths; anything else is refused
+function attachWebSocketEvents(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const stream = parseEventStreamPath(req.url);
+
+    if (!stream) {
+      socket.destroy();
+      return;
+    }
+
+    const { kind, id } = stream;
+    if (id === null) {
+      rejectUpgrade(socket, 400, { error: 'Invalid URL', message: `The ${kind} ID is not a valid URL-encoded string` });
+      return;
+    }
+
+    const upgrade = apiKey => wss.handleUpgrade(req, socket, head, ws => serveWebSocketEvents(ws, kind, id, apiKey));
+    if (!REQUIRE_API_KEY) {
+      upgrade(null);
+      return;
+    }
+
+    authorizeRequest(req, 'jobs:read', { allowQueryParam: true })
+      .then(({ apiKey, status, body, headers }) => {
+        if (apiKey) {
+          upgrade(apiKey);
+        } else {
+          rejectUpgrade(socket, status, body, headers);
+        }
+      })
+      .catch(() => rejectUpgrade(socket, 500, { error: 'Internal server error', message: 'Failed to check the API key' }));
+  });
+}
+
+// Live job progress as Server-Sent Events (WebSocket clients connect to the same path)
+app.get('/job/:jobId/events', requireApiKey('jobs:read', { allowQueryParam: true }), serveEventStream('job'));
+
+// Bulk submission: JSON array/rows or a CSV upload, one job per unique URL
+app.post('/batches', requireApiKey('jobs:write'), express.text({ type: 'text/csv', limit: MAX_BATCH_UPLOAD_SIZE }), (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    let rows;
+    let source;
+
+    try {
+      if (req.file) {
+        source = 'csv';
+        rows = parseCsvRows(req.file.buffer.toString('utf8'));
+      } else if (typeof req.body === 'string') {
+        source = 'csv';
+        rows = parseCsvRows(req.body);
+      } else {
+        source = 'json';
+        rows = parseJsonRows(req.body);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid batch input',
+        message: error.message
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'Empty batch',
+        message: 'Please provide at least one URL'
+      });
+    }
+
+    if (rows.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Batch too large',
+        message: `A batch can contain at most ${MAX_BATCH_SIZE} rows`
+      });
+    }
+
+    // Multipart uploads send options as a JSON string form field
+    let requestedOptions = Array.isArray(req.body) || typeof req.body === 'string' ? undefined : req.body?.options;
+    if (typeof requestedOptions === 'string') {
+      try {
+        requestedOptions = JSON.parse(requestedOptions);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid options',
+          message: 'options must be a JSON object'
+        });
+      }
+    }
+
+    const { options, errors } = resolveCrawlOptions(requestedOptions, CRAWL_OPTION_SETTINGS);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    // Raw CSV bodies have no room for fields; multipart and JSON object bodies do
+    const fields = Array.isArray(req.body) || typeof req.body === 'string' ? {} : req.body;
+    const { scheduling, errors: schedulingErrors } = resolveScheduling(fields, DEFAULT_BATCH_PRIORITY);
+    if (schedulingErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scheduling',
+        message: schedulingErrors.join('; '),
+        details: schedulingErrors
+      });
+    }
+
+    const { callbackUrl, errors: callbackErrors } = await resolveCallbackUrl(fields);
+    if (callbackErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid callback_url',
+        message: callbackErrors.join('; ')
+      });
+    }
+
+    const { accepted, invalid, duplicates } = validateBatchRows(rows);
+
+    if (accepted.length === 0) {
+      return res.status(400).json({
+        error: 'No valid URLs',
+        message: 'None of the submitted rows contained a valid URL',
+        invalid_rows: invalid
+      });
+    }
+
+    if (!await checkDailyJobQuota(req, res, accepted.length)) return;
+
+    const batchId = uuidv4();
+    const apiKeyId = req.apiKey?.key_id ?? null;
+
+    await createBatch({
+      batch_id: batchId,
+      source,
+      total_rows: rows.length,
+      job_count: accepted.length,
+      invalid_rows: invalid,
+      duplicate_rows: duplicates,
+      options,
+      ...scheduling,
+      callback_url: callbackUrl,
+      api_key_id: apiKeyId
+    });
+
+    // Every job reports to the batch's callback_url, followed by one batch.completed delivery
+    const jobs = await createBatchJobs(batchId, accepted, options, {
+      ...scheduling,
+      callback_url: callbackUrl,
+      api_key_id: apiKeyId
+    });
+
     res.json({
       success: true,
-      job: {
+      message: 'Batch queued successfully',
+      batch_id: batchId,
+      total_rows: rows.length,
+      jobs_created: jobs.length,
+      invalid_rows: invalid,
+      duplicate_rows: duplicates,
+      options,
+      priority: scheduling.priority,
+      client_id: scheduling.client_id,
+      callback_url: callbackUrl,
+      jobs: jobs.map((job, index) => ({
+        row: accepted[index].row,
         job_id: job.job_id,
-        url: job.url,
-        status: job.status,
-        emails: job.emails || [],
-        facebook_urls: job.facebook_urls || [],
-        crawled_urls: job.crawled_urls || [],
-        pages_crawled: job.pages_crawled || 0,
-        error: job.error,
-        created_at: job.created_at,
-        updated_at: job.updated_at,
-        started_at: job.started_at,
-        completed_at: job.completed_at
+        url: job.url
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error queuing batch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue the batch'
+    });
+  }
+});
+
+// Batch progress and results, with jobs paginated via ?limit=&offset=
+app.get('/batches/:batchId', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const batch = await getBatch(batchId);
+
+    if (!batch || !canAccess(req.apiKey, batch)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'The specified batch ID does not exist'
+      });
+    }
+
+    const [counts, jobs] = await Promise.all([
+      getBatchStatusCounts(batchId),
+      getBatchJobs(batchId, { limit, offset })
+    ]);
+
+    res.json({
+      success: true,
+      batch: formatBatch(batch, counts),
+      jobs: jobs.map(formatJob),
+      pagination: {
+        limit,
+        offset,
+        total: batch.job_count
       }
     });
 
   } catch (error) {
-    console.error('Error getting job:', error);
+    console.error('Error getting batch:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to retrieve job information'
+      message: 'Failed to retrieve batch information'
+    });
+  }
+});
+
+// Live batch progress as Server-Sent Events (WebSocket clients connect to the same path)
+app.get('/batches/:batchId/events', requireApiKey('jobs:read', { allowQueryParam: true }), serveEventStream('batch'));
+
+// Cancel every queued and running job in a batch; finished jobs keep their results
+app.post('/batches/:batchId/cancel', requireApiKey('jobs:write'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = await getBatch(batchId);
+
+    if (!batch || !canAccess(req.apiKey, batch)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'The specified batch ID does not exist'
+      });
+    }
+
+    const cancelledJobs = await cancelJobs({ batchId });
+    for (const { job_id: jobId } of cancelledJobs) {
+      jobWorker.abortJob(jobId, 'Batch was cancelled');
+      createJobEventPublisher(jobId, batchId)('status', { status: 'cancelled' });
+    }
+    await queueBatchCompletionWebhook(batchId);
+
+    res.json({
+      success: true,
+      message: 'Batch cancelled',
+      batch_id: batchId,
+      jobs_cancelled: cancelledJobs.length
+    });
+
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cancel batch'
+    });
+  }
+});
+
+// Delivery log of a batch's batch.completed webhook (each job's own deliveries are under /job/:jobId/webhooks)
+app.get('/batches/:batchId/webhooks', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = await getBatch(batchId);
+
+    if (!batch || !canAccess(req.apiKey, batch)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'The specified batch ID does not exist'
+      });
+    }
+
+    const deliveries = await getWebhookDeliveries({ batchId });
+
+    res.json({
+      success: true,
+      batch_id: batchId,
+      callback_url: batch.callback_url || null,
+      deliveries: deliveries.map(formatWebhookDelivery)
+    });
+
+  } catch (error) {
+    console.error('Error getting batch webhooks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+// Export a single job's results
+app.get('/job/:jobId/export', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const format = validateExportFormat(req, res);
+    if (!format) return;
+
+    const { jobId } = req.params;
+    const { data: job, error } = await buildJobsQuery('job_id, api_key_id', { jobId }).maybeSingle();
+
+    if (error) throw error;
+
+    if (!job || !canAccess(req.apiKey, job)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The specified job ID does not exist'
+      });
+    }
+
+    await streamJobsExport(res, format, `job-${jobId}`, { jobId });
+
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// Export every job in a batch, in submission order
+app.get('/batches/:batchId/export', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const format = validateExportFormat(req, res);
+    if (!format) return;
+
+    const { batchId } = req.params;
+    const batch = await getBatch(batchId);
+
+    if (!batch || !canAccess(req.apiKey, batch)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'The specified batch ID does not exist'
+      });
+    }
+
+    await streamJobsExport(res, format, `batch-${batchId}`, { batchId });
+
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// List and search jobs, newest first by default. Pages are chained with the returned next_cursor.
+app.get('/jobs', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const { filters, error } = parseJobFilters(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    filters.apiKeyId = ownerFilter(req.apiKey);
+
+    const column = req.query.sort || 'created_at';
+    if (!JOB_SORT_COLUMNS.includes(column)) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        message: `sort must be one of: ${JOB_SORT_COLUMNS.join(', ')}`
+      });
+    }
+
+    const order = req.query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'order must be asc or desc'
+      });
+    }
+
+    const sort = { column, ascending: order === 'asc' };
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || JOBS_PAGE_SIZE, 1), MAX_JOBS_PAGE_SIZE);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeJobsCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'cursor must be a next_cursor returned by GET /jobs with the same sort and order'
+        });
+      }
+    }
+
+    const { jobs, hasMore } = await listJobs(filters, sort, cursor, limit);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(formatJob),
+      pagination: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeJobsCursor(jobs[jobs.length - 1], sort) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list jobs'
     });
   }
 });
 
+// Export a filtered job list, with the same filters as GET /jobs
+app.get('/jobs/export', requireApiKey('jobs:read'), async (req, res) => {
+  try {
+    const format = validateExportFormat(req, res);
+    if (!format) return;
+
+    const { filters, error } = parseJobFilters(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    filters.apiKeyId = ownerFilter(req.apiKey);
+
+    await streamJobsExport(res, format, 'jobs', filters);
+
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // The API itself is healthy even if the queue can't be counted, so a database hiccup reports null
+  let queueDepth = null;
+  try {
+    queueDepth = await getQueueDepth();
+  } catch (error) {
+    // Logged in getQueueDepth
+  }
+
   res.json({ 
     status: 'OK', 
     message: 'Email extraction API is running',
     worker_status: jobWorker.isRunning ? 'running' : 'stopped',
-    active_jobs: jobWorker.activeJobs.size
+    worker_id: WORKER_ID,
+    active_jobs: jobWorker.activeJobs.size,
+    queue_depth: queueDepth,
+    crawl_load: { ...crawlEngine.getStats(), ...requestScheduler.getStats() },
+    proxies: proxyPools.getStats()
   });
 });
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
-    message: 'Email and Facebook URL Extraction API (Queue-based)',
+    message: 'Email and Social Profile Extraction API (Queue-based)',
     endpoints: {
-      'POST /extract-emails': 'Queue a job to extract emails and Facebook URLs from a website',
+      'POST /extract-emails': 'Queue a job to extract emails, phones, addresses and social profiles from a website',
       'GET /job/:jobId': 'Check the status and results of a specific job',
+      'GET /jobs': 'List and search jobs by status, domain, batch, date and whether emails were found',
+      'POST /job/:jobId/cancel': 'Cancel a queued or running job',
+      'DELETE /job/:jobId': 'Delete a job and its extracted data',
+      'GET /job/:jobId/events': 'Live job progress via Server-Sent Events (or WebSocket on the same path)',
+      'GET /job/:jobId/webhooks': 'Delivery log of the job\'s callback_url webhook',
+      'POST /batches': 'Queue one job per URL from a JSON list or CSV upload',
+      'GET /batches/:batchId': 'Check the progress and results of a batch',
+      'POST /batches/:batchId/cancel': 'Cancel every unfinished job in a batch',
+      'GET /batches/:batchId/events': 'Live batch progress via Server-Sent Events (or WebSocket on the same path)',
+      'GET /batches/:batchId/webhooks': 'Delivery log of the batch\'s batch.completed webhook',
+      'GET /job/:jobId/export': 'Download a job\'s results as CSV, JSONL or XLSX (?format=)',
+      'GET /batches/:batchId/export': 'Download a batch\'s results as CSV, JSONL or XLSX (?format=)',
+      'GET /jobs/export': 'Download results for jobs matching the GET /jobs filters',
       'GET /health': 'Health check'
     },
+    authentication: REQUIRE_API_KEY
+      ? 'Send an API key with every request except GET / and GET /health: "Authorization: Bearer <key>"'
+      : 'Disabled (REQUIRE_API_KEY=false)',
     usage: {
       method: 'POST',
       url: '/extract-emails',
-      body: { url: 'https://example.com' }
+      body: {
+        url: 'https://example.com',
+        priority: DEFAULT_JOB_PRIORITY,
+        options: {
+          max_depth: MAX_DEPTH,
+          max_pages: PER_INSTANCE_REQUEST_LIMIT,
+          rendering_mode: 'auto',
+          include_subdomains: true,
+          stop_after_first_email: false,
+          include_patterns: [],
+          exclude_patterns: [],
+          navigation_timeout_secs: NAVIGATION_TIMEOUT_SECS
+        }
+      }
     },
     features: [
       'Queue-based job processing',
       'Extract email addresses',
-      'Extract Facebook URLs',
-      'Crawl multiple pages within same domain',
+      'Extract social profiles (Facebook, Instagram, LinkedIn, X/Twitter, TikTok, YouTube, Pinterest, WhatsApp)',
+      'Extract phone numbers, postal addresses and business names',
+      'Crawl multiple pages within same domain, likely contact pages first (sitemaps, link scoring)',
+      'Respects robots.txt and Crawl-delay (per-job override)',
+      'Proxy pools with per-request or per-session rotation, region tags and failover',
+      'Per-URL crawl log, block and parked-domain detection, and job outcomes',
+      'Extract contacts from linked PDF, DOCX and text documents',
       'Handle JavaScript-rendered content',
-      'Concurrent job processing with rate limiting',
+      'Concurrent job processing with per-domain and per-IP rate limiting across jobs',
+      'Shared, long-lived browser pool with browser recycling',
+      'Atomic job claiming with leases, safe across multiple instances',
+      'Job priorities with round-robin scheduling across clients and batches',
       'Job status tracking',
-      'Error handling and retry logic'
+      'Reuses recent crawls of the same site (force_refresh to bypass)',
+      'Live progress via Server-Sent Events and WebSocket',
+      'Signed webhook callbacks on job and batch completion, with retries',
+      'API key authentication with scopes, per-key rate limits and daily job quotas',
+      'Streaming CSV, JSONL and XLSX exports',
+      'Categorized errors with automatic retries and exponential backoff'
     ]
   });
 });
@@ -621,16 +3192,30 @@ async function startServer() {
   try {
     // await initializeQueue();
     
+    // Local bridges to SOCKS proxies, used by the crawl engine and downloads
+    await proxyPools.start();
+
+    // The crawl engine runs for the lifetime of the server; jobs add their pages to it
+    crawlEngine.start();
+
     // Start the job worker (this will run in background)
     jobWorker.start().catch(error => {
       console.error('Worker failed to start:', error);
     });
+
+    // Retries webhook deliveries that failed, including ones queued by other instances
+    webhookDispatcher.start().catch(error => {
+      console.error('Webhook dispatcher failed to start:', error);
+    });
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Email extraction API running on port ${PORT}`);
       console.log(`Visit http://localhost:${PORT} for API documentation`);
-      console.log(`Worker system: ${MAX_CONCURRENT_WORKERS} concurrent workers, batch size: ${WORKER_BATCH_SIZE}`);
+      console.log(`Worker system: ${MAX_CONCURRENT_WORKERS} concurrent workers, batch size: ${WORKER_BATCH_SIZE}, worker ID: ${WORKER_ID}`);
     });
+
+    // WebSocket clients share the event stream paths with SSE
+    attachWebSocketEvents(server);
     
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -641,13 +3226,19 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  webhookDispatcher.stop();
   await jobWorker.stop();
+  await crawlEngine.stop();
+  await proxyPools.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('Shutting down gracefully...');
+  webhookDispatcher.stop();
   await jobWorker.stop();
+  await crawlEngine.stop();
+  await proxyPools.close();
   process.exit(0);
 });
 
@@ -3,14 +3,41 @@ CREATE TABLE IF NOT EXISTS email_scrap_jobs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     job_id VARCHAR(255) UNIQUE NOT NULL,
     url TEXT NOT NULL,
-    status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'done', 'error')),
+    domain VARCHAR(255), -- Registrable domain of url, for looking up jobs by site
+    options JSONB,
+    batch_id VARCHAR(255),
+    input_data JSONB DEFAULT '{}'::jsonb,
+    status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'done', 'error', 'cancelled')),
+    priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('high', 'normal', 'low')),
+    client_id VARCHAR(255),
+    callback_url TEXT,
+    api_key_id VARCHAR(64), -- Key that created the job (email_scrap_api_keys.key_id)
+    site_key VARCHAR(255), -- Host of url without "www.", for finding cached results
+    options_key VARCHAR(64), -- Hash of the resolved options, for finding cached results
+    cached_from_job_id VARCHAR(255), -- Job whose results were reused, when served from the result cache
+    worker_id VARCHAR(255),
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
     emails JSONB DEFAULT '[]'::jsonb,
+    email_details JSONB DEFAULT '[]'::jsonb,
     facebook_urls JSONB DEFAULT '[]'::jsonb,
+    social_profiles JSONB DEFAULT '{}'::jsonb,
+    phones JSONB DEFAULT '[]'::jsonb,
+    addresses JSONB DEFAULT '[]'::jsonb,
+    business_name TEXT,
+    contacts JSONB DEFAULT '[]'::jsonb,
     error TEXT,
+    error_code VARCHAR(50),
     crawled_urls JSONB DEFAULT '[]'::jsonb,
+    crawled_pages JSONB DEFAULT '[]'::jsonb, -- How each crawled page was discovered, in visit order
+    crawled_documents JSONB DEFAULT '[]'::jsonb,
+    skipped_urls JSONB DEFAULT '[]'::jsonb, -- URLs left out because of robots.txt, with the reason
     pages_crawled INTEGER DEFAULT 0,
+    outcome VARCHAR(50), -- Why the job ended the way it did, e.g. no_contacts_found or blocked
+    crawl_log JSONB DEFAULT '[]'::jsonb, -- Status, timing and block detection for every URL fetched
     retry_count INTEGER DEFAULT 0,
     max_retries INTEGER DEFAULT 3,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    attempts JSONB DEFAULT '[]'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     started_at TIMESTAMP WITH TIME ZONE,
@@ -22,6 +49,72 @@ CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_status ON email_scrap_jobs(statu
 CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_job_id ON email_scrap_jobs(job_id);
 CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_created_at ON email_scrap_jobs(created_at);
 
+-- Create email_scrap_batches table (bulk submissions via POST /batches)
+CREATE TABLE IF NOT EXISTS email_scrap_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id VARCHAR(255) UNIQUE NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('json', 'csv')),
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    job_count INTEGER NOT NULL DEFAULT 0,
+    invalid_rows JSONB DEFAULT '[]'::jsonb,
+    duplicate_rows JSONB DEFAULT '[]'::jsonb,
+    options JSONB,
+    priority VARCHAR(10) NOT NULL DEFAULT 'low' CHECK (priority IN ('high', 'normal', 'low')),
+    client_id VARCHAR(255),
+    callback_url TEXT,
+    api_key_id VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE -- Set once no job in the batch is queued or processing
+);
+
+-- When each scheduling group (client_id, else batch_id, else 'interactive') last had a job claimed.
+-- claim_email_scrap_jobs serves the least recently served group first, so one large batch
+-- can't starve other clients.
+CREATE TABLE IF NOT EXISTS email_scrap_queue_groups (
+    group_key VARCHAR(255) PRIMARY KEY,
+    last_claimed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- API keys, created with create-api-key.js. Only the SHA-256 hash of each key is stored.
+-- rate_window_* track the current one-minute rate limit window (see use_email_scrap_api_key).
+CREATE TABLE IF NOT EXISTS email_scrap_api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key_id VARCHAR(64) UNIQUE NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '["jobs:read", "jobs:write"]'::jsonb,
+    rate_limit_per_minute INTEGER, -- NULL means unlimited
+    daily_job_quota INTEGER, -- NULL means unlimited
+    rate_window_started_at TIMESTAMP WITH TIME ZONE,
+    rate_window_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhook deliveries for jobs and batches submitted with a callback_url. One row per event;
+-- `attempts` is the delivery log. Pending deliveries are retried once next_attempt_at passes.
+CREATE TABLE IF NOT EXISTS email_scrap_webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    delivery_id VARCHAR(255) UNIQUE NOT NULL,
+    event VARCHAR(50) NOT NULL CHECK (event IN ('job.completed', 'batch.completed')),
+    job_id VARCHAR(255) REFERENCES email_scrap_jobs(job_id) ON DELETE CASCADE,
+    batch_id VARCHAR(255),
+    callback_url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    attempts JSONB DEFAULT '[]'::jsonb,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_scrap_webhook_deliveries_due ON email_scrap_webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_email_scrap_webhook_deliveries_job_id ON email_scrap_webhook_deliveries(job_id);
+CREATE INDEX IF NOT EXISTS idx_email_scrap_webhook_deliveries_batch_id ON email_scrap_webhook_deliveries(batch_id);
+
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -31,9 +124,192 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Create trigger to automatically update updated_at
+-- Create trigger to automatically update updated_at (dropped first so the script can be re-run)
+DROP TRIGGER IF EXISTS update_email_scrap_jobs_updated_at ON email_scrap_jobs;
 CREATE TRIGGER update_email_scrap_jobs_updated_at 
     BEFORE UPDATE ON email_scrap_jobs 
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS email_details JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS contacts JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS phones JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS addresses JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS business_name TEXT;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS social_profiles JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS crawled_documents JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS options JSONB;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS batch_id VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS input_data JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS worker_id VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS attempts JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('high', 'normal', 'low'));
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS client_id VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS callback_url TEXT;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS domain VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS api_key_id VARCHAR(64);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS site_key VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS options_key VARCHAR(64);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS cached_from_job_id VARCHAR(255);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS skipped_urls JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS crawled_pages JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS outcome VARCHAR(50);
+ALTER TABLE email_scrap_jobs ADD COLUMN IF NOT EXISTS crawl_log JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_scrap_batches ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'low' CHECK (priority IN ('high', 'normal', 'low'));
+ALTER TABLE email_scrap_batches ADD COLUMN IF NOT EXISTS client_id VARCHAR(255);
+ALTER TABLE email_scrap_batches ADD COLUMN IF NOT EXISTS callback_url TEXT;
+ALTER TABLE email_scrap_batches ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE email_scrap_batches ADD COLUMN IF NOT EXISTS api_key_id VARCHAR(64);
+
+-- Jobs created before the domain column existed get their hostname without "www." (new jobs store the
+-- registrable domain, so a subdomain job from before the upgrade is only found by its full hostname)
+UPDATE email_scrap_jobs
+SET domain = regexp_replace(lower(substring(url from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)')), '^www\.', '')
+WHERE domain IS NULL;
+
+-- Only finished crawls can be cache sources, so older rows only need site_key once they are done
+UPDATE email_scrap_jobs
+SET site_key = regexp_replace(lower(substring(url from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/?#]+)')), '^www\.', '')
+WHERE site_key IS NULL AND status = 'done';
+
+-- Status values added after the initial release
+ALTER TABLE email_scrap_jobs DROP CONSTRAINT IF EXISTS email_scrap_jobs_status_check;
+ALTER TABLE email_scrap_jobs ADD CONSTRAINT email_scrap_jobs_status_check
+    CHECK (status IN ('queued', 'processing', 'done', 'error', 'cancelled'));
+
+-- Indexes on columns added after the initial release
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_batch_id ON email_scrap_jobs(batch_id, status);
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_lease ON email_scrap_jobs(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_queue ON email_scrap_jobs(priority, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_domain ON email_scrap_jobs(domain, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_api_key ON email_scrap_jobs(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_scrap_jobs_result_cache ON email_scrap_jobs(site_key, completed_at)
+    WHERE status = 'done' AND cached_from_job_id IS NULL;
+
+-- Returns jobs whose lease expired (worker crashed or lost its connection) to the queue.
+-- That counts as a failed attempt, so a job that keeps crashing workers ends up in 'error'.
+-- Called by JobWorker via supabase.rpc before each claim. Returns the jobs it moved so the worker can
+-- publish their status and queue completion webhooks for the ones that ended in 'error'.
+CREATE OR REPLACE FUNCTION expire_email_scrap_job_leases()
+RETURNS SETOF email_scrap_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE email_scrap_jobs
+    SET status = CASE WHEN COALESCE(retry_count, 0) < COALESCE(max_retries, 3) THEN 'queued' ELSE 'error' END,
+        retry_count = CASE WHEN COALESCE(retry_count, 0) < COALESCE(max_retries, 3) THEN COALESCE(retry_count, 0) + 1 ELSE retry_count END,
+        error = 'Worker ' || worker_id || ' stopped renewing its lease',
+        error_code = 'worker_lost',
+        attempts = COALESCE(attempts, '[]'::jsonb) || jsonb_build_object(
+            'attempt', COALESCE(retry_count, 0) + 1,
+            'worker_id', worker_id,
+            'started_at', started_at,
+            'finished_at', NOW(),
+            'outcome', 'error',
+            'error_code', 'worker_lost',
+            'error', 'Worker ' || worker_id || ' stopped renewing its lease'
+        ),
+        completed_at = CASE WHEN COALESCE(retry_count, 0) < COALESCE(max_retries, 3) THEN NULL ELSE NOW() END,
+        outcome = CASE WHEN COALESCE(retry_count, 0) < COALESCE(max_retries, 3) THEN outcome ELSE 'failed' END,
+        worker_id = NULL,
+        lease_expires_at = NULL,
+        started_at = NULL
+    WHERE status = 'processing' AND lease_expires_at < NOW()
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Atomically claims queued jobs for a worker (called by JobWorker via supabase.rpc).
+-- Jobs waiting for a retry are only claimed once next_attempt_at has passed.
+-- Order: priority first, then round-robin across scheduling groups (each group's oldest job, least
+-- recently served group first), so a 5,000-URL batch and a handful of single jobs are interleaved.
+-- FOR UPDATE SKIP LOCKED lets concurrent workers claim different jobs without blocking each other.
+CREATE OR REPLACE FUNCTION claim_email_scrap_jobs(p_worker_id TEXT, p_limit INTEGER, p_lease_seconds INTEGER)
+RETURNS SETOF email_scrap_jobs AS $$
+BEGIN
+    RETURN QUERY
+    WITH candidates AS (
+        SELECT id,
+               created_at,
+               COALESCE(client_id, batch_id, 'interactive') AS group_key,
+               CASE priority WHEN 'high' THEN 0 WHEN 'normal' THEN 1 ELSE 2 END AS priority_rank,
+               ROW_NUMBER() OVER (
+                   PARTITION BY priority, COALESCE(client_id, batch_id, 'interactive')
+                   ORDER BY created_at
+               ) AS group_position
+        FROM email_scrap_jobs
+        WHERE status = 'queued' AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+    ),
+    claimable AS (
+        SELECT jobs.id, candidates.group_key
+        FROM email_scrap_jobs AS jobs
+        JOIN candidates ON candidates.id = jobs.id
+        LEFT JOIN email_scrap_queue_groups AS queue_groups ON queue_groups.group_key = candidates.group_key
+        WHERE jobs.status = 'queued' -- Re-checked on the latest row version in case another worker just claimed it
+        ORDER BY candidates.priority_rank, candidates.group_position, queue_groups.last_claimed_at NULLS FIRST, candidates.created_at
+        LIMIT p_limit
+        FOR UPDATE OF jobs SKIP LOCKED
+    ),
+    served_groups AS (
+        INSERT INTO email_scrap_queue_groups (group_key, last_claimed_at)
+        SELECT DISTINCT group_key, NOW() FROM claimable
+        ON CONFLICT (group_key) DO UPDATE SET last_claimed_at = EXCLUDED.last_claimed_at
+    )
+    UPDATE email_scrap_jobs AS jobs
+    SET status = 'processing',
+        worker_id = p_worker_id,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+        started_at = NOW()
+    FROM claimable
+    WHERE jobs.id = claimable.id
+    RETURNING jobs.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deletes a job (DELETE /job/:jobId) and takes it off its batch's job_count in the same transaction, so
+-- batch progress stays consistent. Returns the deleted job, or no row if it didn't exist.
+CREATE OR REPLACE FUNCTION delete_email_scrap_job(p_job_id TEXT)
+RETURNS SETOF email_scrap_jobs AS $$
+DECLARE
+    deleted email_scrap_jobs;
+BEGIN
+    DELETE FROM email_scrap_jobs WHERE job_id = p_job_id RETURNING * INTO deleted;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF deleted.batch_id IS NOT NULL THEN
+        UPDATE email_scrap_batches
+        SET job_count = GREATEST(job_count - 1, 0)
+        WHERE batch_id = deleted.batch_id;
+    END IF;
+
+    RETURN NEXT deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Authenticates an API request: finds the active key with this hash and counts the request in the key's
+-- current one-minute rate limit window, starting a new window once the last one is a minute old.
+-- Doing both in one UPDATE keeps the count exact when several instances serve the same key.
+-- Returns no row for unknown or revoked keys.
+CREATE OR REPLACE FUNCTION use_email_scrap_api_key(p_key_hash TEXT)
+RETURNS SETOF email_scrap_api_keys AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE email_scrap_api_keys
+    SET rate_window_started_at = CASE
+            WHEN rate_window_started_at IS NULL OR rate_window_started_at <= NOW() - INTERVAL '1 minute' THEN NOW()
+            ELSE rate_window_started_at
+        END,
+        rate_window_count = CASE
+            WHEN rate_window_started_at IS NULL OR rate_window_started_at <= NOW() - INTERVAL '1 minute' THEN 1
+            ELSE rate_window_count + 1
+        END,
+        last_used_at = NOW()
+    WHERE key_hash = p_key_hash AND revoked_at IS NULL
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -1,7 +1,16 @@
+import crypto from 'crypto';
+import http from 'http';
 import fetch from 'node-fetch';
 
 // Test script for the queue-based email extraction API
 const API_BASE_URL = 'http://localhost:3000';
+// Sent with every request; create one with `npm run create-api-key -- --name test`
+const API_KEY = process.env.API_KEY;
+const AUTH_HEADERS = API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {};
+// The webhook test runs a stand-in receiver on this port; the server must share WEBHOOK_SECRET with this script
+// and allow callbacks to it with WEBHOOK_ALLOWED_HOSTS=localhost
+const WEBHOOK_RECEIVER_PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 3100;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
 async function testConcurrentRequests() {
   console.log('Testing concurrent requests...');
@@ -22,6 +31,7 @@ async function testConcurrentRequests() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...AUTH_HEADERS
         },
         body: JSON.stringify({ url })
       });
@@ -44,7 +54,7 @@ async function testConcurrentRequests() {
   const monitorJobs = async () => {
     const statusPromises = validJobIds.map(async (jobId) => {
       try {
-        const response = await fetch(`${API_BASE_URL}/job/${jobId}`);
+        const response = await fetch(`${API_BASE_URL}/job/${jobId}`, { headers: AUTH_HEADERS });
         const result = await response.json();
         return { jobId, ...result.job };
       } catch (error) {
@@ -105,6 +115,7 @@ async function testSingleJob() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...AUTH_HEADERS
       },
       body: JSON.stringify({ url: 'https://example.com' })
     });
@@ -121,7 +132,7 @@ async function testSingleJob() {
       attempts++;
       console.log(`Checking job status (attempt ${attempts}/${maxAttempts})...`);
       
-      const statusResponse = await fetch(`${API_BASE_URL}/job/${jobId}`);
+      const statusResponse = await fetch(`${API_BASE_URL}/job/${jobId}`, { headers: AUTH_HEADERS });
       const statusResult = await statusResponse.json();
       
       console.log('Job status:', statusResult.job.status);
@@ -149,12 +160,95 @@ async function testSingleJob() {
   }
 }
 
+// Stand-in for a CRM receiving callbacks: checks the signature and resolves with the first delivery
+function startWebhookReceiver() {
+  let onDelivery;
+  const delivered = new Promise(resolve => { onDelivery = resolve; });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const timestamp = req.headers['x-webhook-timestamp'];
+      const expected = 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+      const signatureValid = req.headers['x-webhook-signature'] === expected;
+
+      res.statusCode = signatureValid ? 200 : 401;
+      res.end();
+      onDelivery({ event: req.headers['x-webhook-event'], signatureValid, payload: JSON.parse(body) });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(WEBHOOK_RECEIVER_PORT, () => resolve({ server, delivered }));
+  });
+}
+
+async function testWebhookCallback() {
+  console.log('Testing webhook callback...');
+
+  if (!WEBHOOK_SECRET) {
+    console.log('Skipped: set WEBHOOK_SECRET (same value as the server, which also needs WEBHOOK_ALLOWED_HOSTS=localhost) to run the webhook test');
+    return;
+  }
+
+  const { server, delivered } = await startWebhookReceiver();
+
+  try {
+    const createResponse = await fetch(`${API_BASE_URL}/extract-emails`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...AUTH_HEADERS
+      },
+      body: JSON.stringify({
+        url: 'https://example.com',
+        callback_url: `http://localhost:${WEBHOOK_RECEIVER_PORT}/webhook`
+      })
+    });
+
+    const createResult = await createResponse.json();
+    console.log('Job created:', createResult.job_id);
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), 120000));
+    const delivery = await Promise.race([delivered, timeout]);
+
+    if (!delivery) {
+      console.log('Webhook test failed: no callback received within 2 minutes');
+      return;
+    }
+
+    console.log('Callback received:', {
+      event: delivery.event,
+      signature_valid: delivery.signatureValid,
+      job_id: delivery.payload.job?.job_id,
+      status: delivery.payload.job?.status
+    });
+
+    if (!delivery.signatureValid || delivery.payload.job?.job_id !== createResult.job_id) {
+      console.log('Webhook test failed: unexpected callback');
+      return;
+    }
+
+    const logResponse = await fetch(`${API_BASE_URL}/job/${createResult.job_id}/webhooks`, { headers: AUTH_HEADERS });
+    const logResult = await logResponse.json();
+    console.log('Delivery log:', logResult.deliveries?.map(({ event, status, attempt_count }) => ({ event, status, attempt_count })));
+  } catch (error) {
+    console.error('Webhook test failed:', error.message);
+  } finally {
+    server.close();
+  }
+}
+
 // Run tests
 async function runTests() {
   console.log('Starting API tests...\n');
   
   await testHealthEndpoint();
   console.log('\n' + '='.repeat(50) + '\n');
+
+  await testWebhookCallback();
+  console.log('\n' + '='.repeat(50) + '\n');
   
   await testSingleJob();
   console.log('\n' + '='.repeat(50) + '\n');
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+import {
+  canAccess,
+  extractApiKey,
+  generateApiKey,
+  getQuotaDay,
+  getRateLimitStatus,
+  hasScope,
+  hashApiKey
+} from '../lib/api-keys.js';
+
+test('keys are stored as their SHA-256 hex digest', () => {
+  assert.equal(hashApiKey('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+
+  const { key, keyId, keyHash } = generateApiKey();
+  assert.match(key, new RegExp(`^esk_${keyId}_[A-Za-z0-9_-]{32}$`));
+  assert.match(keyId, /^[0-9a-f]{12}$/);
+  assert.equal(keyHash, hashApiKey(key));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('keys are read from the Authorization or X-API-Key header, and ?api_key= only where allowed', () => {
+  const req = (headers, url = '/jobs') => ({ headers, url });
+
+  assert.equal(extractApiKey(req({ authorization: 'Bearer esk_1_abc ' })), 'esk_1_abc');
+  assert.equal(extractApiKey(req({ 'x-api-key': 'esk_1_abc' })), 'esk_1_abc');
+  assert.equal(extractApiKey(req({ authorization: 'Basic dXNlcjpwYXNz' })), null);
+  assert.equal(extractApiKey(req({ authorization: 'Bearer ' })), null);
+  assert.equal(extractApiKey(req({}, '/job/j1/events?api_key=esk_1_abc')), null);
+  assert.equal(extractApiKey(req({}, '/job/j1/events?api_key=esk_1_abc'), { allowQueryParam: true }), 'esk_1_abc');
+});
+
+test('admin implies every scope and access to every key\'s jobs', () => {
+  const reader = { key_id: 'k1', scopes: ['jobs:read'] };
+  const admin = { key_id: 'k2', scopes: ['admin'] };
+
+  assert.equal(hasScope(reader, 'jobs:read'), true);
+  assert.equal(hasScope(reader, 'jobs:write'), false);
+  assert.equal(hasScope(admin, 'jobs:write'), true);
+  assert.equal(hasScope({ key_id: 'k3' }, 'jobs:read'), false);
+
+  assert.equal(canAccess(reader, { api_key_id: 'k1' }), true);
+  assert.equal(canAccess(reader, { api_key_id: 'k2' }), false);
+  assert.equal(canAccess(reader, { api_key_id: null }), false);
+  assert.equal(canAccess(admin, { api_key_id: 'k1' }), true);
+  assert.equal(canAccess(null, { api_key_id: 'k1' }), true); // REQUIRE_API_KEY=false
+});
+
+test('rate limit headers count down, and requests over the limit get Retry-After', () => {
+  const windowStart = Date.parse('2025-03-01T12:00:00Z');
+  const key = { rate_limit_per_minute: 2, rate_window_started_at: new Date(windowStart).toISOString() };
+  const now = windowStart + 15 * 1000;
+
+  assert.deepEqual(getRateLimitStatus({ ...key, rate_window_count: 2 }, now), {
+    headers: { 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(windowStart / 1000 + 60) },
+    retryAfterSecs: null
+  });
+  assert.equal(getRateLimitStatus({ ...key, rate_window_count: 3 }, now).retryAfterSecs, 45);
+  assert.equal(getRateLimitStatus({ ...key, rate_window_count: 3 }, windowStart + 60 * 1000).retryAfterSecs, 1);
+  assert.deepEqual(getRateLimitStatus({ rate_limit_per_minute: null, rate_window_count: 99 }), { headers: {}, retryAfterSecs: null });
+});
+
+test('daily quotas count jobs per UTC day', () => {
+  const { dayStart, nextDayStart } = getQuotaDay(new Date('2025-03-01T23:59:59+05:00'));
+  assert.equal(dayStart.toISOString(), '2025-03-01T00:00:00.000Z');
+  assert.equal(nextDayStart.toISOString(), '2025-03-02T00:00:00.000Z');
+});
+
+// use_email_scrap_api_key authenticates and counts requests in one statement; run it in an in-process Postgres
+const db = new PGlite();
+
+before(async () => {
+  await db.exec(fs.readFileSync(new URL('../supabase-schema.sql', import.meta.url), 'utf8'));
+  await db.query(`INSERT INTO email_scrap_api_keys (key_id, key_hash, name, rate_limit_per_minute) VALUES
+    ('k1', $1, 'Active', 2), ('k2', $2, 'Revoked', NULL)`, [hashApiKey('active'), hashApiKey('revoked')]);
+  await db.query(`UPDATE email_scrap_api_keys SET revoked_at = NOW() WHERE key_id = 'k2'`);
+});
+
+after(() => db.close());
+
+const useKey = async key => (await db.query(
+  'SELECT key_id, rate_window_count, rate_limit_per_minute FROM use_email_scrap_api_key($1)', [hashApiKey(key)]
+)).rows;
+
+test('each use of a key is counted in its one-minute window, and a stale window starts over', async () => {
+  assert.deepEqual(await useKey('active'), [{ key_id: 'k1', rate_window_count: 1, rate_limit_per_minute: 2 }]);
+  assert.equal((await useKey('active'))[0].rate_window_count, 2);
+  assert.equal((await useKey('active'))[0].rate_window_count, 3); // Over the limit: getRateLimitStatus answers 429
+
+  await db.query(`UPDATE email_scrap_api_keys SET rate_window_started_at = NOW() - INTERVAL '61 seconds' WHERE key_id = 'k1'`);
+  assert.equal((await useKey('active'))[0].rate_window_count, 1);
+});
+
+test('unknown and revoked keys are not found', async () => {
+  assert.deepEqual(await useKey('revoked'), []);
+  assert.deepEqual(await useKey('unknown'), []);
+});
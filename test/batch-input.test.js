@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvRows, parseJsonRows, validateBatchRows } from '../lib/batch-input.js';
+
+test('CSV rows use the URL column and pass the others through', () => {
+  assert.deepEqual(parseCsvRows('Company,Website\nAcme,acme.io\n'), [
+    { url: 'acme.io', input_data: { Company: 'Acme' } }
+  ]);
+  assert.throws(() => parseCsvRows('name,city\nAcme,Berlin\n'), /header row/);
+});
+
+test('JSON bodies may be a URL list, { urls } or { rows }', () => {
+  assert.deepEqual(parseJsonRows(['acme.io']), [{ url: 'acme.io', input_data: {} }]);
+  assert.deepEqual(parseJsonRows({ urls: ['acme.io'] }), [{ url: 'acme.io', input_data: {} }]);
+  assert.deepEqual(parseJsonRows({ rows: [{ domain: 'acme.io', id: 7 }] }), [{ url: 'acme.io', input_data: { id: 7 } }]);
+  assert.throws(() => parseJsonRows({ sites: [] }), /Body must be/);
+});
+
+test('rows are normalized, and invalid and duplicate rows are reported', () => {
+  const { accepted, invalid, duplicates } = validateBatchRows([
+    { url: 'acme.io' },
+    { url: 'not a url' },
+    { url: 'https://acme.io/' }
+  ]);
+
+  assert.equal(accepted.length, 1);
+  assert.equal(accepted[0].row, 1);
+  assert.deepEqual(invalid.map(({ row }) => row), [2]);
+  assert.deepEqual(duplicates.map(({ row, duplicate_of_row }) => [row, duplicate_of_row]), [[3, 1]]);
+});
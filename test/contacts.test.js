@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactCollector, buildSnippet } from '../lib/contacts.js';
+
+test('the first sighting sets the source; later pages are added to seen_on', () => {
+  const contacts = new ContactCollector();
+  const first = contacts.add('email', 'sales@acme.io', {
+    pageUrl: 'https://acme.io/contact',
+    technique: 'mailto',
+    html: '<p>Write to <a href="mailto:sales@acme.io">sales@acme.io</a></p>'
+  });
+  contacts.add('email', 'Sales@Acme.io', { pageUrl: 'https://acme.io/about', technique: 'text', html: 'sales@acme.io' });
+  contacts.add('email', 'sales@acme.io', { pageUrl: 'https://acme.io/contact', technique: 'text', html: 'sales@acme.io' });
+
+  assert.equal(contacts.list().length, 1);
+  assert.equal(first.source_url, 'https://acme.io/contact');
+  assert.equal(first.method, 'mailto');
+  assert.equal(first.snippet, 'Write to sales@acme.io');
+  assert.deepEqual(first.seen_on, ['https://acme.io/contact', 'https://acme.io/about']);
+  assert.match(first.first_seen_at, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('decoded emails report method "decoded" and the decoder', () => {
+  const contacts = new ContactCollector();
+  const contact = contacts.add('email', 'jane@acme.io', {
+    pageUrl: 'https://acme.io/',
+    technique: 'spelled_out',
+    html: '<p>Mail jane [at] acme [dot] io</p>',
+    raw: 'jane [at] acme [dot] io'
+  });
+
+  assert.equal(contact.method, 'decoded');
+  assert.equal(contact.decoder, 'spelled_out');
+  assert.equal(contact.snippet, 'Mail jane [at] acme [dot] io');
+});
+
+test('phones and emails with the same text are separate contacts', () => {
+  const contacts = new ContactCollector();
+  contacts.add('phone', '+14155550100', { pageUrl: 'https://acme.io/', technique: 'tel', html: null });
+  contacts.add('email', 'sales@acme.io', { pageUrl: 'https://acme.io/', technique: 'text', html: null });
+
+  assert.deepEqual(contacts.list().map(({ type, snippet }) => [type, snippet]), [['phone', null], ['email', null]]);
+});
+
+test('snippets skip scripts and styles and stay short', () => {
+  const html = `<div>${'Lorem ipsum '.repeat(30)}<style>.a{color:red}</style><script>track("x")</script>` +
+    `call sales@acme.io today ${'dolor sit '.repeat(30)}</div>`;
+  const snippet = buildSnippet(html, ['sales@acme.io']);
+
+  assert.ok(snippet.length <= 160);
+  assert.ok(snippet.includes('call sales@acme.io today'));
+  assert.ok(!/color|track/.test(snippet));
+  assert.equal(buildSnippet('<p>nothing here</p>', ['sales@acme.io', null]), null);
+});
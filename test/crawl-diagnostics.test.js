@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectPageIssue,
+  errorCodeFromStatus,
+  getCrawlOutcome,
+  getErrorOutcome,
+  statusFromError
+} from '../lib/crawl-diagnostics.js';
+
+test('bot challenges, captchas and block pages are detected', () => {
+  assert.equal(detectPageIssue({ statusCode: 403, html: '<title>Just a moment...</title><script>window._cf_chl_opt={}</script>' }), 'challenge');
+  assert.equal(detectPageIssue({ headers: { 'cf-mitigated': 'challenge' }, html: '' }), 'challenge');
+  assert.equal(detectPageIssue({ statusCode: 403, html: '<script src="https://ct.captcha-delivery.com/c.js"></script>' }), 'captcha');
+  assert.equal(detectPageIssue({ statusCode: 429, html: 'We detected unusual traffic from your network' }), 'captcha');
+  assert.equal(detectPageIssue({ statusCode: 403, html: '<h1>Sorry, you have been blocked</h1>' }), 'access_denied');
+  assert.equal(detectPageIssue({ statusCode: 403, html: '<title>Access Denied</title>You don\'t have permission. Reference #18.2f' }), 'access_denied');
+});
+
+test('parked domains are detected', () => {
+  assert.equal(detectPageIssue({ html: '<script>window.park = "abc";</script>' }), 'parked_domain');
+  assert.equal(detectPageIssue({ html: '<h1>This domain is for sale!</h1>' }), 'parked_domain');
+});
+
+test('ordinary pages are not flagged', () => {
+  // Cloudflare injects its bot script into normal pages too
+  assert.equal(detectPageIssue({ html: '<script src="/cdn-cgi/challenge-platform/scripts/jsd/main.js"></script><p>Hi</p>' }), null);
+  // A contact form with spam protection
+  assert.equal(detectPageIssue({ html: '<form><textarea name="message"></textarea><div class="g-recaptcha"></div></form>Please verify you are human' }), null);
+  // A long page that happens to mention a domain sale
+  assert.equal(detectPageIssue({ html: `<p>${'Our services. '.repeat(300)} This domain is for sale.</p>` }), null);
+});
+
+test('error statuses and messages are categorized', () => {
+  assert.equal(errorCodeFromStatus(200), null);
+  assert.equal(errorCodeFromStatus(404), 'not_found');
+  assert.equal(errorCodeFromStatus(429), 'rate_limited');
+  assert.equal(errorCodeFromStatus(503), 'server_error');
+  assert.equal(errorCodeFromStatus(401), 'http_error');
+  assert.equal(statusFromError(new Error('HTTP 503')), 503);
+  assert.equal(statusFromError(new Error('Proxy responded with 407 (dc#1) for https://acme.io')), 407);
+  assert.equal(statusFromError(new Error('Navigation timed out')), null);
+});
+
+test('job outcomes', () => {
+  assert.equal(getErrorOutcome('dns_error'), 'unreachable');
+  assert.equal(getErrorOutcome('homepage_not_found'), 'not_found');
+  assert.equal(getErrorOutcome('blocked'), 'blocked');
+  assert.equal(getErrorOutcome('browser_crash'), 'failed');
+
+  const page = (fields = {}) => ({ kind: 'page', detection: null, error_code: null, ...fields });
+  assert.equal(getCrawlOutcome({ contactCount: 2, crawlLog: [page()] }), 'contacts_found');
+  assert.equal(getCrawlOutcome({ contactCount: 0, crawlLog: [page({ detection: 'parked_domain' })] }), 'parked_domain');
+  assert.equal(getCrawlOutcome({ contactCount: 0, crawlLog: [page(), page({ detection: 'challenge' })] }), 'blocked');
+  assert.equal(getCrawlOutcome({ contactCount: 0, crawlLog: [page(), page({ error_code: 'not_found' })] }), 'no_contacts_found');
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { log } from 'crawlee';
+import { CrawlEngine } from '../lib/crawl-engine.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+// A local site answering every page with a small HTML page
+const site = { requests: [] };
+const server = http.createServer((req, res) => {
+  site.requests.push(req.url);
+  res.setHeader('Content-Type', 'text/html');
+  res.end(`<html><body>Page ${req.url}</body></html>`);
+});
+
+// One concurrency slot, so tests can tell whether a waiting page holds it
+const engine = new CrawlEngine({
+  maxConcurrency: 1,
+  maxNavigationTimeoutSecs: 10,
+  requestHandlerTimeoutSecs: 30,
+  retireBrowserAfterPages: 100,
+  browserIdleSecs: 60,
+  maxBrowserMemoryMb: 1024,
+  acquirePage: async () => () => {}
+});
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  engine.start();
+});
+
+after(async () => {
+  await engine.stop();
+  server.closeAllConnections();
+  server.close();
+});
+
+// Runs a crawl over plain HTTP from `path`. `next(path)` lists the pages to queue once a page has been handled.
+// Resolves to the events seen by the crawl's handlers, in order.
+async function runCrawl({ path = '/', next = () => [], handlers = {} } = {}) {
+  const events = [];
+  const crawl = engine.createCrawl({
+    renderingMode: 'http',
+    navigationTimeoutSecs: 10,
+    signal: new AbortController().signal,
+    handlers: {
+      requestHandler: async ({ request }) => {
+        const { pathname } = new URL(request.url);
+        events.push(`handled ${pathname}`);
+        for (const nextPath of next(pathname)) {
+          events.push(`queued ${nextPath}: ${await crawl.addRequests([{ url: `${site.origin}${nextPath}` }])}`);
+        }
+      },
+      failedRequestHandler: async ({ request }) => {
+        events.push(`failed ${new URL(request.url).pathname} after ${request.retryCount + 1} attempts`);
+      },
+      ...handlers
+    }
+  });
+  await crawl.run({ url: `${site.origin}${path}` });
+  return events;
+}
+
+test('a crawl runs until its handlers queue no more pages', async () => {
+  const events = await runCrawl({ path: '/', next: path => path === '/' ? ['/contact', '/about'] : [] });
+
+  assert.deepEqual(events, ['handled /', 'queued /contact: 1', 'queued /about: 1', 'handled /contact', 'handled /about']);
+});
+
+test('pages a crawl queues again are dropped without keeping the crawl waiting', async () => {
+  const events = await runCrawl({ path: '/', next: path => path === '/' ? ['/team'] : ['/', '/team'] });
+
+  assert.deepEqual(events, ['handled /', 'queued /team: 1', 'handled /team', 'queued /: 0', 'queued /team: 0']);
+});
+
+test('crawls of the same URLs are kept apart', async () => {
+  site.requests = [];
+  const results = await Promise.all([runCrawl({ path: '/shared' }), runCrawl({ path: '/shared' })]);
+
+  assert.deepEqual(results, [['handled /shared'], ['handled /shared']]);
+  assert.deepEqual(site.requests, ['/shared', '/shared']);
+});
+
+test('pages whose proxy fails are retried, each attempt passing beforeDispatch, selectProxy and preNavigation', async () => {
+  // A port nothing listens on
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const deadProxyUrl = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const seen = [];
+  const events = await runCrawl({
+    path: '/contact',
+    handlers: {
+      // Every attempt waits once, then goes ahead when it is dispatched again
+      beforeDispatch: request => {
+        seen.push('beforeDispatch');
+        request.userData.waited = !request.userData.waited;
+        return request.userData.waited ? Promise.resolve() : null;
+      },
+      selectProxy: () => {
+        seen.push('selectProxy');
+        return deadProxyUrl;
+      },
+      preNavigation: async (context, { renderingType }) => seen.push(`preNavigation ${renderingType}`),
+      errorHandler: async (context, error) => seen.push(`errorHandler ${/ECONNREFUSED/.test(error.message)}`)
+    }
+  });
+
+  assert.deepEqual(events, ['failed /contact after 4 attempts']);
+  const attempt = ['beforeDispatch', 'beforeDispatch', 'selectProxy', 'preNavigation http'];
+  assert.deepEqual(seen, [
+    ...attempt, 'errorHandler true',
+    ...attempt, 'errorHandler true',
+    ...attempt, 'errorHandler true',
+    ...attempt
+  ]);
+});
+
+test('pages waiting in beforeDispatch don\'t hold up other crawls', async () => {
+  const finished = [];
+  const waited = new Set();
+
+  await Promise.all([
+    runCrawl({
+      path: '/slow',
+      handlers: {
+        beforeDispatch: request => {
+          if (waited.has(request.uniqueKey)) return null;
+          waited.add(request.uniqueKey);
+          return new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+    }).then(events => finished.push(...events)),
+    runCrawl({ path: '/fast', next: path => path === '/fast' ? ['/fast/contact'] : [] })
+      .then(events => finished.push(...events))
+  ]);
+
+  // With the one concurrency slot taken by the waiting page, /fast would only start after /slow
+  assert.deepEqual(finished, ['handled /fast', 'queued /fast/contact: 1', 'handled /fast/contact', 'handled /slow']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixedRenderingTypePredictor, getOptionsKey, resolveCrawlOptions } from '../lib/crawl-options.js';
+
+const SETTINGS = {
+  defaults: { maxDepth: 3, maxPages: 50, navigationTimeoutSecs: 30 },
+  limits: { maxDepth: 5, maxPages: 30, navigationTimeoutSecs: 60 },
+  proxies: { pools: ['residential'], tags: ['de'] }
+};
+
+test('missing options get the server defaults, capped by the limits', () => {
+  const { options, errors } = resolveCrawlOptions(undefined, SETTINGS);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(options, {
+    max_depth: 3,
+    max_pages: 30,
+    rendering_mode: 'auto',
+    include_subdomains: true,
+    stop_after_first_email: false,
+    respect_robots_txt: true,
+    include_patterns: [],
+    exclude_patterns: [],
+    navigation_timeout_secs: 30,
+    proxy_pool: null,
+    proxy_tag: null
+  });
+});
+
+test('valid client options are kept', () => {
+  const { options, errors } = resolveCrawlOptions({
+    max_depth: 0,
+    rendering_mode: 'browser',
+    include_patterns: ['**/contact*'],
+    stop_after_first_email: true,
+    proxy_pool: 'none'
+  }, SETTINGS);
+
+  assert.deepEqual(errors, []);
+  assert.equal(options.max_depth, 0);
+  assert.equal(options.rendering_mode, 'browser');
+  assert.deepEqual(options.include_patterns, ['**/contact*']);
+  assert.equal(options.stop_after_first_email, true);
+  assert.equal(options.proxy_pool, 'none');
+});
+
+test('invalid options are all reported at once', () => {
+  const { options, errors } = resolveCrawlOptions({
+    max_depth: 6,
+    max_pages: 2.5,
+    rendering_mode: 'fast',
+    include_subdomains: 'yes',
+    exclude_patterns: ['', 'ok'],
+    proxy_pool: 'datacenter',
+    depth: 1
+  }, SETTINGS);
+
+  assert.equal(options, null);
+  assert.deepEqual(errors, [
+    'Unknown option(s): depth',
+    'max_depth must be between 0 and 5',
+    'max_pages must be an integer',
+    'rendering_mode must be one of: auto, http, browser',
+    'include_subdomains must be a boolean',
+    'exclude_patterns must be an array of non-empty glob strings',
+    'proxy_pool must be "none" or one of: residential'
+  ]);
+  assert.deepEqual(resolveCrawlOptions([], SETTINGS).errors, ['options must be an object']);
+  assert.deepEqual(resolveCrawlOptions({ proxy_pool: 'residential', proxy_tag: 'de' }, SETTINGS).errors,
+    ['proxy_pool and proxy_tag can\'t be combined']);
+});
+
+test('fixed rendering modes map to Crawlee rendering types', () => {
+  assert.equal(createFixedRenderingTypePredictor('http').predict().renderingType, 'static');
+  assert.equal(createFixedRenderingTypePredictor('browser').predict().renderingType, 'clientOnly');
+});
+
+test('equivalent options share a cache key, whatever their order', () => {
+  const options = { max_depth: 2, max_pages: 30, include_patterns: ['**/team/**', '**/contact*'], proxy_pool: null };
+  const reordered = { proxy_pool: null, include_patterns: ['**/contact*', '**/team/**'], max_pages: 30, max_depth: 2 };
+
+  assert.match(getOptionsKey(options), /^[0-9a-f]{64}$/);
+  assert.equal(getOptionsKey(reordered), getOptionsKey(options));
+  assert.notEqual(getOptionsKey({ ...options, max_depth: 3 }), getOptionsKey(options));
+  assert.notEqual(getOptionsKey({ ...options, proxy_pool: 'direct' }), getOptionsKey(options));
+});
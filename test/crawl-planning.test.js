@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CrawlPlanner, findPageLinks, scoreCandidate } from '../lib/crawl-planning.js';
+
+test('contact, team and about pages outrank listings, deep paths and guesses', () => {
+  const score = (path, options) => scoreCandidate(`https://acme.io${path}`, options);
+
+  assert.ok(score('/contact') > score('/team'));
+  assert.ok(score('/team') > score('/about-us'));
+  assert.ok(score('/about-us') > score('/pricing'));
+  assert.ok(score('/kontaktformular') === score('/contact')); // Words match by prefix
+  assert.ok(score('/%C3%BCber-uns') === score('/about')); // Decoded before matching
+  assert.ok(score('/p/1234', { linkText: 'Contact us' }) > score('/pricing'));
+  assert.ok(score('/pricing', { inNavigation: true }) > score('/pricing'));
+  assert.ok(score('/contact', { guessed: true }) < score('/contact'));
+  assert.ok(score('/blog/contact-tips') < score('/contact'));
+  assert.ok(score('/2024/05/contact') < score('/contact'));
+  assert.ok(score('/en/company/contact') < score('/contact'));
+  assert.ok(score('/contact?ref=footer') < score('/contact'));
+});
+
+test('page links are resolved, deduplicated and marked when they are in navigation', () => {
+  const html = `<html><head><base href="/en/"></head><body>
+    <nav><a href="contact">Contact</a></nav>
+    <main>
+      <a href="contact#form" title="Write to us"></a>
+      <a href="https://acme.io/team" aria-label="Our   team">  </a>
+      <a href="#top">Top</a>
+      <a href="mailto:hi@acme.io">Mail</a>
+      <a href="javascript:void(0)">Menu</a>
+      <a href="ftp://acme.io/files">Files</a>
+      <a href="http://[bad">Broken</a>
+    </main>
+  </body></html>`;
+
+  assert.deepEqual(findPageLinks(html, 'https://acme.io/'), [
+    { url: 'https://acme.io/en/contact', text: 'Contact', inNavigation: true },
+    { url: 'https://acme.io/team', text: 'Our team', inNavigation: false }
+  ]);
+});
+
+test('the planner hands out the best candidate next, each URL once', () => {
+  const planner = new CrawlPlanner({ maxCandidates: 10 });
+  planner.markPlanned('https://acme.io/');
+
+  planner.add('https://acme.io/', 50, { discovered_by: 'link', depth: 1 }); // Already queued
+  planner.add('https://acme.io/blog', 1, { discovered_by: 'link', depth: 1 });
+  planner.add('https://acme.io/about', 5, { discovered_by: 'sitemap', depth: 1 });
+  planner.add('https://acme.io/team', 5, { discovered_by: 'link', depth: 2 });
+  planner.add('https://acme.io/impressum', 5, { discovered_by: 'link', depth: 1 });
+  planner.add('https://acme.io/blog', 8, { discovered_by: 'link', found_on: 'https://acme.io/about', depth: 2 });
+  planner.add('https://acme.io/about', 2, { discovered_by: 'link', depth: 2 }); // Lower score: ignored
+  assert.equal(planner.size, 4);
+
+  assert.deepEqual(planner.next(), { url: 'https://acme.io/blog', discovered_by: 'link', found_on: 'https://acme.io/about', depth: 2, score: 8 });
+  assert.deepEqual(planner.next(), { url: 'https://acme.io/about', discovered_by: 'sitemap', depth: 1, score: 5 }); // Ties: shallower, then first found
+  assert.equal(planner.next().url, 'https://acme.io/impressum');
+  assert.equal(planner.next().url, 'https://acme.io/team');
+  assert.equal(planner.next(), null);
+
+  planner.add('https://acme.io/team', 9, { discovered_by: 'link', depth: 1 });
+  assert.equal(planner.next(), null);
+});
+
+test('the planner keeps at most maxCandidates URLs', () => {
+  const planner = new CrawlPlanner({ maxCandidates: 2 });
+  for (const path of ['/a', '/b', '/c']) {
+    planner.add(`https://acme.io${path}`, 10, { depth: 1 });
+  }
+  assert.equal(planner.size, 2);
+  assert.deepEqual([planner.next().url, planner.next().url, planner.next()], ['https://acme.io/a', 'https://acme.io/b', null]);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOCUMENT_URL_REGEX, UNSUPPORTED_DOCUMENT_URL_REGEX, findDocumentLinks, getDocumentType } from '../lib/document-extraction.js';
+
+test('document types come from the content type, then the extension', () => {
+  assert.equal(getDocumentType('https://example.com/team.pdf'), 'pdf');
+  assert.equal(getDocumentType('https://example.com/download?id=1', 'application/pdf; charset=binary'), 'pdf');
+  assert.equal(getDocumentType('https://example.com/team.docx'), 'docx');
+  assert.equal(getDocumentType('https://example.com/team.doc'), null);
+  assert.equal(getDocumentType('https://example.com/team.docx', 'application/msword'), null);
+});
+
+test('only supported documents are linked for download', () => {
+  const html = '<a href="/files/menu.pdf">Menu</a><a href="/files/staff.doc">Staff</a><a href="/files/staff.docx#p2">Staff</a>';
+  assert.deepEqual(findDocumentLinks(html, 'https://example.com/about'), [
+    { url: 'https://example.com/files/menu.pdf', type: 'pdf' },
+    { url: 'https://example.com/files/staff.docx', type: 'docx' }
+  ]);
+});
+
+test('legacy .doc links are excluded from the crawl but not downloaded', () => {
+  assert.equal(DOCUMENT_URL_REGEX.test('https://example.com/staff.docx?v=2'), true);
+  assert.equal(DOCUMENT_URL_REGEX.test('https://example.com/staff.doc'), false);
+  assert.equal(UNSUPPORTED_DOCUMENT_URL_REGEX.test('https://example.com/staff.doc?v=2'), true);
+  assert.equal(UNSUPPORTED_DOCUMENT_URL_REGEX.test('https://example.com/staff.docx'), false);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeObfuscatedEmails } from '../lib/email-decoding.js';
+
+const emails = (html, technique) => decodeObfuscatedEmails(html)
+  .filter(match => !technique || match.technique === technique)
+  .map(match => match.email);
+
+test('Cloudflare email protection is decoded', () => {
+  // "a@b.co" XORed with 0x42
+  const hex = '42' + Buffer.from('a@b.co').map(byte => byte ^ 0x42).toString('hex');
+  assert.deepEqual(emails(`<a data-cfemail="${hex}">[email protected]</a>`, 'cloudflare'), ['a@b.co']);
+});
+
+test('HTML entities are decoded, but addresses that were already readable are not reported again', () => {
+  assert.deepEqual(emails('info&#64;acme.io', 'html_entity'), ['info@acme.io']);
+  assert.deepEqual(emails('info&#x40;acme&period;io', 'html_entity'), ['info@acme.io']);
+  assert.deepEqual(emails('info@acme.io', 'html_entity'), []);
+});
+
+test('percent-encoded addresses are decoded', () => {
+  assert.deepEqual(emails('<a href="mailto:info%40acme.io">', 'percent_encoded'), ['info@acme.io']);
+});
+
+test('spelled-out addresses are decoded', () => {
+  assert.deepEqual(emails('<p>john [at] acme [dot] com</p>', 'spelled_out'), ['john@acme.com']);
+  assert.deepEqual(emails('<p>kontakt(at)acme(punkt)de</p>', 'spelled_out'), ['kontakt@acme.de']);
+  assert.deepEqual(emails('<p>Visit us at acme.com</p>', 'spelled_out'), []);
+});
+
+test('text reversed with CSS is decoded', () => {
+  const html = '<span style="unicode-bidi:bidi-override; direction:rtl">oi.emca@ofni</span>';
+  assert.deepEqual(emails(html, 'reversed_text'), ['info@acme.io']);
+});
+
+test('spelled-out words in ordinary prose are not addresses', () => {
+  assert.deepEqual(emails('<p>We are at home dot com most evenings</p>', 'spelled_out'), []);
+  assert.deepEqual(emails('<p>maria arroba empresa (punto) es</p>', 'spelled_out'), ['maria@empresa.es']);
+  assert.deepEqual(emails('<p>john [at] intranet [dot] invalidtld</p>', 'spelled_out'), []);
+});
+
+test('a local part longer than 64 characters is not cut down to an address', () => {
+  assert.deepEqual(emails(`<p>${'a'.repeat(100)} [at] acme [dot] com</p>`, 'spelled_out'), []);
+});
+
+test('out-of-range numeric entities are left alone', () => {
+  assert.deepEqual(emails('&#99999999; a&#64;b.com', 'html_entity'), ['a@b.com']);
+  assert.deepEqual(emails('&#x110000; info&#x40;acme.io', 'html_entity'), ['info@acme.io']);
+});
+
+test('long alphanumeric runs are scanned in linear time', () => {
+  const token = 'A1b2C3d4'.repeat(50000 / 8);
+  const started = Date.now();
+  decodeObfuscatedEmails(`<p>${token} [at] ${token} at ${token} (dot) com</p><script>var data = "${token}";</script>`);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
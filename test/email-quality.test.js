@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyEmail, filterEmails, getRejectionReason, normalizeEmail } from '../lib/email-quality.js';
+
+test('normalizeEmail strips mailto:, leading %20 and trailing dots', () => {
+  assert.equal(normalizeEmail('mailto:Info@Example.org'), 'info@example.org');
+  assert.equal(normalizeEmail('%20sales@acme.io.'), 'sales@acme.io');
+});
+
+test('asset filenames are rejected', () => {
+  assert.equal(getRejectionReason('logo@2x.png'), 'asset_filename');
+  assert.equal(getRejectionReason('hero-image@3x.webp'), 'asset_filename');
+  assert.equal(getRejectionReason('bundle@1.2.3.js'), 'asset_filename');
+});
+
+test('vendor and tracking addresses are rejected', () => {
+  assert.equal(getRejectionReason('abc@sentry.io'), 'vendor_domain');
+  assert.equal(getRejectionReason('user@o123.ingest.sentry.io'), 'vendor_domain');
+  assert.equal(getRejectionReason('noreply@sentry.wixpress.com'), 'vendor_domain');
+  assert.equal(getRejectionReason('0123456789abcdef0123456789abcdef@errors.acme.io'), 'vendor_domain');
+});
+
+test('placeholders and typo domains are rejected', () => {
+  assert.equal(getRejectionReason('info@example.com'), 'placeholder');
+  assert.equal(getRejectionReason('info@mysite.com'), 'placeholder');
+  assert.equal(getRejectionReason('jane@shop.test'), 'placeholder');
+  assert.equal(getRejectionReason('yourname@acme.io'), 'placeholder');
+  assert.equal(getRejectionReason('name@domain.com'), 'placeholder');
+  assert.equal(getRejectionReason('email@email.com'), 'placeholder');
+  assert.equal(getRejectionReason('sales@gmial.com'), 'typo');
+});
+
+test('ordinary local parts and site-builder domains are not placeholders or vendors', () => {
+  for (const email of ['name@acme.io', 'user@acme.io', 'test@acme.io', 'john.doe@acme.io', 'sales@domain.com',
+    'support@wix.com', 'legal@godaddy.com', 'press@cloudflare.com', 'sales@squarespace.com']) {
+    assert.equal(getRejectionReason(email), null, email);
+  }
+});
+
+test('malformed addresses are rejected', () => {
+  assert.equal(getRejectionReason('a..b@acme.io'), 'invalid_format');
+  assert.equal(getRejectionReason('a@-acme.io'), 'invalid_format');
+  assert.equal(getRejectionReason('no-at-sign.acme.io'), 'invalid_format');
+});
+
+test('real addresses are kept', () => {
+  assert.equal(getRejectionReason('sales@acme-widgets.com'), null);
+  assert.equal(getRejectionReason('maria.lopez@clinica-dental.es'), null);
+});
+
+test('classifyEmail tells role, personal and free-mail addresses apart', () => {
+  assert.equal(classifyEmail('info@acme.io'), 'role');
+  assert.equal(classifyEmail('kontakt@acme.de'), 'role');
+  assert.equal(classifyEmail('support+eu@acme.io'), 'role');
+  assert.equal(classifyEmail('maria.lopez@acme.io'), 'personal');
+  assert.equal(classifyEmail('info@gmail.com'), 'free_mail');
+  assert.equal(classifyEmail('maria@web.de'), 'free_mail');
+});
+
+test('filterEmails normalizes, classifies and records rejection reasons', () => {
+  const { accepted, rejected } = filterEmails([
+    { email: 'mailto:Info@Acme.io', technique: 'mailto' },
+    { email: 'icon@2x.png', technique: 'text' }
+  ]);
+
+  assert.deepEqual(accepted, [{ email: 'info@acme.io', technique: 'mailto', classification: 'role' }]);
+  assert.deepEqual(rejected, [{ email: 'icon@2x.png', technique: 'text', reason: 'asset_filename' }]);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCursorFilter, decodeJobsCursor, encodeJobsCursor } from '../lib/job-cursors.js';
+
+const NEWEST_FIRST = { column: 'created_at', ascending: false };
+const JOB = { job_id: '0b6f7c1e-3d6a-4c55-9a43-5f1d2b7e8a90', created_at: '2025-03-01T12:00:00.123456+00:00', updated_at: '2025-03-02T08:00:00+00:00' };
+
+test('a cursor decodes to the sort value and job_id of the job it was made from', () => {
+  const encoded = encodeJobsCursor(JOB, NEWEST_FIRST);
+
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/); // Safe in a query string without escaping
+  assert.deepEqual(decodeJobsCursor(encoded, NEWEST_FIRST), { value: JOB.created_at, job_id: JOB.job_id });
+
+  const byUpdate = { column: 'updated_at', ascending: true };
+  assert.deepEqual(decodeJobsCursor(encodeJobsCursor(JOB, byUpdate), byUpdate), { value: JOB.updated_at, job_id: JOB.job_id });
+});
+
+test('cursors only work with the sort they were issued for', () => {
+  const encoded = encodeJobsCursor(JOB, NEWEST_FIRST);
+
+  assert.equal(decodeJobsCursor(encoded, { column: 'created_at', ascending: true }), null);
+  assert.equal(decodeJobsCursor(encoded, { column: 'updated_at', ascending: false }), null);
+});
+
+test('malformed and tampered cursors are rejected', () => {
+  const forge = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  const valid = { sort: 'created_at', ascending: false, value: JOB.created_at, job_id: JOB.job_id };
+
+  for (const encoded of [
+    'not-a-cursor',
+    '',
+    Buffer.from('[1, 2').toString('base64url'),
+    forge({ ...valid, value: 'yesterday' }),
+    forge({ ...valid, value: 1740830400000 }),
+    forge({ ...valid, job_id: 'x",id.neq."' }), // Would otherwise be interpolated into the PostgREST filter
+    forge({ ...valid, job_id: null })
+  ]) {
+    assert.equal(decodeJobsCursor(encoded, NEWEST_FIRST), null, encoded);
+  }
+});
+
+test('the next page starts strictly after the cursor, with job_id breaking ties', () => {
+  const cursor = { value: JOB.created_at, job_id: JOB.job_id };
+
+  assert.equal(buildCursorFilter(NEWEST_FIRST, cursor),
+    `created_at.lt."${JOB.created_at}",and(created_at.eq."${JOB.created_at}",job_id.lt."${JOB.job_id}")`);
+  assert.equal(buildCursorFilter({ column: 'updated_at', ascending: true }, { value: JOB.updated_at, job_id: 'j1' }),
+    `updated_at.gt."${JOB.updated_at}",and(updated_at.eq."${JOB.updated_at}",job_id.gt."j1")`);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobError, classifyJobError, errorFromStatusCode, getRetryDelayMs } from '../lib/job-errors.js';
+
+const MESSAGE_CASES = [
+  ['Request blocked - received 429 status code.', 'rate_limited', true],
+  ['Request blocked - received 403 status code.', 'http_error', false],
+  ['503 - Internal Server Error: <h1>Proxy Error</h1>', 'server_error', true],
+  ['Upstream answered HTTP 502 through proxy p1', 'server_error', true],
+  ['blocked by upstream proxy: 403', 'blocked', true],
+  ['Captcha required (proxy us-1)', 'blocked', true],
+  ['Proxy responded with 407 (p1) for https://acme.io/', 'proxy_error', true],
+  ['net::ERR_TUNNEL_CONNECTION_FAILED at https://acme.io/', 'proxy_error', true],
+  ['SOCKS connection failed', 'proxy_error', true],
+  ['Navigation timed out after 30 seconds.', 'navigation_timeout', true],
+  ['page.goto: Timeout 30000ms exceeded.', 'navigation_timeout', true],
+  ['getaddrinfo ENOTFOUND acme.invalid', 'dns_error', true],
+  ['net::ERR_NAME_NOT_RESOLVED at https://acme.io/', 'dns_error', true],
+  ['connect ECONNREFUSED 93.184.215.14:443', 'connection_error', true],
+  ['net::ERR_CERT_DATE_INVALID at https://acme.io/', 'connection_error', true],
+  ['socket hang up', 'connection_error', true],
+  ['Target page, context or browser has been closed', 'browser_crash', true],
+  ['Page crashed!', 'browser_crash', true],
+  ['Something unexpected', 'unknown_error', true]
+];
+
+test('error messages map to error codes, HTTP statuses and blocks before proxies', () => {
+  for (const [message, code, retryable] of MESSAGE_CASES) {
+    assert.deepEqual(classifyJobError(new Error(message)), { code, retryable, message }, message);
+  }
+});
+
+test('JobErrors keep their code; Supabase errors are database errors', () => {
+  assert.deepEqual(classifyJobError(new JobError('robots_blocked', 'Disallowed by a proxy rule')),
+    { code: 'robots_blocked', retryable: false, message: 'Disallowed by a proxy rule' });
+  assert.deepEqual(classifyJobError({ message: 'connection terminated', details: null, hint: null, code: '08006' }),
+    { code: 'database_error', retryable: true, message: 'connection terminated' });
+  assert.equal(classifyJobError('timeout').code, 'navigation_timeout');
+});
+
+test('start URL statuses map to job errors', () => {
+  const cases = [[200, null], [301, null], [404, 'homepage_not_found'], [410, 'homepage_not_found'],
+    [429, 'rate_limited'], [403, 'http_error'], [500, 'server_error'], [503, 'server_error']];
+
+  for (const [status, code] of cases) {
+    assert.equal(errorFromStatusCode(status, 'https://acme.io/')?.code ?? null, code, String(status));
+  }
+});
+
+test('retry delays back off exponentially with jitter, up to the maximum', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+  for (const [retryCount, delay] of [[0, 1000], [1, 2000], [2, 4000], [5, 10000]]) {
+    const actual = getRetryDelayMs(retryCount, options);
+    assert.ok(actual >= delay * 0.8 && actual <= delay * 1.2, `${retryCount}: ${actual}`);
+  }
+});
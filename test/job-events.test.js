@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import {
+  createJobEventPublisher,
+  createServerSentEventsHandler,
+  formatServerSentEvent,
+  parseEventStreamPath,
+  subscribeToJobEvents
+} from '../lib/job-events.js';
+
+test('events reach the job channel and, for batch jobs, the batch channel', () => {
+  const jobEvents = [];
+  const batchEvents = [];
+  const unsubscribeJob = subscribeToJobEvents('job:j1', event => jobEvents.push(event));
+  const unsubscribeBatch = subscribeToJobEvents('batch:b1', event => batchEvents.push(event));
+
+  createJobEventPublisher('j1', 'b1')('page', { url: 'https://acme.io/' });
+  unsubscribeJob();
+  createJobEventPublisher('j1', 'b1')('status', { status: 'done' });
+  unsubscribeBatch();
+
+  assert.equal(jobEvents.length, 1);
+  assert.equal(jobEvents[0].type, 'page');
+  assert.deepEqual({ ...jobEvents[0].data, at: null }, { job_id: 'j1', batch_id: 'b1', url: 'https://acme.io/', at: null });
+  assert.deepEqual(batchEvents.map(({ type }) => type), ['page', 'status']);
+});
+
+test('Server-Sent Events are framed with an event and a JSON data line', () => {
+  assert.equal(formatServerSentEvent('status', { status: 'done' }), 'event: status\ndata: {"status":"done"}\n\n');
+});
+
+test('event stream paths are parsed; malformed IDs are reported as null', () => {
+  assert.deepEqual(parseEventStreamPath('/job/abc-123/events?api_key=x'), { kind: 'job', id: 'abc-123' });
+  assert.deepEqual(parseEventStreamPath('/batches/b%201/events'), { kind: 'batch', id: 'b 1' });
+  assert.deepEqual(parseEventStreamPath('/job/%E0%A4%A/events'), { kind: 'job', id: null });
+  assert.equal(parseEventStreamPath('/job/abc-123'), null);
+  assert.equal(parseEventStreamPath('/job/a/b/events'), null);
+  assert.equal(parseEventStreamPath('/jobs/export'), null);
+});
+
+// Serves createServerSentEventsHandler with `open` on a local port; returns its base URL
+async function serveEvents(t, open) {
+  const app = express();
+  app.get('/job/:jobId/events', createServerSentEventsHandler('job', { open, notFound: 'Job not found', heartbeatMs: 20 }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function get(url) {
+  return new Promise((resolve, reject) => http.get(url, resolve).on('error', reject));
+}
+
+test('a finished stream sends its events and ends', async (t) => {
+  const base = await serveEvents(t, async (id, send, end) => {
+    send('status', { job_id: id, status: 'done' });
+    send('complete', { job_id: id });
+    end();
+    return () => {};
+  });
+
+  const res = await get(`${base}/job/j1/events`);
+  let body = '';
+  for await (const chunk of res) body += chunk;
+
+  assert.equal(res.headers['content-type'], 'text/event-stream');
+  assert.equal(body, 'event: status\ndata: {"job_id":"j1","status":"done"}\n\nevent: complete\ndata: {"job_id":"j1"}\n\n');
+});
+
+test('an unknown ID gets a JSON 404', async (t) => {
+  const base = await serveEvents(t, async () => null);
+
+  const res = await get(`${base}/job/missing/events`);
+  let body = '';
+  for await (const chunk of res) body += chunk;
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(JSON.parse(body), { error: 'Job not found', message: 'The specified job ID does not exist' });
+});
+
+test('an open stream sends heartbeats and is cleaned up when the client leaves', async (t) => {
+  let cleanedUp;
+  const cleanup = new Promise(resolve => {
+    cleanedUp = resolve;
+  });
+  const base = await serveEvents(t, async (id, send) => {
+    send('status', { job_id: id, status: 'processing' });
+    return cleanedUp;
+  });
+
+  const res = await get(`${base}/job/j1/events`);
+  let body = '';
+  for await (const chunk of res) {
+    body += chunk;
+    if (body.includes(': keep-alive')) break; // Leaving the loop destroys the response
+  }
+
+  await cleanup;
+});
+
+test('a client that leaves while the stream is opening is cleaned up once it opens', async (t) => {
+  let cleanedUp;
+  const cleanup = new Promise(resolve => {
+    cleanedUp = resolve;
+  });
+  let clientLeft;
+  const left = new Promise(resolve => {
+    clientLeft = resolve;
+  });
+  const base = await serveEvents(t, async (id, send) => {
+    await left;
+    send('status', { job_id: id, status: 'processing' });
+    return cleanedUp;
+  });
+
+  const req = http.get(`${base}/job/j1/events`);
+  req.on('error', () => {});
+  await new Promise(resolve => setTimeout(resolve, 50));
+  req.destroy();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  clientLeft();
+
+  await cleanup;
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Writable } from 'stream';
+import ExcelJS from 'exceljs';
+import { ExportAbortedError, buildExportColumns, createExportWriter, jobToContactRows } from '../lib/job-export.js';
+
+const JOB = {
+  job_id: 'j1',
+  batch_id: 'b1',
+  url: 'https://acme.io',
+  status: 'done',
+  business_name: 'Acme',
+  input_data: { company: 'Acme Inc', url: 'acme.io', tags: ['lead'] },
+  contacts: [
+    { type: 'email', value: 'sales@acme.io', method: 'mailto', source_url: 'https://acme.io/contact', first_seen_at: 't1' },
+    { type: 'email', value: 'jane@acme.io', method: 'decoded', decoder: 'cloudflare', source_url: 'https://acme.io/', first_seen_at: 't2' }
+  ]
+};
+
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+}
+
+test('input columns follow the contact columns; clashing names get an input_ prefix', () => {
+  const columns = buildExportColumns(['company', 'url']);
+  assert.deepEqual(columns.headers.slice(-2), ['company', 'input_url']);
+  assert.deepEqual(columns.inputColumns, [{ key: 'company', header: 'company' }, { key: 'url', header: 'input_url' }]);
+});
+
+test('each contact is a row; jobs without contacts still get one', () => {
+  const columns = buildExportColumns(['company', 'tags']);
+  const rows = jobToContactRows(JOB, columns);
+
+  assert.deepEqual(rows[0], ['j1', 'b1', 'https://acme.io', 'done', 'Acme', 'email', 'sales@acme.io', 'mailto',
+    'https://acme.io/contact', 't1', 'Acme Inc', '["lead"]']);
+  assert.equal(rows[1][7], 'decoded:cloudflare');
+  assert.deepEqual(jobToContactRows({ ...JOB, contacts: [], status: 'error' }, columns),
+    [['j1', 'b1', 'https://acme.io', 'error', 'Acme', '', '', '', '', '', 'Acme Inc', '["lead"]']]);
+});
+
+test('CSV exports start with a BOM and a header row', async () => {
+  const output = new PassThrough();
+  const read = collect(output);
+  const writer = createExportWriter('csv', output, { columns: buildExportColumns(['company']) });
+
+  await writer.writeJob(JOB);
+  await writer.end();
+
+  const csv = read().toString('utf8');
+  assert.ok(csv.startsWith('\ufeff'));
+  const lines = csv.slice(1).trim().split('\n');
+  assert.equal(lines[0], 'job_id,batch_id,url,status,business_name,contact_type,contact_value,method,source_url,first_seen_at,company');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], 'j1,b1,https://acme.io,done,Acme,email,jane@acme.io,decoded:cloudflare,https://acme.io/,t2,Acme Inc');
+});
+
+test('JSONL exports one formatted job per line', async () => {
+  const output = new PassThrough();
+  const read = collect(output);
+  const writer = createExportWriter('jsonl', output, { formatJob: job => ({ job_id: job.job_id, emails: 2 }) });
+
+  await writer.writeJob(JOB);
+  await writer.writeJob({ ...JOB, job_id: 'j2' });
+  await writer.end();
+
+  assert.equal(read().toString('utf8'), '{"job_id":"j1","emails":2}\n{"job_id":"j2","emails":2}\n');
+});
+
+test('XLSX exports a Contacts sheet', async () => {
+  const output = new PassThrough();
+  const read = collect(output);
+  const writer = createExportWriter('xlsx', output, { columns: buildExportColumns([]) });
+
+  await writer.writeJob(JOB);
+  await writer.end();
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(read());
+  const sheet = workbook.getWorksheet('Contacts');
+  assert.equal(sheet.rowCount, 3);
+  assert.equal(sheet.getRow(2).getCell(7).value, 'sales@acme.io');
+});
+
+test('a client that disconnects while the export waits for drain stops the export', async () => {
+  const contacts = Array.from({ length: 2000 }, (_, i) => ({ type: 'email', value: `person${i}@acme.io`, method: 'text' }));
+  const bigJob = { ...JOB, contacts };
+
+  for (const format of ['jsonl', 'csv']) {
+    // Never finishes a write, like a stalled client, so the export soon waits for 'drain'
+    const stalled = new Writable({ highWaterMark: 16, write: () => {} });
+    const writer = createExportWriter(format, stalled, { columns: buildExportColumns([]), formatJob: job => job });
+
+    const pending = writer.writeJob(bigJob);
+    stalled.destroy();
+    await assert.rejects(pending, ExportAbortedError, format);
+    await assert.rejects(writer.writeJob(bigJob), ExportAbortedError, format);
+  }
+});
@@ -0,0 +1,141 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+
+// The queue lives in Postgres functions, so these tests run supabase-schema.sql in an in-process Postgres
+const db = new PGlite();
+
+before(async () => {
+  await db.exec(fs.readFileSync(new URL('../supabase-schema.sql', import.meta.url), 'utf8'));
+});
+
+beforeEach(async () => {
+  await db.exec('DELETE FROM email_scrap_jobs; DELETE FROM email_scrap_batches; DELETE FROM email_scrap_queue_groups;');
+});
+
+after(() => db.close());
+
+async function insertJob(jobId, fields = {}) {
+  const columns = ['job_id', 'url', ...Object.keys(fields)];
+  const values = [jobId, 'https://acme.io', ...Object.values(fields)];
+  await db.query(
+    `INSERT INTO email_scrap_jobs (${columns.join(', ')}) VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})`,
+    values
+  );
+}
+
+// Claims one job at a time until the queue is empty; returns the job IDs in claim order
+async function claimAll() {
+  const order = [];
+  for (;;) {
+    const { rows } = await db.query(`SELECT job_id FROM claim_email_scrap_jobs('w1', 1, 300)`);
+    if (rows.length === 0) return order;
+    order.push(rows[0].job_id);
+  }
+}
+
+async function getJob(jobId) {
+  const { rows } = await db.query('SELECT * FROM email_scrap_jobs WHERE job_id = $1', [jobId]);
+  return rows[0];
+}
+
+test('an expired lease requeues the job and counts a failed attempt', async () => {
+  await insertJob('lost', { batch_id: 'b-lost' });
+  await db.query(`SELECT * FROM claim_email_scrap_jobs('w1', 10, 300)`);
+  await db.query(`UPDATE email_scrap_jobs SET lease_expires_at = NOW() - INTERVAL '1 second' WHERE job_id = 'lost'`);
+
+  const { rows: expired } = await db.query('SELECT job_id, status, batch_id FROM expire_email_scrap_job_leases()');
+  assert.deepEqual(expired, [{ job_id: 'lost', status: 'queued', batch_id: 'b-lost' }]);
+
+  const job = await getJob('lost');
+  assert.equal(job.retry_count, 1);
+  assert.equal(job.error_code, 'worker_lost');
+  assert.equal(job.worker_id, null);
+  assert.equal(job.completed_at, null);
+  assert.deepEqual(job.attempts.map(({ attempt, worker_id, outcome }) => ({ attempt, worker_id, outcome })),
+    [{ attempt: 1, worker_id: 'w1', outcome: 'error' }]);
+
+  // A second sweep finds nothing, and the job can be claimed again
+  assert.deepEqual((await db.query('SELECT * FROM expire_email_scrap_job_leases()')).rows, []);
+  const { rows: claimed } = await db.query(`SELECT job_id FROM claim_email_scrap_jobs('w2', 10, 300)`);
+  assert.deepEqual(claimed, [{ job_id: 'lost' }]);
+});
+
+test('a job whose lease expires after its last retry ends in error and is returned for completion', async () => {
+  await insertJob('exhausted', { retry_count: 3, max_retries: 3, callback_url: 'https://hooks.acme.io/' });
+  await db.query(`SELECT * FROM claim_email_scrap_jobs('w1', 10, 300)`);
+  await db.query(`UPDATE email_scrap_jobs SET lease_expires_at = NOW() - INTERVAL '1 second' WHERE job_id = 'exhausted'`);
+
+  const { rows: expired } = await db.query('SELECT job_id, status, callback_url FROM expire_email_scrap_job_leases()');
+  assert.deepEqual(expired, [{ job_id: 'exhausted', status: 'error', callback_url: 'https://hooks.acme.io/' }]);
+
+  const job = await getJob('exhausted');
+  assert.equal(job.retry_count, 3);
+  assert.equal(job.outcome, 'failed');
+  assert.ok(job.completed_at);
+  assert.deepEqual((await db.query(`SELECT job_id FROM claim_email_scrap_jobs('w2', 10, 300)`)).rows, []);
+});
+
+test('jobs with a live lease are left alone', async () => {
+  await insertJob('running');
+  await db.query(`SELECT * FROM claim_email_scrap_jobs('w1', 10, 300)`);
+
+  assert.deepEqual((await db.query('SELECT * FROM expire_email_scrap_job_leases()')).rows, []);
+  assert.equal((await getJob('running')).status, 'processing');
+});
+
+test('deleting a batch job takes it off the batch job_count', async () => {
+  await db.query(`INSERT INTO email_scrap_batches (batch_id, source, total_rows, job_count) VALUES ('b-delete', 'json', 2, 2)`);
+  await insertJob('doomed', { batch_id: 'b-delete' });
+  await insertJob('kept', { batch_id: 'b-delete' });
+
+  const { rows: deleted } = await db.query(`SELECT job_id, batch_id FROM delete_email_scrap_job('doomed')`);
+  assert.deepEqual(deleted, [{ job_id: 'doomed', batch_id: 'b-delete' }]);
+  assert.equal(await getJob('doomed'), undefined);
+
+  const jobCount = async () => (await db.query(`SELECT job_count FROM email_scrap_batches WHERE batch_id = 'b-delete'`)).rows[0].job_count;
+  assert.equal(await jobCount(), 1);
+
+  // Deleting a job that is already gone changes nothing
+  assert.deepEqual((await db.query(`SELECT * FROM delete_email_scrap_job('doomed')`)).rows, []);
+  assert.equal(await jobCount(), 1);
+});
+
+test('higher priorities are claimed first', async () => {
+  const createdAt = Date.now() - 60000;
+  await insertJob('low', { priority: 'low', created_at: new Date(createdAt).toISOString() });
+  await insertJob('normal', { priority: 'normal', created_at: new Date(createdAt + 1).toISOString() });
+  await insertJob('high', { priority: 'high', created_at: new Date(createdAt + 2).toISOString() });
+
+  assert.deepEqual(await claimAll(), ['high', 'normal', 'low']);
+});
+
+test('within a priority, jobs are interleaved across clients and batches', async () => {
+  let createdAt = Date.now() - 60000;
+  const at = () => new Date(createdAt++).toISOString();
+  for (let i = 1; i <= 4; i++) await insertJob(`bulk${i}`, { priority: 'low', batch_id: 'big', created_at: at() });
+  for (let i = 1; i <= 2; i++) await insertJob(`other${i}`, { priority: 'low', batch_id: 'small', created_at: at() });
+  await insertJob('acme1', { priority: 'low', batch_id: 'acme-batch', client_id: 'acme', created_at: at() });
+
+  // Each group's oldest job in turn, so the 4-job batch doesn't hold up the others
+  assert.deepEqual(await claimAll(), ['bulk1', 'other1', 'acme1', 'bulk2', 'other2', 'bulk3', 'bulk4']);
+});
+
+test('the least recently served group goes first', async () => {
+  await insertJob('served-before', { client_id: 'acme' });
+  await claimAll();
+
+  let createdAt = Date.now() - 60000;
+  await insertJob('acme-next', { client_id: 'acme', created_at: new Date(createdAt++).toISOString() });
+  await insertJob('newcomer', { client_id: 'globex', created_at: new Date(createdAt++).toISOString() });
+
+  assert.deepEqual(await claimAll(), ['newcomer', 'acme-next']);
+});
+
+test('jobs waiting for a retry are claimed once next_attempt_at has passed', async () => {
+  await insertJob('later', { next_attempt_at: new Date(Date.now() + 60000).toISOString() });
+  await insertJob('due', { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+  assert.deepEqual(await claimAll(), ['due']);
+});
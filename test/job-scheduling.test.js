@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BATCH_PRIORITY, DEFAULT_JOB_PRIORITY, resolveScheduling } from '../lib/job-scheduling.js';
+
+test('single jobs default to normal priority and batches to low', () => {
+  assert.deepEqual(resolveScheduling({}, DEFAULT_JOB_PRIORITY), { scheduling: { priority: 'normal', client_id: null }, errors: [] });
+  assert.deepEqual(resolveScheduling(undefined, DEFAULT_BATCH_PRIORITY), { scheduling: { priority: 'low', client_id: null }, errors: [] });
+});
+
+test('priority and client_id are validated; client_id is trimmed', () => {
+  assert.deepEqual(resolveScheduling({ priority: 'high', client_id: ' acme ' }, DEFAULT_JOB_PRIORITY).scheduling,
+    { priority: 'high', client_id: 'acme' });
+  assert.deepEqual(resolveScheduling({ priority: 'urgent', client_id: '  ' }, DEFAULT_JOB_PRIORITY).errors, [
+    'priority must be one of: high, normal, low',
+    'client_id must be a non-empty string of at most 255 characters'
+  ]);
+  assert.equal(resolveScheduling({ client_id: 'x'.repeat(256) }, DEFAULT_JOB_PRIORITY).errors.length, 1);
+  assert.equal(resolveScheduling({ client_id: 42 }, DEFAULT_JOB_PRIORITY).errors.length, 1);
+});
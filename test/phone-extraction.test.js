@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPhones, normalizePhone } from '../lib/phone-extraction.js';
+
+test('normalizePhone returns E.164, or null for invalid numbers', () => {
+  assert.equal(normalizePhone('(415) 555-2671', 'US'), '+14155552671');
+  assert.equal(normalizePhone('+44 20 7946 0958', 'US'), '+442079460958');
+  assert.equal(normalizePhone('12345', 'US'), null);
+});
+
+test('numbers are found in tel: links and in the text', () => {
+  const phones = extractPhones('<a href="tel:+1%20415%20555%202671">Call</a><p>Office: +44 20 7946 0958</p>', 'US');
+  assert.deepEqual(phones.map(({ phone, technique }) => [phone, technique]), [
+    ['+14155552671', 'tel'],
+    ['+442079460958', 'text']
+  ]);
+});
+
+test('digit runs in scripts are ignored', () => {
+  assert.deepEqual(extractPhones('<script>var id = "4155552671";</script>', 'US'), []);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestScheduler } from '../lib/request-scheduler.js';
+
+// Hostnames resolve to the addresses given here instead of through DNS
+function createScheduler(options = {}, addresses = {}) {
+  const scheduler = new RequestScheduler({
+    domainDelayMs: 0,
+    maxPerDomain: 10,
+    ipDelayMs: 0,
+    maxPerIp: 10,
+    maxOpenPages: 10,
+    ...options
+  });
+  scheduler.resolve = async hostname => addresses[hostname] || null;
+  return scheduler;
+}
+
+// Acquires a slot for each URL at once and resolves to when each one started, in ms after the first call
+async function startTimes(scheduler, urls, acquireOptions = {}) {
+  const startedAt = Date.now();
+  return Promise.all(urls.map(async url => {
+    const release = await scheduler.acquire(url, acquireOptions);
+    release();
+    return Date.now() - startedAt;
+  }));
+}
+
+const TIMER_SLACK_MS = 5;
+
+test('request starts on one registrable domain are spaced by domainDelayMs', async () => {
+  const scheduler = createScheduler({ domainDelayMs: 40 });
+  const starts = await startTimes(scheduler, ['https://acme.io/a', 'https://shop.acme.io/b', 'https://www.acme.io/c']);
+
+  assert.ok(starts[0] < 20, `${starts}`);
+  assert.ok(starts[1] >= 40 - TIMER_SLACK_MS, `${starts}`);
+  assert.ok(starts[2] >= 80 - TIMER_SLACK_MS, `${starts}`);
+});
+
+test('a longer Crawl-delay raises the spacing, and other domains are not held up', async () => {
+  const scheduler = createScheduler({ domainDelayMs: 10 });
+  const starts = await startTimes(scheduler, ['https://acme.io/a', 'https://acme.io/b'], { minDelayMs: 60 });
+  assert.ok(starts[1] >= 60 - TIMER_SLACK_MS, `${starts}`);
+
+  // Queued behind a waiting acme.io request, but started at once
+  const acmeWait = scheduler.acquire('https://acme.io/c', { minDelayMs: 60 });
+  const [otherStart] = await startTimes(scheduler, ['https://other.io/']);
+  assert.ok(otherStart < 20, `${otherStart}`);
+  (await acmeWait)();
+});
+
+test('sites on one IP address share its limits', async () => {
+  const scheduler = createScheduler({ ipDelayMs: 40 }, { 'acme.io': '10.0.0.1', 'other.io': '10.0.0.1', 'third.io': '10.0.0.2' });
+  const starts = await startTimes(scheduler, ['https://acme.io/', 'https://other.io/', 'https://third.io/']);
+
+  assert.ok(starts[1] >= 40 - TIMER_SLACK_MS, `${starts}`);
+  assert.ok(starts[2] < 20, `${starts}`);
+});
+
+test('requests in flight are limited per domain until their slots are released', async () => {
+  const scheduler = createScheduler({ maxPerDomain: 1 });
+  const release = await scheduler.acquire('https://acme.io/a');
+
+  let started = false;
+  const next = scheduler.acquire('https://acme.io/b').then(releaseNext => {
+    started = true;
+    return releaseNext;
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(started, false);
+  assert.deepEqual(scheduler.getStats(), { requests_in_flight: 1, open_pages: 0, waiting: 1 });
+
+  release();
+  release(); // Releasing twice frees the slot once
+  (await next)();
+  assert.deepEqual(scheduler.getStats(), { requests_in_flight: 0, open_pages: 0, waiting: 0 });
+});
+
+test('an aborted wait rejects and leaves the queue', async () => {
+  const scheduler = createScheduler({ maxPerDomain: 1, maxOpenPages: 1 });
+  const release = await scheduler.acquire('https://acme.io/a');
+  const releasePage = await scheduler.acquirePage();
+
+  const controller = new AbortController();
+  const waits = [
+    scheduler.acquire('https://acme.io/b', { signal: controller.signal }),
+    scheduler.acquirePage(controller.signal)
+  ];
+  controller.abort(new Error('Job aborted'));
+
+  for (const wait of waits) await assert.rejects(wait, /Job aborted/);
+  assert.equal(scheduler.getStats().waiting, 0);
+  await assert.rejects(scheduler.acquire('https://acme.io/c', { signal: controller.signal }), /Job aborted/);
+  release();
+  releasePage();
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { RobotsTxtCache } from '../lib/robots-txt.js';
+
+// A local site whose /robots.txt is answered by `respond(res)`; counts robots.txt requests per user agent
+async function startSite(t, respond) {
+  const site = { fetches: 0, userAgents: [] };
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/robots.txt') {
+      res.statusCode = 404;
+      return res.end();
+    }
+    site.fetches++;
+    site.userAgents.push(req.headers['user-agent']);
+    respond(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  return site;
+}
+
+function createCache(options = {}) {
+  return new RobotsTxtCache({
+    userAgent: 'EmailExtractionBot',
+    ttlMs: 60000,
+    errorTtlMs: 1000,
+    timeoutMs: 2000,
+    retries: 2,
+    retryDelayMs: 10,
+    maxCrawlDelaySecs: 30,
+    ...options
+  });
+}
+
+const ROBOTS_TXT = `
+User-agent: *
+Disallow: /private/
+Crawl-delay: 2
+
+User-agent: EmailExtractionBot
+Disallow: /team
+Allow: /team/contact
+Crawl-delay: 90
+
+Sitemap: https://acme.io/sitemap.xml
+Sitemap: https://acme.io/news-sitemap.xml
+`;
+
+test('rules for our user agent decide which pages may be crawled', async (t) => {
+  const site = await startSite(t, res => res.end(ROBOTS_TXT));
+  const policy = await createCache().getPolicy(`${site.origin}/`);
+
+  assert.equal(policy.origin, site.origin);
+  assert.equal(policy.unavailable, null);
+  assert.equal(policy.isAllowed(`${site.origin}/contact`), true);
+  assert.equal(policy.isAllowed(`${site.origin}/private/page`), true); // Only the * group disallows it
+  assert.equal(policy.isAllowed(`${site.origin}/team`), false);
+  assert.equal(policy.isAllowed(`${site.origin}/team/contact`), true);
+  assert.deepEqual(policy.sitemaps, ['https://acme.io/sitemap.xml', 'https://acme.io/news-sitemap.xml']);
+  assert.deepEqual(site.userAgents, ['EmailExtractionBot']);
+});
+
+test('Crawl-delay is capped at maxCrawlDelaySecs', async (t) => {
+  const site = await startSite(t, res => res.end(ROBOTS_TXT));
+
+  assert.equal((await createCache().getPolicy(`${site.origin}/`)).crawlDelayMs, 30000);
+  assert.equal((await createCache({ userAgent: 'OtherBot' }).getPolicy(`${site.origin}/`)).crawlDelayMs, 2000);
+});
+
+test('a missing robots.txt allows everything', async (t) => {
+  const site = await startSite(t, res => {
+    res.statusCode = 404;
+    res.end('Not found');
+  });
+  const policy = await createCache().getPolicy(`${site.origin}/`);
+
+  assert.equal(policy.unavailable, null);
+  assert.equal(policy.isAllowed(`${site.origin}/anything`), true);
+  assert.equal(policy.crawlDelayMs, 0);
+  assert.deepEqual(policy.sitemaps, []);
+});
+
+test('each origin is fetched once, by concurrent callers too, until the cache expires', async (t) => {
+  const site = await startSite(t, res => res.end(ROBOTS_TXT));
+  const cache = createCache({ ttlMs: 50 });
+
+  const policies = await Promise.all([`${site.origin}/a`, `${site.origin}/b`, `${site.origin}/c`].map(url => cache.getPolicy(url)));
+  assert.equal(site.fetches, 1);
+  assert.equal(policies[0], policies[2]);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await cache.getPolicy(`${site.origin}/a`);
+  assert.equal(site.fetches, 2);
+});
+
+test('5xx responses are retried before the file counts as unavailable', async (t) => {
+  const statuses = [503, 502];
+  const site = await startSite(t, res => {
+    res.statusCode = statuses.shift() ?? 200;
+    res.end(res.statusCode === 200 ? ROBOTS_TXT : 'Unavailable');
+  });
+  const policy = await createCache().getPolicy(`${site.origin}/`);
+
+  assert.equal(site.fetches, 3);
+  assert.equal(policy.unavailable, null);
+  assert.equal(policy.isAllowed(`${site.origin}/team`), false);
+});
+
+test('a robots.txt that stays unavailable is crawled as if absent, and fetched again after errorTtlMs', async (t) => {
+  const site = await startSite(t, res => {
+    res.statusCode = 500;
+    res.end();
+  });
+  const cache = createCache({ errorTtlMs: 50 });
+  const policy = await cache.getPolicy(`${site.origin}/`);
+
+  assert.equal(site.fetches, 3);
+  assert.equal(policy.unavailable, 'robots.txt returned HTTP 500');
+  assert.equal(policy.isAllowed(`${site.origin}/team`), true);
+
+  await cache.getPolicy(`${site.origin}/a`);
+  assert.equal(site.fetches, 3);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await cache.getPolicy(`${site.origin}/a`);
+  assert.equal(site.fetches, 6);
+});
+
+test('timeouts are retried too', async (t) => {
+  const site = await startSite(t, () => {}); // Never answers
+  const policy = await createCache({ timeoutMs: 50, retries: 1 }).getPolicy(`${site.origin}/`);
+
+  assert.equal(site.fetches, 2);
+  assert.equal(policy.unavailable, 'robots.txt could not be fetched: no response within 50ms');
+  assert.equal(policy.isAllowed(`${site.origin}/team`), true);
+});
+
+test('when a cached file can\'t be fetched again, the last copy keeps being used', async (t) => {
+  let failing = false;
+  const site = await startSite(t, res => {
+    res.statusCode = failing ? 503 : 200;
+    res.end(failing ? '' : ROBOTS_TXT);
+  });
+  const cache = createCache({ ttlMs: 50, retries: 0 });
+  const fetched = await cache.getPolicy(`${site.origin}/`);
+
+  failing = true;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(await cache.getPolicy(`${site.origin}/`), fetched);
+  assert.equal(site.fetches, 2);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { fetchSitemapUrls, parseSitemap } from '../lib/sitemaps.js';
+
+// A local site serving `files` (path -> XML string or gzipped Buffer); records every path requested
+async function startSite(t, files) {
+  const site = { requests: [] };
+  const server = http.createServer((req, res) => {
+    site.requests.push(req.url);
+    const body = files[req.url];
+    if (body === undefined) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/gzip' : 'application/xml');
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  return site;
+}
+
+const urlset = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${url}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <sitemap><loc>${url}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+function fetchUrls(site, options = {}) {
+  return fetchSitemapUrls(`${site.origin}/`, {
+    userAgent: 'EmailExtractionBot',
+    timeoutMs: 2000,
+    maxSize: 1024 * 1024,
+    maxSitemaps: 5,
+    maxUrls: 100,
+    ...options
+  });
+}
+
+test('a urlset lists pages and a sitemap index lists sitemaps', () => {
+  const xml = `<urlset>
+    <url><loc> https://acme.io/contact </loc></url>
+    <url><loc><![CDATA[https://acme.io/team?a=1&b=2]]></loc></url>
+    <url><loc>https://acme.io/search?q=a&amp;page=2</loc></url>
+    <url><loc>/relative</loc></url>
+  </urlset>`;
+
+  assert.deepEqual(parseSitemap(xml), {
+    urls: ['https://acme.io/contact', 'https://acme.io/team?a=1&b=2', 'https://acme.io/search?q=a&page=2'],
+    sitemaps: []
+  });
+  assert.deepEqual(parseSitemap(sitemapIndex(['https://acme.io/pages.xml'])), {
+    urls: [],
+    sitemaps: ['https://acme.io/pages.xml']
+  });
+});
+
+test('without Sitemap lines in robots.txt, /sitemap.xml is read', async (t) => {
+  const site = await startSite(t, { '/sitemap.xml': urlset(['https://acme.io/contact', 'https://acme.io/about']) });
+
+  assert.deepEqual(await fetchUrls(site), ['https://acme.io/contact', 'https://acme.io/about']);
+  assert.deepEqual(site.requests, ['/sitemap.xml']);
+  assert.deepEqual(await fetchUrls(await startSite(t, {})), []); // No sitemap at all
+});
+
+test('indexes are followed, gzipped sitemaps are read and each sitemap is fetched once', async (t) => {
+  const files = {};
+  const site = await startSite(t, files);
+  Object.assign(files, {
+    '/index.xml': sitemapIndex([`${site.origin}/pages.xml.gz`, `${site.origin}/team.xml`, `${site.origin}/index.xml`]),
+    '/pages.xml.gz': gzipSync(urlset(['https://acme.io/contact'])),
+    '/team.xml': urlset(['https://acme.io/team', 'https://acme.io/contact'])
+  });
+
+  const urls = await fetchUrls(site, { sitemapUrls: [`${site.origin}/index.xml`] });
+
+  assert.deepEqual(urls, ['https://acme.io/contact', 'https://acme.io/team']);
+  assert.deepEqual(site.requests, ['/index.xml', '/pages.xml.gz', '/team.xml']);
+});
+
+test('maxSitemaps and maxUrls bound the work', async (t) => {
+  const files = {};
+  const site = await startSite(t, files);
+  Object.assign(files, {
+    '/index.xml': sitemapIndex(['/a.xml', '/b.xml', '/c.xml'].map(path => `${site.origin}${path}`)),
+    '/a.xml': urlset(['https://acme.io/1', 'https://acme.io/2']),
+    '/b.xml': urlset(['https://acme.io/3', 'https://acme.io/4']),
+    '/c.xml': urlset(['https://acme.io/5'])
+  });
+  const sitemapUrls = [`${site.origin}/index.xml`];
+
+  assert.deepEqual(await fetchUrls(site, { sitemapUrls, maxSitemaps: 2 }), ['https://acme.io/1', 'https://acme.io/2']);
+  assert.deepEqual(await fetchUrls(site, { sitemapUrls, maxUrls: 3 }), ['https://acme.io/1', 'https://acme.io/2', 'https://acme.io/3']);
+});
+
+test('disallowed and broken sitemaps contribute nothing, and fetches go through schedule', async (t) => {
+  const files = { '/good.xml': urlset(['https://acme.io/contact']), '/bad.xml': '<urlset><url>' };
+  const site = await startSite(t, files);
+  const logged = [];
+  const scheduled = [];
+
+  const urls = await fetchUrls(site, {
+    sitemapUrls: ['/private.xml', '/missing.xml', '/bad.xml', '/good.xml'].map(path => `${site.origin}${path}`),
+    isAllowed: async url => !url.endsWith('/private.xml'),
+    schedule: (url, fetchFn) => {
+      scheduled.push(new URL(url).pathname);
+      return fetchFn();
+    },
+    log: message => logged.push(message)
+  });
+
+  assert.deepEqual(urls, ['https://acme.io/contact']);
+  assert.deepEqual(scheduled, ['/missing.xml', '/bad.xml', '/good.xml']);
+  assert.deepEqual(logged, [`Failed to read sitemap ${site.origin}/missing.xml: HTTP 404`]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSocialProfiles, getSocialNetworks, registerSocialNetwork } from '../lib/social-extraction.js';
+
+test('every network gets an array, even without matches', () => {
+  const profiles = extractSocialProfiles('<p>No links</p>');
+  for (const network of ['facebook', 'instagram', 'linkedin', 'twitter', 'tiktok', 'youtube', 'pinterest', 'whatsapp']) {
+    assert.deepEqual(profiles[network], [], network);
+  }
+});
+
+test('profile links are normalized and deduplicated', () => {
+  const html = `
+    <a href="https://www.facebook.com/acmewidgets">Facebook</a>
+    <a href="https://instagram.com/acme.widgets/">Instagram</a>
+    <a href="http://de.linkedin.com/company/acme-widgets">LinkedIn</a>
+    <a href="https://twitter.com/acmewidgets">Twitter</a> <a href="https://x.com/acmewidgets">X</a>
+    <a href="https://www.tiktok.com/@acmewidgets?lang=en">TikTok</a>
+    <a href="https://m.youtube.com/@AcmeWidgets">YouTube</a>
+    <a href="https://pinterest.co.uk/acmewidgets/">Pinterest</a>
+    <a href="https://api.whatsapp.com/send?phone=+4915112345678&text=Hi">WhatsApp</a>`;
+  const profiles = extractSocialProfiles(html);
+
+  assert.deepEqual(profiles.facebook, ['https://www.facebook.com/acmewidgets']);
+  assert.deepEqual(profiles.instagram, ['https://www.instagram.com/acme.widgets']);
+  assert.deepEqual(profiles.linkedin, ['https://www.linkedin.com/company/acme-widgets']);
+  assert.deepEqual(profiles.twitter, ['https://x.com/acmewidgets']);
+  assert.deepEqual(profiles.tiktok, ['https://www.tiktok.com/@acmewidgets']);
+  assert.deepEqual(profiles.youtube, ['https://www.youtube.com/@AcmeWidgets']);
+  assert.deepEqual(profiles.pinterest, ['https://www.pinterest.com/acmewidgets']);
+  assert.deepEqual(profiles.whatsapp, ['https://wa.me/4915112345678']);
+});
+
+test('share widgets, tracking pixels and look-alike hosts are skipped', () => {
+  const html = `
+    <a href="https://www.facebook.com/sharer/sharer.php?u=x">Share</a>
+    <img src="https://www.facebook.com/tr?id=123&ev=PageView">
+    <a href="https://twitter.com/intent/tweet?text=x">Tweet</a>
+    <script src="https://platform.twitter.com/widgets.js"></script>
+    <a href="https://www.instagram.com/p/Cabc123/">Post</a>
+    <a href="https://pinterest.com/pin/create/button/?url=x">Pin it</a>
+    <a href="https://wa.me/?text=Hello">Share on WhatsApp</a>
+    <a href="https://dropbox.com/acme">Files</a>`;
+  const profiles = extractSocialProfiles(html);
+
+  for (const [network, urls] of Object.entries(profiles)) {
+    assert.deepEqual(urls, [], network);
+  }
+});
+
+test('new networks can be registered as plugins', () => {
+  registerSocialNetwork('mastodon_social', {
+    pattern: /(?:https?:\/\/)?mastodon\.social\/@([a-zA-Z0-9_]+)/gi,
+    normalize: (url, handle) => `https://mastodon.social/@${handle}`
+  });
+
+  assert.ok(getSocialNetworks().includes('mastodon_social'));
+  assert.deepEqual(extractSocialProfiles('https://mastodon.social/@acme/').mastodon_social, ['https://mastodon.social/@acme']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { load } from 'cheerio';
+import { extractStructuredData, fetchVCardText, findVCardLinks, parseVCard } from '../lib/structured-data.js';
+
+test('JSON-LD organizations yield name, address, phone, email and profiles', () => {
+  const html = `<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'Dentist',
+    name: 'Example Dental',
+    email: 'mailto:hello@exampledental.com',
+    telephone: '+1 415 555 2671',
+    sameAs: ['https://www.facebook.com/exampledental'],
+    address: { '@type': 'PostalAddress', streetAddress: '1 Main St', addressLocality: 'San Francisco', addressRegion: 'CA', postalCode: '94105', addressCountry: 'US' }
+  })}</script>`;
+  const data = extractStructuredData(html);
+
+  assert.deepEqual(data.names, [{ name: 'Example Dental', technique: 'json_ld' }]);
+  assert.equal(data.emails[0].email, 'hello@exampledental.com');
+  assert.equal(data.telephones[0].raw, '+1 415 555 2671');
+  assert.equal(data.socialLinks[0].url, 'https://www.facebook.com/exampledental');
+  assert.equal(data.addresses[0].formatted, '1 Main St, San Francisco, CA 94105, US');
+});
+
+test('og:site_name is only a fallback name', () => {
+  const data = extractStructuredData('<meta property="og:site_name" content="Acme">');
+  assert.deepEqual(data.names, [{ name: 'Acme', technique: 'og_site_name' }]);
+});
+
+test('vCards are parsed, including folded lines', () => {
+  const data = parseVCard([
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'ORG:Acme\\, Inc.',
+    'EMAIL;TYPE=work:sales@acme.io',
+    'TEL:+1 415 555 ',
+    ' 2671',
+    'END:VCARD'
+  ].join('\r\n'));
+
+  assert.deepEqual(data.names, [{ name: 'Acme, Inc.', technique: 'vcard' }]);
+  assert.deepEqual(data.emails, [{ email: 'sales@acme.io', technique: 'vcard' }]);
+  assert.deepEqual(data.telephones, [{ raw: '+1 415 555 2671', technique: 'vcard' }]);
+});
+
+test('vCard links are resolved against the page URL', () => {
+  const html = '<a href="/team/jane.vcf">Jane</a><a href="/about">About</a>';
+  assert.deepEqual(findVCardLinks(html, 'https://acme.io/team/'), ['https://acme.io/team/jane.vcf']);
+});
+
+test('a page parsed once serves both the structured data and the vCard links', () => {
+  const $ = load('<div class="vcard"><span class="fn org">Acme</span></div><a href="jane.vcf">Jane</a>');
+  assert.deepEqual(extractStructuredData($).names.map(({ name }) => name), ['Acme']);
+  assert.deepEqual(findVCardLinks($, 'https://acme.io/team/'), ['https://acme.io/team/jane.vcf']);
+});
+
+test('vCard downloads are size capped', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.end(req.url === '/big.vcf' ? 'x'.repeat(5000) : 'BEGIN:VCARD\r\nEMAIL:jane@acme.io\r\nEND:VCARD');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const { text, status } = await fetchVCardText(`${baseUrl}/jane.vcf`, { maxSize: 1000, timeoutMs: 5000 });
+  assert.equal(status, 200);
+  assert.deepEqual(parseVCard(text).emails, [{ email: 'jane@acme.io', technique: 'vcard' }]);
+  await assert.rejects(fetchVCardText(`${baseUrl}/big.vcf`, { maxSize: 1000, timeoutMs: 5000 }), /larger than 1000 bytes|over limit/);
+});
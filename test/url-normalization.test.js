@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSiteKey, getUrlDomain, normalizeInputUrl } from '../lib/url-normalization.js';
+
+test('lead list entries become crawlable absolute URLs', () => {
+  const cases = [
+    ['Example.com', 'https://example.com/'],
+    [' http://www.Example.com#top ', 'http://www.example.com/'],
+    ['example.com/contact/', 'https://example.com/contact'],
+    ['example.com/a//', 'https://example.com/a'],
+    ['https://example.com:443/?ref=list', 'https://example.com/?ref=list'],
+    ['http://example.com:8080/team', 'http://example.com:8080/team'],
+    ['shop.example.co.uk', 'https://shop.example.co.uk/']
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.equal(normalizeInputUrl(input), expected, input);
+  }
+});
+
+test('inputs that cannot be a website are rejected', () => {
+  assert.throws(() => normalizeInputUrl('  '), /URL is empty/);
+  assert.throws(() => normalizeInputUrl(null), /URL is empty/);
+  assert.throws(() => normalizeInputUrl('ftp://example.com/'), /Unsupported protocol ftp:/);
+  assert.throws(() => normalizeInputUrl('localhost:3000'), /Invalid hostname localhost/);
+  assert.throws(() => normalizeInputUrl('http://intranet/'), /Invalid hostname intranet/);
+  assert.throws(() => normalizeInputUrl('http://exa mple.com'), TypeError);
+});
+
+test('domains are the registrable domain of a URL or hostname', () => {
+  assert.equal(getUrlDomain('https://shop.example.co.uk/a'), 'example.co.uk');
+  assert.equal(getUrlDomain('WWW.Example.com'), 'example.com');
+  assert.equal(getUrlDomain(' blog.acme.com.au '), 'acme.com.au');
+  assert.equal(getUrlDomain('http://93.184.215.14/'), '93.184.215.14');
+  assert.equal(getUrlDomain(''), null);
+});
+
+test('site keys ignore the scheme, www, trailing slashes and paths, but not subdomains or ports', () => {
+  const key = getSiteKey('https://www.example.com/');
+  for (const input of ['http://example.com', 'example.com/contact/', 'WWW.EXAMPLE.COM/#about']) {
+    assert.equal(getSiteKey(input), key, input);
+  }
+  assert.equal(key, 'example.com');
+
+  assert.equal(getSiteKey('shop.example.com'), 'shop.example.com');
+  assert.equal(getSiteKey('example.com:8080'), 'example.com:8080');
+  assert.equal(getSiteKey('http://localhost:3000/'), null);
+  assert.equal(getSiteKey('not a url'), null);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import {
+  buildWebhookAttemptUpdate,
+  isBlockedAddress,
+  parseAllowedHosts,
+  sendWebhook,
+  validateCallbackUrl
+} from '../lib/webhooks.js';
+
+test('loopback, private and link-local addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.215.14', '172.32.0.1', '::ffff:93.184.215.14', '2606:4700::1111']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('callback URLs must be http(s) on a public host', async () => {
+  assert.equal(await validateCallbackUrl(' https://93.184.215.14/hook '), 'https://93.184.215.14/hook');
+  await assert.rejects(validateCallbackUrl('ftp://93.184.215.14/'), /http or https/);
+  await assert.rejects(validateCallbackUrl('not a url'), /valid URL/);
+  await assert.rejects(validateCallbackUrl('http://169.254.169.254/latest/meta-data/'), /private or link-local/);
+  await assert.rejects(validateCallbackUrl('http://[::1]:3100/hook'), /private or link-local/);
+  await assert.rejects(validateCallbackUrl('http://2130706433/hook'), /private or link-local/); // 127.0.0.1 in decimal
+  await assert.rejects(validateCallbackUrl('http://localhost:3100/hook'), /private or link-local/);
+});
+
+test('WEBHOOK_ALLOWED_HOSTS lets listed hosts resolve to private addresses', async () => {
+  const allowedHosts = parseAllowedHosts('LocalHost, [::1] 10.0.0.5');
+  assert.deepEqual(allowedHosts, ['localhost', '::1', '10.0.0.5']);
+  assert.equal(await validateCallbackUrl('http://localhost:3100/hook', { allowedHosts }), 'http://localhost:3100/hook');
+  assert.equal(await validateCallbackUrl('http://[::1]:3100/hook', { allowedHosts }), 'http://[::1]:3100/hook');
+  await assert.rejects(validateCallbackUrl('http://127.0.0.1:3100/hook', { allowedHosts }), /private or link-local/);
+});
+
+test('deliveries to private addresses are refused unless the host is allowed', async (t) => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const { port } = server.address();
+  const delivery = { event: 'job.completed', deliveryId: 'd1', body: '{}', secret: 'secret', timeoutMs: 5000 };
+
+  for (const host of ['127.0.0.1', 'localhost']) {
+    const result = await sendWebhook(`http://${host}:${port}/hook`, delivery);
+    assert.equal(result.ok, false, host);
+    assert.match(result.error, /private or link-local/);
+  }
+  assert.equal(received, 0);
+
+  const allowed = await sendWebhook(`http://localhost:${port}/hook`, { ...delivery, allowedHosts: ['localhost'] });
+  assert.equal(allowed.ok, true);
+  assert.equal(received, 1);
+});
+
+// A local stand-in receiver. `respond(req, res, body)` answers each request; every request is recorded.
+async function startReceiver(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      respond(req, res, body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://localhost:${server.address().port}/hook`, requests };
+}
+
+const DELIVERY = {
+  event: 'job.completed',
+  deliveryId: 'd1',
+  body: JSON.stringify({ event: 'job.completed', delivery_id: 'd1', job: { job_id: 'j1', status: 'done' } }),
+  secret: 'secret',
+  timeoutMs: 5000,
+  allowedHosts: ['localhost']
+};
+
+test('deliveries carry the event headers and a signature the receiver can verify', async (t) => {
+  const receiver = await startReceiver(t, (req, res) => res.end('ok'));
+
+  const result = await sendWebhook(receiver.url, DELIVERY);
+  assert.equal(result.ok, true);
+  assert.equal(result.status_code, 200);
+  assert.equal(result.error, null);
+
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(body, DELIVERY.body);
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-webhook-event'], 'job.completed');
+  assert.equal(headers['x-webhook-delivery'], 'd1');
+  assert.ok(Math.abs(Date.now() / 1000 - parseInt(headers['x-webhook-timestamp'])) < 60);
+
+  // What a receiver does: recompute the HMAC over "<timestamp>.<raw body>" and compare in constant time
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'secret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.ok(crypto.timingSafeEqual(Buffer.from(headers['x-webhook-signature']), Buffer.from(expected)));
+  const forged = 'sha256=' + crypto.createHmac('sha256', 'other').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.notEqual(headers['x-webhook-signature'], forged);
+});
+
+test('non-2xx answers, redirects and timeouts are failed attempts', async (t) => {
+  const receiver = await startReceiver(t, (req, res) => {
+    if (req.url === '/error') {
+      res.statusCode = 503;
+      res.end('busy');
+    } else if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/elsewhere' });
+      res.end();
+    }
+    // Any other path never answers
+  });
+  const base = receiver.url.replace('/hook', '');
+
+  const error = await sendWebhook(`${base}/error`, DELIVERY);
+  assert.deepEqual({ ...error, duration_ms: null },
+    { ok: false, status_code: 503, error: 'Receiver responded with HTTP 503', duration_ms: null });
+
+  const redirect = await sendWebhook(`${base}/redirect`, DELIVERY);
+  assert.equal(redirect.ok, false);
+  assert.equal(redirect.status_code, 302);
+  assert.equal(receiver.requests.length, 2); // The redirect was not followed
+
+  const timeout = await sendWebhook(`${base}/stall`, { ...DELIVERY, timeoutMs: 100 });
+  assert.equal(timeout.ok, false);
+  assert.equal(timeout.status_code, null);
+  assert.equal(timeout.error, 'No response within 100ms');
+});
+
+test('failed attempts are retried with backoff until the receiver accepts or attempts run out', async (t) => {
+  let failuresLeft = 2;
+  const receiver = await startReceiver(t, (req, res) => {
+    res.statusCode = failuresLeft-- > 0 ? 500 : 204;
+    res.end();
+  });
+  const options = { workerId: 'w1', retry: { baseDelayMs: 1000, maxDelayMs: 60000 } };
+  let delivery = { attempt_count: 0, max_attempts: 6, attempts: [] };
+
+  // The dispatcher's loop: send, record the attempt, and send again while the delivery is pending
+  const delays = [];
+  for (;;) {
+    const result = await sendWebhook(receiver.url, DELIVERY);
+    const update = buildWebhookAttemptUpdate(delivery, { ...result, attempted_at: new Date().toISOString() }, options);
+    delivery = { ...delivery, ...update };
+    if (update.status) break;
+    delays.push(Date.parse(update.next_attempt_at) - Date.now());
+  }
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempt_count, 3);
+  assert.deepEqual(delivery.attempts.map(({ attempt, status_code, worker_id }) => [attempt, status_code, worker_id]),
+    [[1, 500, 'w1'], [2, 500, 'w1'], [3, 204, 'w1']]);
+  assert.equal(receiver.requests.length, 3);
+
+  // Roughly 1s, then 2s (+/-20% jitter)
+  assert.ok(delays[0] > 700 && delays[0] <= 1200, String(delays[0]));
+  assert.ok(delays[1] > 1500 && delays[1] <= 2400, String(delays[1]));
+
+  const last = buildWebhookAttemptUpdate({ attempt_count: 5, max_attempts: 6, attempts: [] },
+    { ok: false, status_code: 500, error: 'Receiver responded with HTTP 500', duration_ms: 5 }, options);
+  assert.equal(last.status, 'failed');
+  assert.equal(last.next_attempt_at, null);
+});